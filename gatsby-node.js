@@ -10,274 +10,291 @@ const WORDPRESS_URL = process.env.GATSBY_WORDPRESS_URL;
 // 新增：通过环境变量控制 API 模式
 defaultApiMode = process.env.GATSBY_WORDPRESS_API_MODE || 'default'; // 'default' or 'acf'
 
-// 自动判断API基地址
-const getApiBase = (url) => {
-  if (!url) return null;
-  if (url.includes('wordpress.com')) {
-    // WordPress.com 官方
-    const site = url.replace(/^https?:\/\//, '').replace(/\/$/, '');
-    return `https://public-api.wordpress.com/wp/v2/sites/${site}`;
-  } else {
-    // 自建 WordPress
-    return `${url.replace(/\/$/, '')}/wp-json/wp/v2`;
-  }
-};
+// 自动判断API基地址（自建、子目录、WordPress.com 及其自定义域名）
+const { getApiBase, getSiteName } = require('./src/utils/wordpressUrl');
 
 const API_BASE = getApiBase(WORDPRESS_URL);
 
+// 分页抓取工具：按 X-WP-TotalPages 拉取全部 posts / pages / categories，请求带超时与重试
+const { fetchAllPages, fetchJson } = require('./src/utils/wordpressFetch');
+// HTML 实体解码：标题、摘要与分类名称
+const { decodeEntities, htmlToText } = require('./src/utils/htmlEntities');
+// 阅读时长估算
+const { getReadingTimeOverride, getReadingMinutes, formatReadingTime } = require('./src/utils/readingTime');
+// 分类描述配置解析与校验
+const { parseCategoryConfig } = require('./src/utils/categoryConfig');
+// 站点配置分类的校验与兜底
+const {
+  FALLBACK_CONFIG,
+  CONFIG_SLUGS,
+  ACF_CONFIG_SLUGS,
+  isConfigSlug,
+  fallbackSection,
+  validateCategory,
+  completeSections,
+} = require('./src/utils/contentValidation');
+
 // 导入统一的兜底数据
 const {
   fallbackPosts,
-  fallbackPostsMeta,
-  defaultAuthor,
-  defaultAuthorAvatar
 } = require('./src/data/fallbackData');
+// 作者信息整理
+const { normalizeAuthor } = require('./src/utils/wordpressAuthors');
+// 分类法 term：按 taxonomy 归类，生成 WordPressTag / WordPressCategory / WordPressTerm 节点
+const { termNodeType, termNodeKey, normalizeTerm, getPostTerms, collectTerms } = require('./src/utils/wordpressTerms');
+// 标签 / 分类 / 日期归档与 /posts 列表分页
+const {
+  pagePath,
+  paginate,
+  pageCount,
+  postsPageContext,
+  collectTermArchives,
+  collectDateArchives,
+  dateArchivePath,
+  dateArchiveName,
+} = require('./src/utils/archives');
+// 增量同步：只获取变化的内容，并补充获取 modified 没有变化的新内容
+const { fetchIncrementalContent } = require('./src/utils/incrementalSync');
+// 数据来源的选择：快照模式、增量同步、WordPress 不可用时依次使用缓存、快照和兜底数据，以及内容报告
+const { reportFetchFailures, sourceWordPressContent } = require('./src/utils/contentSourcing');
+// 预览构建：认证访问 WordPress，获取草稿等未发布的文章
+const { isPreviewMode, getAuthHeaders, getPostStatuses } = require('./src/utils/wordpressAuth');
+// 定时发布的文章：构建时已到发布时间的才生成页面
+const { SCHEDULED_STATUS, resolvePostStatus } = require('./src/utils/scheduledPosts');
+// docs/ 中的 Markdown 文章，可代替或合并进 WordPress 文章
+const { getMarkdownDir, getMarkdownMode, loadMarkdownPosts, resolveMarkdownTerms } = require('./src/utils/markdownPosts');
+// 站内搜索索引：构建完成后写入 public/search-index.json
+const { SEARCH_INDEX_FILE, buildSearchIndex } = require('./src/utils/searchIndex');
+const fs = require('fs');
+const path = require('path');
+
+// 所有 WordPress 请求共用的选项：配置了凭据时带上认证请求头
+const getRequestOptions = () => {
+  const headers = getAuthHeaders();
+  return headers ? { headers } : {};
+};
+
+// 获取文章或页面；增量同步时只请求 since 之后修改过的内容，另外获取完整 id 列表用于判断删除，
+// 并补充获取 id 列表中新出现、但 modified 没有变化的内容（existingIds 为缓存中已有节点的 id）
+// statuses 为需要获取的文章状态（默认只有 WordPress 默认的 publish）
+const fetchContent = async (type, since, { statuses = null, existingIds = [] } = {}) => {
+  const options = getRequestOptions();
+  const statusQuery = statuses ? `&status=${statuses.join(',')}` : '';
+  const url = `${API_BASE}/${type}?_embed${statusQuery}`;
+  if (!since) {
+    return { items: await fetchAllPages(url, options), ids: null };
+  }
+  const { items, ids, recovered } = await fetchIncrementalContent(pageUrl => fetchAllPages(pageUrl, options), {
+    url,
+    idsUrl: `${API_BASE}/${type}?_fields=id${statusQuery}`,
+    since,
+    existingIds,
+  });
+  if (recovered > 0) {
+    console.log(`  - ${type}: ${recovered} published without a modified change, fetched by id`);
+  }
+  return { items, ids };
+};
 
 // WordPress API 数据获取函数（兼容两种模式）
-const fetchWordPressData = async () => {
+// since 为上次同步的位置，传入时 posts / pages 只包含变化的内容，postIds / pageIds 为完整 id 列表；
+// existingIds 为缓存中已有节点的 id { posts, pages }
+// 单个接口失败（重试用尽）只影响对应的数据，记录在 failures 中；文章获取失败时返回 null
+const fetchWordPressData = async ({ since = null, existingIds = {} } = {}) => {
+  const failures = [];
+  // 执行单个接口请求，失败时记录并返回 fallbackValue
+  const attempt = (endpoint, task, fallbackValue) => task().catch(error => {
+    failures.push({ endpoint, message: error.message });
+    return fallbackValue;
+  });
+  // 获取失败的内容：列表为空，id 列表未知（增量同步时保留缓存中的节点）
+  const missingContent = { items: [], ids: null };
+  const options = getRequestOptions();
+  // 只获取已发布文章时不带 status 参数（WordPress 默认）
+  const postStatuses = getPostStatuses();
+
   try {
-    if (defaultApiMode === 'acf') {
-      // 付费/自定义 REST 路由模式，分别请求各自路径
-      const [
-        postsResponse,
-        heroResponse,
-        footerResponse,
-        aboutResponse,
-        contactResponse,
-        socialsResponse,
-        commentsResponse,
-        skillsResponse,
-        projectsResponse
-      ] = await Promise.all([
-        fetch(`${API_BASE}/posts?_embed&per_page=100`),
-        fetch(`${API_BASE}/hero`),
-        fetch(`${API_BASE}/footer`),
-        fetch(`${API_BASE}/about`),
-        fetch(`${API_BASE}/contact`),
-        fetch(`${API_BASE}/socials`),
-        fetch(`${API_BASE}/comments`),
-        fetch(`${API_BASE}/skills`),
-        fetch(`${API_BASE}/projects`)
-      ]);
-      const posts = await postsResponse.json();
-      const hero = await heroResponse.json();
-      const footer = await footerResponse.json();
-      const about = await aboutResponse.json();
-      const contact = await contactResponse.json();
-      const socials = await socialsResponse.json();
-      const comments = await commentsResponse.json();
-      const skills = await skillsResponse.json();
-      const projects = await projectsResponse.json();
-      // 组装成 categories 兼容结构
-      const categories = [
-        { slug: 'hero', acf: hero },
-        { slug: 'footer', acf: footer },
-        { slug: 'about', acf: about },
-        { slug: 'contact', acf: contact },
-        { slug: 'socials', acf: socials },
-        { slug: 'comments', acf: comments },
-        { slug: 'skills', acf: skills },
-        { slug: 'projects', acf: projects }
-      ];
-      // pages 依然从 REST API 获取
-      const pagesResponse = await fetch(`${API_BASE}/pages?_embed&per_page=50`);
-      const pages = await pagesResponse.json();
-      return {
-        posts,
-        categories,
-        pages,
-        siteName: WORDPRESS_URL.replace(/^https?:\/\//, '').replace(/\/$/, '')
-      };
-    } else {
+    const fetchCategories = defaultApiMode === 'acf'
+      // 付费/自定义 REST 路由模式，分别请求各自路径，组装成 categories 兼容结构
+      ? Promise.all(ACF_CONFIG_SLUGS.map(slug => attempt(
+        `/${slug}`,
+        async () => ({ slug, acf: (await fetchJson(`${API_BASE}/${slug}`, options)).body }),
+        null
+      ))).then(sections => sections.filter(Boolean))
       // 默认模式，兼容免费版，从 categories 获取
-      const [
-        postsResponse,
-        categoriesResponse,
-        pagesResponse
-      ] = await Promise.all([
-        fetch(`${API_BASE}/posts?_embed&per_page=100`),
-        fetch(`${API_BASE}/categories`),
-        fetch(`${API_BASE}/pages?_embed&per_page=50`)
-      ]);
-      const posts = await postsResponse.json();
-      const categories = await categoriesResponse.json();
-      const pages = await pagesResponse.json();
-      return {
-        posts,
-        categories,
-        pages,
-        siteName: WORDPRESS_URL.replace(/^https?:\/\//, '').replace(/\/$/, '')
-      };
+      : attempt('/categories', () => fetchAllPages(`${API_BASE}/categories`, options), []);
+
+    const [
+      postContent,
+      categories,
+      tags,
+      pageContent
+    ] = await Promise.all([
+      attempt('/posts', () => fetchContent('posts', since, {
+        statuses: postStatuses.length > 1 ? postStatuses : null,
+        existingIds: existingIds.posts,
+      }), null),
+      fetchCategories,
+      attempt('/tags', () => fetchAllPages(`${API_BASE}/tags`, options), []),
+      attempt('/pages', () => fetchContent('pages', since, { existingIds: existingIds.pages }), missingContent)
+    ]);
+
+    if (!postContent) {
+      reportFetchFailures(failures);
+      return null;
     }
+    return {
+      posts: postContent.items,
+      postIds: postContent.ids,
+      categories,
+      tags,
+      pages: pageContent.items,
+      pageIds: pageContent.ids,
+      failures,
+      siteName: getSiteName(WORDPRESS_URL)
+    };
   } catch (error) {
     console.error('Error fetching WordPress data:', error);
     return null;
   }
 };
 
-// 解析分类描述中的 JSON 数据
-const parseCategoryData = (description) => {
-  if (!description) return null;
-  try {
-    // 直接用 eval 解析 description，兼容对象和数组
-    return eval('(' + description + ')');
-  } catch (e) {
-    console.log('Error parsing category data with eval:', e.message);
-    console.log('Description:', description.substring(0, 100));
-    return null;
-  }
+// 导致某个站点配置分类缺失的接口失败，转换成内容报告中的错误
+const sectionFetchErrors = (failures, slug) => failures
+  .filter(failure => failure.endpoint === '/categories' || failure.endpoint === `/${slug}`)
+  .map(failure => ({ path: slug, message: `${failure.endpoint}: ${failure.message}` }));
+
+// 解析普通分类描述中的配置数据（站点配置分类走 validateCategory，这里不做结构校验）
+// 普通分类的描述通常是一段文字，解析失败时返回 null
+const parseCategoryData = (slug, description) => {
+  const { data, errors } = parseCategoryConfig(slug, description);
+  return errors.length > 0 ? null : data;
 };
-// 简单的HTML解码函数（不依赖DOM）
-const decodeHtml = (html) => {
-  if (!html) return '';
-  return html
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#039;/g, "'")
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&#8217;/g, "'")
-    .replace(/&#8216;/g, "'")
-    .replace(/&#8220;/g, '"')
-    .replace(/&#8221;/g, '"')
-    .replace(/&#8211;/g, '–')
-    .replace(/&#8212;/g, '—')
-    .replace(/&#8230;/g, '…')
-    .replace(/&#8242;/g, "'")
-    .replace(/&#8243;/g, '"')
-    .replace(/&#8482;/g, '™')
-    .replace(/&#169;/g, '©')
-    .replace(/&#174;/g, '®')
-    .replace(/&#215;/g, '×')
-    .replace(/&#247;/g, '÷')
-    .replace(/&#176;/g, '°')
-    .replace(/&#177;/g, '±')
-    .replace(/&#181;/g, 'µ')
-    .replace(/&#183;/g, '·')
-    .replace(/&#187;/g, '»')
-    .replace(/&#171;/g, '«')
-    .replace(/&#150;/g, '–')
-    .replace(/&#151;/g, '—')
-    .replace(/&#133;/g, '…');
+
+// 用兜底数据创建配置分类节点（WordPress 中缺失或未配置时）
+const createFallbackCategoryNode = ({ createNode, createNodeId, createContentDigest }, section) => {
+  createNode({
+    id: createNodeId(`fallback-category-${section.slug}`),
+    internal: {
+      type: 'WordPressCategory',
+      contentDigest: createContentDigest(section),
+    },
+    wordpressId: CONFIG_SLUGS.indexOf(section.slug) + 1,
+    name: section.slug,
+    slug: section.slug,
+    description: '',
+    count: 1,
+    taxonomy: 'category',
+    link: '',
+    parsedData: section.data,
+  });
 };
 
-/**
- * @type {import('gatsby').GatsbyNode['sourceNodes']}
- */
-exports.sourceNodes = async ({ actions, createNodeId, createContentDigest }) => {
-  const { createNode } = actions;
-  
-  if (!process.env.GATSBY_WORDPRESS_URL || process.env.GATSBY_WORDPRESS_URL === 'https://your-wordpress-site.com') {
-    // 只要没配 WordPress，全部用 fallbackData
-    const {
-      fallbackPosts,
-      fallbackHero,
-      fallbackAbout,
-      fallbackContact,
-      fallbackSocials,
-      fallbackComments,
-      fallbackFooter,
-      fallbackSkills,
-      fallbackProjects
-    } = require('./src/data/fallbackData');
-    fallbackPosts.forEach(post => {
-      const nodeId = createNodeId(`wordpress-post-${post.id}`);
-      createNode({
-        id: nodeId,
-        internal: {
-          type: 'WordPressPost',
-          contentDigest: createContentDigest(post),
-        },
-        // 文章数据
-        wordpressId: post.id,
-        title: decodeHtml(post.title?.rendered || ''),
-        content: post.content?.rendered || '',
-        excerpt: post.excerpt?.rendered || '',
-        slug: post.slug,
-        date: post.date,
-        modified: post.modified,
-        author: defaultAuthor,
-        authorAvatar: post._embedded?.author?.[0]?.avatar_urls?.['96'] || defaultAuthorAvatar,
-        featuredImage: post.jetpack_featured_media_url || post._embedded?.['wp:featuredmedia']?.[0]?.source_url || '',
-        categories: post._embedded?.['wp:term']?.[0]?.map(cat => cat.name) || [],
-        tags: post._embedded?.['wp:term']?.[1]?.map(tag => tag.name) || [],
-        // 计算阅读时间（基于内容长度）
-        readTime: Math.ceil((post.content?.rendered?.length || 0) / 1000) + ' min read',
-      });
-    });
-    // 注入所有分类数据
-    const fallbackCategories = [
-      { name: 'hero', slug: 'hero', description: '', parsedData: fallbackHero },
-      { name: 'about', slug: 'about', description: '', parsedData: fallbackAbout }, 
-      { name: 'contact', slug: 'contact', description: '', parsedData: fallbackContact },
-      { name: 'socials', slug: 'socials', description: '', parsedData: fallbackSocials },
-      { name: 'comments', slug: 'comments', description: '', parsedData: fallbackComments },
-      { name: 'footer', slug: 'footer', description: '', parsedData: fallbackFooter },
-      { name: 'skills', slug: 'skills', description: '', parsedData: fallbackSkills },
-      { name: 'projects', slug: 'projects', description: '', parsedData: fallbackProjects },
-    ];
-    fallbackCategories.forEach((cat, idx) => {
-      createNode({
-        id: createNodeId(`fallback-category-${cat.slug}`),
-        internal: {
-          type: 'WordPressCategory',
-          contentDigest: createContentDigest(cat),
-        },
-        wordpressId: idx + 1,
-        name: cat.name,
-        slug: cat.slug,
-        description: cat.description,
-        count: 1,
-        parsedData: cat.parsedData,
-      });
-    });
-    return;
-  }
-  
-  console.log('🔄 Fetching WordPress data...');
-  
-  // 获取 WordPress 数据
-  const wpData = await fetchWordPressData();
-  
-  if (!wpData) {
-    console.log('⚠️  WordPress data fetch failed, using fallback data');
-    return;
-  }
-  
-  const { posts, categories, pages, siteName } = wpData;
-  
-  console.log(`✅ Fetched ${posts.length} posts, ${categories.length} categories, ${pages.length} pages`);
+// 创建文章节点，同时为每位作者创建一个 WordPressAuthor 节点，文章通过 authorProfile 关联作者；
+// 文章的 categories / tags / terms 通过节点 id 关联对应的分类法节点
+// categories 为 /categories 接口返回的分类，它们在 sourceNodes 中单独创建（需要解析配置），这里不重复创建
+// 生产构建只保留已发布和定时发布的文章，预览构建保留草稿、待审和私密文章；
+// 定时文章的状态按构建时间计算，发布时间已过的视为已发布
+const createPostNodes = ({ createNode, createNodeId, createContentDigest }, allPosts, { categories = [], tags = [] } = {}) => {
+  const buildTime = Date.now();
+  const posts = allPosts
+    .map(post => ({ ...post, status: resolvePostStatus(post, buildTime) }))
+    .filter(post => isPreviewMode() || post.status === 'publish' || post.status === SCHEDULED_STATUS);
+  const authors = new Map();
+  posts.forEach(post => {
+    const author = normalizeAuthor(post);
+    const authorNodeId = createNodeId(`wordpress-author-${author.slug}`);
+    if (!authors.has(authorNodeId)) authors.set(authorNodeId, author);
+
+    const terms = getPostTerms(post);
+    const readingMinutes = getReadingMinutes(post.content?.rendered, { override: getReadingTimeOverride(post) });
+    const termIds = (match) => terms.filter(match).map(term => createNodeId(termNodeKey(term)));
 
-  console.log("posts",JSON.stringify(posts));
-  
-  // 创建 WordPress 文章节点
-  posts.forEach((post, index) => {
-    const nodeId = createNodeId(`wordpress-post-${post.id}`);
-    
     createNode({
-      id: nodeId,
+      id: createNodeId(`wordpress-post-${post.id}`),
       internal: {
         type: 'WordPressPost',
         contentDigest: createContentDigest(post),
       },
       // 文章数据
       wordpressId: post.id,
-      title: decodeHtml(post.title?.rendered || ''),
+      title: decodeEntities(post.title?.rendered),
       content: post.content?.rendered || '',
-      excerpt: post.excerpt?.rendered || '',
-      slug: post.slug,
+      excerpt: htmlToText(post.excerpt?.rendered),
+      // 草稿在发布前可能还没有 slug
+      slug: post.slug || `preview-${post.id}`,
+      status: post.status,
       date: post.date,
       modified: post.modified,
-      author: defaultAuthor,
-      authorAvatar: post._embedded?.author?.[0]?.avatar_urls?.['96'] || defaultAuthorAvatar,
+      author: author.name,
+      authorAvatar: author.avatar,
+      authorProfile: authorNodeId,
+      source: post.source || 'wordpress',
       featuredImage: post.jetpack_featured_media_url || post._embedded?.['wp:featuredmedia']?.[0]?.source_url || '',
-      categories: post._embedded?.['wp:term']?.[0]?.map(cat => cat.name) || [],
-      tags: post._embedded?.['wp:term']?.[1]?.map(tag => tag.name) || [],
-      // 计算阅读时间（基于内容长度）
-      readTime: Math.ceil((post.content?.rendered?.length || 0) / 1000) + ' min read',
+      categories: termIds(term => term.taxonomy === 'category'),
+      tags: termIds(term => term.taxonomy === 'post_tag'),
+      terms: termIds(term => term.taxonomy !== 'category' && term.taxonomy !== 'post_tag'),
+      // 阅读时长（分钟），文章可以手动指定
+      readingMinutes,
+      readTime: formatReadingTime(readingMinutes),
+    });
+  });
+
+  authors.forEach((author, authorNodeId) => {
+    createNode({
+      id: authorNodeId,
+      internal: {
+        type: 'WordPressAuthor',
+        contentDigest: createContentDigest(author),
+      },
+      ...author,
     });
   });
+
+  const sourcedCategories = new Set(categories.map(category => termNodeKey(normalizeTerm(category, 'category'))));
+  collectTerms(posts, tags.map(tag => normalizeTerm(tag, 'post_tag'))).forEach((term, key) => {
+    if (sourcedCategories.has(key)) return;
+    createNode({
+      id: createNodeId(key),
+      internal: {
+        type: termNodeType(term.taxonomy),
+        contentDigest: createContentDigest(term),
+      },
+      ...term,
+    });
+  });
+};
+
+// 按 GATSBY_MARKDOWN_POSTS 把 Markdown 文章替换或合并进文章列表
+const withMarkdownPosts = (posts, { categories = [], tags = [] } = {}) => {
+  const mode = getMarkdownMode();
+  if (mode === 'off') return posts;
+  const knownTerms = [
+    ...categories.map(category => ({ ...category, taxonomy: 'category' })),
+    ...tags.map(tag => ({ ...tag, taxonomy: 'post_tag' })),
+  ];
+  const markdownPosts = resolveMarkdownTerms(loadMarkdownPosts(), knownTerms);
+  console.log(`📄 Loaded ${markdownPosts.length} Markdown posts from ${getMarkdownDir()} (${mode})`);
+  return mode === 'replace' ? markdownPosts : [...posts, ...markdownPosts];
+};
+
+// 用 fallbackData 创建文章与全部配置分类节点（未配置 WordPress，或获取失败且没有上次成功同步的数据时）
+// 返回各配置区块的结果，用于内容报告
+const createFallbackNodes = (nodeHelpers, reason) => {
+  createPostNodes(nodeHelpers, withMarkdownPosts(fallbackPosts));
+  // 注入所有分类数据
+  const sections = CONFIG_SLUGS.map(slug => fallbackSection(slug, reason));
+  sections.forEach(section => createFallbackCategoryNode(nodeHelpers, section));
+  return sections;
+};
+
+// 用 WordPress 数据（本次获取的，或上次成功同步保存的）创建文章、分类、页面和站点配置节点
+// 返回各配置区块的校验结果，用于内容报告
+const createWordPressNodes = (nodeHelpers, { posts, categories, tags, pages, siteName, wordpressUrl = WORDPRESS_URL, failures = [] }) => {
+  const { createNode, createNodeId, createContentDigest } = nodeHelpers;
+  
+  // 创建 WordPress 文章（以及 Markdown 文章）、作者与标签等分类法节点
+  createPostNodes(nodeHelpers, withMarkdownPosts(posts, { categories, tags }), { categories, tags });
   
   // 创建 WordPress 分类节点
   console.log('📋 Processing categories:');
@@ -285,66 +302,22 @@ exports.sourceNodes = async ({ actions, createNodeId, createContentDigest }) =>
     console.log(`  - ${category.name} (${category.slug})`);
   });
   
+  const sections = [];
   categories.forEach((category) => {
-    const nodeId = createNodeId(`wordpress-category-${category.id}`);
-    
-    // 根据分类 slug 确定对应的兜底数据
-    const isHero = category.slug === 'hero';
-    const isContact = category.slug === 'contact';
-    const isSocials = category.slug === 'socials';
-    const isComments = category.slug === 'comments';
-    const isPosts = category.slug === 'posts';
-    const isAbout = category.slug === 'about';
-    const isFooter = category.slug === 'footer';
-    const isSkills = category.slug === 'skills';
-    const isProjects = category.slug === 'projects';
+    const nodeId = createNodeId(`wordpress-category-${category.id ?? category.slug}`);
     
     let parsedData = null;
-    if (category.acf && Object.keys(category.acf).length > 0) {
-      parsedData = category.acf;
-    } else {
-      parsedData = parseCategoryData(category.description);
-    }
     let description = category.description;
-    
-    // 为每个分类设置兜底数据
-    if (isHero && (!parsedData || !parsedData.basic || !parsedData.basic.title)) {
-      console.log('🔍 Hero category found, but data is missing or invalid:');
-      console.log('  - Category name:', category.name);
-      console.log('  - Category slug:', category.slug);
-      console.log('  - Raw description:', category.description);
-      console.log('  - Parsed data:', parsedData);
-      console.log('  - Using fallback data:', fallbackHero);
-      parsedData = fallbackHero;
-    }
-    if (isContact && (!parsedData || !parsedData.title)) {
-      parsedData = fallbackContact;
-    }
-    if (isSocials && (!parsedData || !parsedData.socials)) {
-      parsedData = fallbackSocials;
-    }
-    if (isComments) {
-      if (!parsedData || !Array.isArray(parsedData.rules)) {
-        parsedData = fallbackComments;
-      }
-      if (!description || !description.trim()) {
-        description = fallbackComments.description;
-      }
-    }
-    if (isPosts && (!parsedData || !parsedData.title)) {
-      parsedData = fallbackPostsMeta;
-    }
-    if (isAbout && (!parsedData || !parsedData.title)) {
-      parsedData = fallbackAbout;
-    }
-    if (isFooter && (!parsedData || !parsedData.text)) {
-      parsedData = fallbackFooter;
-    }
-    if (isSkills && (!parsedData || !Array.isArray(parsedData))) {
-      parsedData = fallbackSkills;
+    if (isConfigSlug(category.slug)) {
+      // 站点配置分类：校验失败时使用兜底数据，并记录到报告
+      const section = validateCategory(category);
+      sections.push(section);
+      parsedData = section.data;
+    } else {
+      parsedData = parseCategoryData(category.slug, category.description);
     }
-    if (isProjects && (!parsedData || !Array.isArray(parsedData))) {
-      parsedData = fallbackProjects;
+    if (category.slug === 'comments' && (!description || !description.trim())) {
+      description = FALLBACK_CONFIG.comments.description;
     }
     
     createNode({
@@ -355,15 +328,26 @@ exports.sourceNodes = async ({ actions, createNodeId, createContentDigest }) =>
       },
       // 分类数据
       wordpressId: category.id,
-      name: category.name,
+      name: decodeEntities(category.name),
       slug: category.slug,
       description: description,
       count: category.count,
+      taxonomy: 'category',
+      link: category.link || '',
       // 解析分类描述中的 JSON 数据
       parsedData: parsedData,
     });
   });
   
+  // WordPress 中不存在或接口请求失败的配置分类，同样用兜底数据补齐；ACF 模式下没有路由的分类不算回退
+  completeSections(sections, {
+    availableSlugs: defaultApiMode === 'acf' ? ACF_CONFIG_SLUGS : CONFIG_SLUGS,
+    fetchErrors: slug => sectionFetchErrors(failures, slug),
+  }).forEach(section => {
+    sections.push(section);
+    createFallbackCategoryNode(nodeHelpers, section);
+  });
+  
   // 创建 WordPress 页面节点
   pages.forEach((page) => {
     const nodeId = createNodeId(`wordpress-page-${page.id}`);
@@ -376,9 +360,9 @@ exports.sourceNodes = async ({ actions, createNodeId, createContentDigest }) =>
       },
       // 页面数据
       wordpressId: page.id,
-      title: page.title?.rendered || '',
+      title: decodeEntities(page.title?.rendered),
       content: page.content?.rendered || '',
-      excerpt: page.excerpt?.rendered || '',
+      excerpt: htmlToText(page.excerpt?.rendered),
       slug: page.slug,
       date: page.date,
       modified: page.modified,
@@ -395,10 +379,62 @@ exports.sourceNodes = async ({ actions, createNodeId, createContentDigest }) =>
       contentDigest: createContentDigest(siteName),
     },
     siteName,
-    wordpressUrl: WORDPRESS_URL,
+    wordpressUrl,
   });
   
-  console.log('✅ WordPress data nodes created successfully');
+  return sections;
+};
+
+/**
+ * @type {import('gatsby').GatsbyNode['sourceNodes']}
+ */
+exports.sourceNodes = async ({ actions, createNodeId, createContentDigest, reporter, cache, getNode, getNodesByType }) => {
+  const nodeHelpers = { createNode: actions.createNode, createNodeId, createContentDigest };
+  // 数据来源的选择（快照、增量同步、WordPress 不可用时的兜底）见 src/utils/contentSourcing.js
+  await sourceWordPressContent({ actions, reporter, cache, getNode, getNodesByType }, {
+    source: API_BASE,
+    wordpressUrl: WORDPRESS_URL,
+    fetchData: fetchWordPressData,
+    createNodes: data => createWordPressNodes(nodeHelpers, data),
+    createFallbackNodes: reason => createFallbackNodes(nodeHelpers, reason),
+  });
+};
+
+// 列表页使用的文章摘要（不含正文）
+const toPostSummary = (post) => ({
+  id: post.wordpressId,
+  title: post.title,
+  slug: post.slug,
+  date: post.date,
+  excerpt: post.excerpt,
+  tags: post.tags,
+  readTime: post.readTime,
+  readingMinutes: post.readingMinutes,
+  featuredImage: post.featuredImage,
+});
+
+// GraphQL 查询失败时，把 fallbackData 中的原始文章整理成文章页使用的结构（标签取 _embed 中的 term）
+const toFallbackPostContext = (post) => {
+  const author = normalizeAuthor(post);
+  const readingMinutes = getReadingMinutes(post.content?.rendered, { override: getReadingTimeOverride(post) });
+  return {
+    id: post.id,
+    title: decodeEntities(post.title?.rendered),
+    subtitle: decodeEntities(post.title?.rendered),
+    author: author.name,
+    authorAvatar: author.avatar,
+    // 查询失败时不生成作者页，不链接到作者页
+    authorSlug: null,
+    status: 'publish',
+    tags: getPostTerms(post)
+      .filter(term => term.taxonomy === 'post_tag')
+      .map(({ name, slug }) => ({ name, slug })),
+    readTime: formatReadingTime(readingMinutes),
+    readingMinutes,
+    date: post.date,
+    excerpt: htmlToText(post.excerpt?.rendered),
+    content: post.content?.rendered || '',
+  };
 };
 
 /**
@@ -412,20 +448,41 @@ exports.createPages = async ({ actions, graphql }) => {
   // 查询 WordPress 文章数据
   const result = await graphql(`
     query {
-      allWordPressPost {
+      allWordPressPost(sort: {date: DESC}) {
         nodes {
           wordpressId
           title
           slug
+          status
           excerpt
           content
           date
           author
           authorAvatar
+          authorProfile {
+            slug
+          }
           featuredImage
-          categories
-          tags
+          categories {
+            name
+            slug
+          }
+          tags {
+            name
+            slug
+          }
           readTime
+          readingMinutes
+        }
+      }
+      allWordPressAuthor(sort: {name: ASC}) {
+        nodes {
+          wordpressId
+          name
+          slug
+          description
+          url
+          avatar
         }
       }
     }
@@ -440,7 +497,7 @@ exports.createPages = async ({ actions, graphql }) => {
         component: require.resolve("./src/pages/post/[slug].js"),
         context: {
           slug: post.slug,
-          post: post
+          post: toFallbackPostContext(post),
         },
       });
     });
@@ -448,9 +505,22 @@ exports.createPages = async ({ actions, graphql }) => {
   }
   
   const posts = result.data.allWordPressPost.nodes;
+  // 列表类页面（作者、标签、分类归档）只包含已发布的文章；草稿只有自己的预览页
+  const publishedPosts = posts.filter(post => post.status === 'publish');
+  // 还没到发布时间的定时文章不生成页面（预览构建除外）
+  const scheduledPosts = posts.filter(post => post.status === SCHEDULED_STATUS);
+  const pagePosts = isPreviewMode() ? posts : posts.filter(post => post.status !== SCHEDULED_STATUS);
+  // 只为有已发布文章的作者生成作者页；只有定时文章或草稿的作者没有作者页，文章页也不链接过去
+  const authorPages = result.data.allWordPressAuthor.nodes
+    .map(author => ({
+      author,
+      posts: publishedPosts.filter(post => post.authorProfile?.slug === author.slug).map(toPostSummary),
+    }))
+    .filter(({ posts: authorPosts }) => authorPosts.length > 0);
+  const authorPageSlugs = new Set(authorPages.map(({ author }) => author.slug));
   
   // 为每篇 WordPress 文章创建页面
-  posts.forEach(post => {
+  pagePosts.forEach(post => {
     createPage({
       path: `/post/${post.slug}`,
       component: require.resolve("./src/pages/post/[slug].js"),
@@ -462,8 +532,11 @@ exports.createPages = async ({ actions, graphql }) => {
           subtitle: post.title, // 可以后续从 WordPress 自定义字段获取
           author: post.author,
           authorAvatar: post.authorAvatar,
+          authorSlug: authorPageSlugs.has(post.authorProfile?.slug) ? post.authorProfile.slug : null,
+          status: post.status,
           tags: post.tags,
           readTime: post.readTime,
+          readingMinutes: post.readingMinutes,
           date: post.date,
           excerpt: post.excerpt,
           content: post.content,
@@ -472,7 +545,119 @@ exports.createPages = async ({ actions, graphql }) => {
     });
   });
   
-  console.log(`✅ Created ${posts.length} post pages`);
+  console.log(`✅ Created ${pagePosts.length} post pages`);
+  if (scheduledPosts.length > 0) {
+    console.log(`⏰ ${scheduledPosts.length} scheduled posts are not published yet (next: ${scheduledPosts.map(post => post.date).sort()[0]})`);
+  }
+  pagePosts
+    .filter(post => post.status !== 'publish')
+    .forEach(post => console.log(`  👁  ${post.status} preview: /post/${post.slug}`));
+  
+  // 为每位作者创建文章列表页 /author/:slug
+  authorPages.forEach(({ author, posts: authorPosts }) => {
+    createPage({
+      path: `/author/${author.slug}`,
+      component: require.resolve("./src/pages/author/[slug].js"),
+      context: {
+        slug: author.slug,
+        author,
+        posts: authorPosts,
+      },
+    });
+  });
+  
+  console.log(`✅ Created ${authorPages.length} author pages`);
+  
+  // 标签与分类归档页 /tag/:slug、/category/:slug（带分页），站点配置分类不生成归档
+  const termArchives = [
+    { kind: 'tag', archives: collectTermArchives(publishedPosts, 'tags') },
+    { kind: 'category', archives: collectTermArchives(publishedPosts, 'categories', { exclude: CONFIG_SLUGS }) },
+  ];
+  termArchives.forEach(({ kind, archives }) => {
+    archives.forEach(archive => {
+      const basePath = `/${kind}/${archive.slug}`;
+      const pages = paginate(archive.posts.map(toPostSummary));
+      pages.forEach((pagePosts, index) => {
+        createPage({
+          path: pagePath(basePath, index + 1),
+          component: require.resolve(`./src/pages/${kind}/[slug].js`),
+          context: {
+            slug: archive.slug,
+            name: archive.name,
+            basePath,
+            totalCount: archive.posts.length,
+            currentPage: index + 1,
+            numPages: pages.length,
+            posts: pagePosts,
+          },
+        });
+      });
+    });
+    console.log(`✅ Created ${archives.length} ${kind} archives`);
+  });
+
+  // 按年、月归档 /archive/:year、/archive/:year/:month（不分页，年归档页按月分组显示）
+  // newer / older 为时间上相邻的同级归档，用于页面底部的前后导航
+  const toArchiveLink = (archive) => archive && {
+    name: dateArchiveName(archive.year, archive.month),
+    path: dateArchivePath(archive.year, archive.month),
+  };
+  const yearArchives = collectDateArchives(publishedPosts);
+  yearArchives.forEach((archive, index) => {
+    createPage({
+      path: dateArchivePath(archive.year),
+      component: require.resolve('./src/pages/archive/[year].js'),
+      context: {
+        year: archive.year,
+        name: dateArchiveName(archive.year),
+        totalCount: archive.posts.length,
+        months: archive.months.map(month => ({
+          ...toArchiveLink(month),
+          posts: month.posts.map(toPostSummary),
+        })),
+        newer: toArchiveLink(yearArchives[index - 1]),
+        older: toArchiveLink(yearArchives[index + 1]),
+      },
+    });
+  });
+  const monthArchives = yearArchives.flatMap(archive => archive.months);
+  monthArchives.forEach((archive, index) => {
+    createPage({
+      path: dateArchivePath(archive.year, archive.month),
+      component: require.resolve('./src/pages/archive/[year]/[month].js'),
+      context: {
+        year: archive.year,
+        month: archive.month,
+        name: dateArchiveName(archive.year, archive.month),
+        totalCount: archive.posts.length,
+        posts: archive.posts.map(toPostSummary),
+        newer: toArchiveLink(monthArchives[index - 1]),
+        older: toArchiveLink(monthArchives[index + 1]),
+      },
+    });
+  });
+  console.log(`✅ Created ${yearArchives.length} year and ${monthArchives.length} month archives`);
+
+  // 文章列表分页 /posts/2、/posts/3 …；第一页 /posts 由 src/pages/posts.js 自动创建，分页参数在 onCreatePage 中补充
+  const numPostsPages = pageCount(publishedPosts.length, postsPageContext(1).limit);
+  for (let page = 2; page <= numPostsPages; page++) {
+    createPage({
+      path: pagePath('/posts', page),
+      component: require.resolve('./src/pages/posts.js'),
+      context: postsPageContext(page),
+    });
+  }
+  console.log(`✅ Created ${numPostsPages} posts listing pages`);
+};
+
+/**
+ * @type {import('gatsby').GatsbyNode['onCreatePage']}
+ */
+exports.onCreatePage = ({ page, actions }) => {
+  // src/pages/posts.js 自动创建的 /posts 是文章列表的第一页
+  if (page.component !== require.resolve('./src/pages/posts.js') || page.context.currentPage) return;
+  actions.deletePage(page);
+  actions.createPage({ ...page, context: { ...page.context, ...postsPageContext(1) } });
 };
 
 /**
@@ -492,10 +677,33 @@ exports.createSchemaCustomization = ({ actions }) => {
       modified: Date! @dateformat
       author: String!
       authorAvatar: String
+      authorProfile: WordPressAuthor @link
+      # wordpress 或 markdown（docs/ 中的本地文章）
+      source: String!
+      # publish；预览构建中还有 draft、pending、private
+      status: String!
       featuredImage: String
-      categories: [String!]!
-      tags: [String!]!
+      categories: [WordPressCategory!]! @link
+      tags: [WordPressTag!]! @link
+      terms: [WordPressTerm!]! @link
       readTime: String!
+      readingMinutes: Int!
+    }
+    
+    type WordPressAuthor implements Node {
+      wordpressId: Int!
+      name: String!
+      slug: String!
+      description: String
+      url: String
+      link: String
+      avatar: String
+      avatars: [WordPressAvatar!]!
+    }
+    
+    type WordPressAvatar {
+      size: Int!
+      url: String!
     }
     
     type WordPressCategory implements Node {
@@ -504,9 +712,32 @@ exports.createSchemaCustomization = ({ actions }) => {
       slug: String!
       description: String!
       count: Int!
+      taxonomy: String!
+      link: String
       parsedData: JSON
     }
     
+    type WordPressTag implements Node {
+      wordpressId: Int!
+      name: String!
+      slug: String!
+      description: String!
+      count: Int!
+      taxonomy: String!
+      link: String
+    }
+    
+    # 自定义分类法（register_taxonomy 且 show_in_rest 的分类法）
+    type WordPressTerm implements Node {
+      wordpressId: Int!
+      taxonomy: String!
+      name: String!
+      slug: String!
+      description: String!
+      count: Int!
+      link: String
+    }
+    
     type WordPressPage implements Node {
       wordpressId: Int!
       title: String!
@@ -526,3 +757,39 @@ exports.createSchemaCustomization = ({ actions }) => {
   
   createTypes(typeDefs);
 };
+
+/**
+ * @type {import('gatsby').GatsbyNode['onPostBuild']}
+ */
+exports.onPostBuild = async ({ graphql, reporter }) => {
+  // 只索引已发布的文章，与 /posts 页面一致
+  const result = await graphql(`
+    query {
+      allWordPressPost(filter: {status: {eq: "publish"}}, sort: {date: DESC}) {
+        nodes {
+          slug
+          title
+          date
+          excerpt
+          content
+          featuredImage
+          tags {
+            name
+            slug
+          }
+        }
+      }
+    }
+  `);
+
+  if (result.errors) {
+    reporter.warn(`Search index was not generated: ${result.errors[0].message}`);
+    return;
+  }
+
+  const index = buildSearchIndex(result.data.allWordPressPost.nodes);
+  const filePath = path.join('public', SEARCH_INDEX_FILE);
+  const json = JSON.stringify(index);
+  fs.writeFileSync(filePath, json);
+  console.log(`🔎 Search index: ${index.posts.length} posts, ${Math.ceil(Buffer.byteLength(json) / 1024)} KB (${filePath})`);
+};
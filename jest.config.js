@@ -1,8 +1,10 @@
 module.exports = {
   testEnvironment: 'jsdom',
   setupFilesAfterEnv: ['<rootDir>/jest.setup.js'],
-  moduleNameMapping: {
-    '\\.(css|less|scss|sass)$': 'identity-obj-proxy',
+  moduleNameMapper: {
+    '\\.(css|less|scss|sass)$': '<rootDir>/test-utils/styleMock.js',
+    // Gatsby 5 在 webpack 中把 @reach/router 指向自带的 fork
+    '^@reach/router$': '@gatsbyjs/reach-router',
   },
   transform: {
     '^.+\\.(js|jsx)$': 'babel-jest',
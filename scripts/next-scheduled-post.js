@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+// 输出下一篇定时文章的发布时间（UTC ISO 格式），供 cron 在文章发布时触发重新构建
+// 用法：node scripts/next-scheduled-post.js [--json]
+// 没有定时文章时不输出内容；获取失败时退出码为 1
+// 读取 .env.<NODE_ENV> 中的 GATSBY_WORDPRESS_URL 与凭据（WORDPRESS_JWT，或 WORDPRESS_USERNAME + WORDPRESS_APP_PASSWORD）
+
+require('dotenv').config({
+  path: `.env.${process.env.NODE_ENV || 'development'}`,
+});
+
+const { getApiBase } = require('../src/utils/wordpressUrl');
+const { fetchAllPages } = require('../src/utils/wordpressFetch');
+const { getAuthHeaders } = require('../src/utils/wordpressAuth');
+const { SCHEDULED_STATUS, getPublishTime, getNextScheduledPost } = require('../src/utils/scheduledPosts');
+
+async function main() {
+  const json = process.argv.includes('--json');
+  const apiBase = getApiBase(process.env.GATSBY_WORDPRESS_URL);
+  if (!apiBase) {
+    throw new Error('GATSBY_WORDPRESS_URL is not set');
+  }
+  // 定时文章只有认证后才能获取
+  const headers = getAuthHeaders();
+  if (!headers) {
+    throw new Error('Scheduled posts need WORDPRESS_USERNAME and WORDPRESS_APP_PASSWORD, or WORDPRESS_JWT');
+  }
+
+  const posts = await fetchAllPages(
+    `${apiBase}/posts?status=${SCHEDULED_STATUS}&_fields=id,slug,title,date,date_gmt,status`,
+    { headers }
+  );
+  const next = getNextScheduledPost(posts);
+
+  if (json) {
+    console.log(JSON.stringify(next && {
+      publishAt: new Date(getPublishTime(next)).toISOString(),
+      id: next.id,
+      slug: next.slug,
+      title: next.title?.rendered || '',
+    }));
+    return;
+  }
+  if (next) {
+    console.log(new Date(getPublishTime(next)).toISOString());
+  }
+}
+
+main().catch(error => {
+  console.error(`Could not get the next scheduled post: ${error.message}`);
+  process.exit(1);
+});
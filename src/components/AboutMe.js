@@ -2,6 +2,7 @@ import * as React from "react"
 import { useEffect, useRef, useState } from "react"
 import { useStaticQuery, graphql } from "gatsby"
 import { aboutStyles } from '../styles/homeStyles'
+import { useAboutFromCategory, useProjectsFromCategory, useSkillsFromCategory, liveOptions } from '../hooks/useWordPress'
 
 const AboutMe = () => {
   const cardRef = useRef(null)
@@ -30,9 +31,10 @@ const AboutMe = () => {
     }
   `);
 
-  const aboutData = data.aboutCategory?.nodes[0]?.parsedData || null;
-  const projectsData = data.projectsCategory?.nodes[0]?.parsedData || [];
-  const skillsData = data.skillsCategory?.nodes[0]?.parsedData || [];
+  // 实时模式下先显示构建时的数据，再用运行时 API 的数据更新
+  const { aboutData } = useAboutFromCategory(liveOptions(data.aboutCategory?.nodes[0]?.parsedData || null));
+  const { projects: projectsData } = useProjectsFromCategory(liveOptions(data.projectsCategory?.nodes[0]?.parsedData || []));
+  const { skills: skillsData } = useSkillsFromCategory(liveOptions(data.skillsCategory?.nodes[0]?.parsedData || []));
 
   // 延迟显示卡片，避免布局计算导致的闪现
   useEffect(() => {
@@ -0,0 +1,47 @@
+import * as React from "react"
+import { useMemo } from "react"
+import { navigate } from "gatsby"
+import { usePostsIndex } from "../hooks/usePostsIndex"
+import { collectDateArchives, dateArchivePath, dateArchiveName } from "../utils/archives"
+
+// 按年、月浏览归档的下拉菜单，显示每个年份 / 月份的文章数，选择后跳转到 /archive/:year 或 /archive/:year/:month
+// currentPath 为当前所在的归档页路径（不在归档页时不传）
+const ArchiveNavigator = ({ currentPath = '' }) => {
+  const posts = usePostsIndex()
+  const archives = useMemo(() => collectDateArchives(posts), [posts])
+
+  if (archives.length === 0) return null
+
+  return (
+    <select
+      aria-label="Browse archive"
+      value={currentPath}
+      onChange={(e) => e.target.value && navigate(e.target.value)}
+      style={{
+        padding: '0.5rem 0.75rem',
+        fontSize: '0.95rem',
+        border: '2px solid #e9ecef',
+        borderRadius: '8px',
+        background: 'white',
+        color: '#333',
+        cursor: 'pointer',
+      }}
+    >
+      <option value="">Browse archive…</option>
+      {archives.map(archive => (
+        <optgroup key={archive.year} label={dateArchiveName(archive.year)}>
+          <option value={dateArchivePath(archive.year)}>
+            All of {archive.year} ({archive.posts.length})
+          </option>
+          {archive.months.map(month => (
+            <option key={month.month} value={dateArchivePath(month.year, month.month)}>
+              {dateArchiveName(month.year, month.month)} ({month.posts.length})
+            </option>
+          ))}
+        </optgroup>
+      ))}
+    </select>
+  )
+}
+
+export default ArchiveNavigator
@@ -0,0 +1,93 @@
+import * as React from "react"
+import Layout from "./layout"
+import Seo from "./seo"
+import PostList from "./PostList"
+import ArchiveNavigator from "./ArchiveNavigator"
+import { dateArchivePath, isValidDateArchive } from "../utils/archives"
+
+const navLinkStyle = {
+  color: '#179b8e',
+  textDecoration: 'none',
+  fontWeight: 600,
+}
+
+// 年 / 月归档页，pageContext 由 gatsby-node.js 的 createPages 提供
+// 年归档页的 months 为按月分组的文章，月归档页直接使用 posts；newer / older 为相邻的归档 { name, path }
+const DateArchive = ({ pageContext }) => {
+  const { year, month, name, totalCount = 0, months, posts = [], newer, older } = pageContext
+
+  // 没有文章的年 / 月或格式不对的地址会落到客户端路由，此时 pageContext 中没有归档数据
+  if (!name || !isValidDateArchive(year, month)) {
+    return (
+      <Layout>
+        <div style={{ padding: '4rem', textAlign: 'center' }}>Archive not found</div>
+      </Layout>
+    )
+  }
+
+  const description = `${totalCount} ${totalCount === 1 ? 'post' : 'posts'} published in ${name}.`
+
+  return (
+    <Layout>
+      <Seo title={`Archive: ${name}`} description={description} />
+      <style dangerouslySetInnerHTML={{
+        __html: `
+          .posts-page-container {
+            max-width: 1200px !important;
+            margin: 0 auto !important;
+            padding: 0 2rem !important;
+          }
+        `
+      }} />
+      <main className="posts-page-container">
+        <div style={{ textAlign: 'center', marginBottom: '3rem' }}>
+          <p style={{ fontSize: '1rem', color: '#888', margin: '0 0 0.5rem 0', textTransform: 'uppercase', letterSpacing: '0.08em' }}>
+            {month ? <a href={dateArchivePath(year)} style={{ color: 'inherit' }}>Archive · {year}</a> : 'Archive'}
+          </p>
+          <h1 style={{
+            fontSize: '2.5rem',
+            fontWeight: '800',
+            marginBottom: '1rem',
+            background: 'linear-gradient(90deg, #76cfc5 0%, #ffb400 100%)',
+            WebkitBackgroundClip: 'text',
+            backgroundClip: 'text',
+            color: 'transparent'
+          }}>
+            {name}
+          </h1>
+          <p style={{ fontSize: '1.2rem', color: '#666', margin: '0 auto 1.5rem auto' }}>
+            {description}
+          </p>
+          <ArchiveNavigator currentPath={year ? dateArchivePath(year, month) : ''} />
+        </div>
+        {months ? (
+          months.map(section => (
+            <section key={section.path} style={{ marginBottom: '2.5rem' }}>
+              <h2 style={{ fontSize: '1.4rem', fontWeight: 700, margin: '0 0 1rem 0' }}>
+                <a href={section.path} style={{ color: '#179b8e', textDecoration: 'none' }}>{section.name}</a>
+                <span style={{ color: '#888', fontSize: '1rem', fontWeight: 400, marginLeft: '0.75rem' }}>
+                  {section.posts.length}
+                </span>
+              </h2>
+              <PostList posts={section.posts} />
+            </section>
+          ))
+        ) : (
+          <PostList posts={posts} />
+        )}
+        {(newer || older) && (
+          <nav aria-label="Archive navigation" style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            margin: '2.5rem 0',
+          }}>
+            {newer ? <a href={newer.path} style={navLinkStyle}>← {newer.name}</a> : <span />}
+            {older ? <a href={older.path} style={navLinkStyle}>{older.name} →</a> : <span />}
+          </nav>
+        )}
+      </main>
+    </Layout>
+  )
+}
+
+export default DateArchive
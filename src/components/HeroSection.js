@@ -2,6 +2,7 @@ import * as React from "react"
 import { Link } from "gatsby"
 import { useStaticQuery, graphql } from "gatsby"
 import { heroStyles } from '../styles/homeStyles'
+import { useHeroFromCategory, useSocialMediaFromCategory, liveOptions } from '../hooks/useWordPress'
 
 // 鼠标悬停事件处理函数
 function handleBtnMouseOver(e) {
@@ -63,13 +64,15 @@ const HeroSection = () => {
     }
   `);
 
-  const heroData = data.heroCategory?.nodes[0]?.parsedData || null;
-  const socialMediaData = data.socialsCategory?.nodes[0]?.parsedData || {};
+  const buildHero = data.heroCategory?.nodes[0]?.parsedData || null;
+  const buildSocials = data.socialsCategory?.nodes[0]?.parsedData?.socials;
 
-  // 适配对象结构：只取 social 字段数组
-  const socialMediaForHome = Array.isArray(socialMediaData.socials)
-    ? socialMediaData.socials.filter(item => item.type === 'social')
-    : [];
+  // 实时模式下先显示构建时的数据，再用运行时 API 的数据更新
+  const { heroData } = useHeroFromCategory(liveOptions(buildHero));
+  const { socialMedia } = useSocialMediaFromCategory(liveOptions(Array.isArray(buildSocials) ? buildSocials : undefined));
+
+  // 只显示 type 为 social 的项
+  const socialMediaForHome = socialMedia.filter(item => item.type === 'social');
   console.log('socialMediaForHome:', socialMediaForHome);
   // 如果没有数据，显示加载状态
   if (!heroData) {
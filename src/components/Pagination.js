@@ -0,0 +1,74 @@
+import * as React from "react"
+import { pagePath } from "../utils/archives"
+
+const linkStyle = {
+  padding: '0.5rem 1rem',
+  borderRadius: '20px',
+  borderWidth: '2px',
+  borderStyle: 'solid',
+  borderColor: '#ddd',
+  color: '#666',
+  textDecoration: 'none',
+  fontSize: '0.95rem',
+  fontWeight: 500,
+}
+
+const activeStyle = {
+  ...linkStyle,
+  backgroundColor: '#76cfc5',
+  borderColor: '#76cfc5',
+  color: 'white',
+}
+
+// 分页导航：basePath 为第一页的路径，后续页为 basePath/n
+// 在浏览器端分页时传入 hrefFor(page) 生成链接地址，onPageChange(page) 处理点击（不跳转页面）
+// previousLabel / nextLabel 为上一页、下一页的文字，列表按时间排序时可以传入 Newer / Older
+const Pagination = ({
+  basePath,
+  currentPage,
+  numPages,
+  hrefFor = page => pagePath(basePath, page),
+  onPageChange,
+  previousLabel = 'Previous',
+  nextLabel = 'Next',
+}) => {
+  if (!numPages || numPages <= 1) return null
+
+  const pages = Array.from({ length: numPages }, (_, i) => i + 1)
+  const handleClick = (page) => (e) => {
+    if (!onPageChange) return
+    e.preventDefault()
+    onPageChange(page)
+  }
+
+  return (
+    <nav aria-label="Pagination" style={{
+      display: 'flex',
+      justifyContent: 'center',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      gap: '0.5rem',
+      margin: '2.5rem 0',
+    }}>
+      {currentPage > 1 && (
+        <a href={hrefFor(currentPage - 1)} onClick={handleClick(currentPage - 1)} rel="prev" style={linkStyle}>← {previousLabel}</a>
+      )}
+      {pages.map(page => (
+        <a
+          key={page}
+          href={hrefFor(page)}
+          onClick={handleClick(page)}
+          aria-current={page === currentPage ? 'page' : undefined}
+          style={page === currentPage ? activeStyle : linkStyle}
+        >
+          {page}
+        </a>
+      ))}
+      {currentPage < numPages && (
+        <a href={hrefFor(currentPage + 1)} onClick={handleClick(currentPage + 1)} rel="next" style={linkStyle}>{nextLabel} →</a>
+      )}
+    </nav>
+  )
+}
+
+export default Pagination
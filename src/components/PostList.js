@@ -0,0 +1,54 @@
+import * as React from "react"
+
+// 格式化日期
+const formatDate = (dateString) => {
+  const date = new Date(dateString)
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  })
+}
+
+// 归档页使用的简洁文章列表（作者、标签、分类等页面共用）
+const PostList = ({ posts = [], emptyText = 'No posts found.' }) => {
+  if (posts.length === 0) {
+    return (
+      <div style={{ textAlign: 'center', padding: '3rem', color: '#666', fontSize: '1.1rem' }}>
+        {emptyText}
+      </div>
+    )
+  }
+
+  return (
+    <div style={{
+      background: 'white',
+      borderRadius: '16px',
+      boxShadow: '0 4px 24px rgba(0,0,0,0.08)',
+      padding: '1rem 2rem',
+      border: '1px solid #e9ecef',
+    }}>
+      {posts.map((post, index) => (
+        <article key={post.id} style={{
+          padding: '1.5rem 0',
+          borderBottom: index === posts.length - 1 ? 'none' : '1px solid #f0f0f0',
+        }}>
+          <div style={{ fontSize: '0.9rem', color: '#179b8e', fontWeight: 600, marginBottom: '0.4rem' }}>
+            {formatDate(post.date)}
+            {post.readTime && <span style={{ color: '#888', fontWeight: 400, marginLeft: '1rem' }}>⏱️ {post.readTime}</span>}
+          </div>
+          <h2 style={{ fontSize: '1.4rem', fontWeight: 600, margin: '0 0 0.5rem 0' }}>
+            <a href={`/post/${post.slug}`} style={{ color: '#333', textDecoration: 'none' }}>
+              {post.title}
+            </a>
+          </h2>
+          <p style={{ fontSize: '1rem', color: '#555', margin: 0, lineHeight: 1.7 }}>
+            {(post.excerpt || '').replace(/<[^>]+>/g, '')}
+          </p>
+        </article>
+      ))}
+    </div>
+  )
+}
+
+export default PostList
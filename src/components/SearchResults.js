@@ -0,0 +1,85 @@
+import * as React from "react"
+
+// 格式化日期
+const formatDate = (dateString) => {
+  const date = new Date(dateString)
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  })
+}
+
+const markStyle = {
+  background: 'rgba(255,180,0,0.3)',
+  color: 'inherit',
+  borderRadius: '3px',
+  padding: '0 2px',
+}
+
+// 渲染 searchPosts 返回的高亮片段
+const Highlighted = ({ segments }) => segments.map((segment, index) => (
+  segment.match
+    ? <mark key={index} style={markStyle}>{segment.text}</mark>
+    : <React.Fragment key={index}>{segment.text}</React.Fragment>
+))
+
+// 搜索结果列表：results 为 searchPosts 的结果，按相关度排列；分页显示时 total 为全部结果数
+const SearchResults = ({ query, results = [], total = results.length, loading = false }) => {
+  if (loading) {
+    return (
+      <div style={{ textAlign: 'center', padding: '3rem', color: '#666', fontSize: '1.1rem' }}>
+        Loading search index...
+      </div>
+    )
+  }
+
+  if (results.length === 0) {
+    return (
+      <div style={{ textAlign: 'center', padding: '3rem', color: '#666', fontSize: '1.1rem' }}>
+        No posts found matching your criteria.
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <div style={{ color: '#666', marginBottom: '1rem' }}>
+        {total} {total === 1 ? 'result' : 'results'} for “{query.trim()}”
+      </div>
+      <div style={{
+        background: 'white',
+        borderRadius: '16px',
+        boxShadow: '0 4px 24px rgba(0,0,0,0.08)',
+        padding: '1rem 2rem',
+        border: '1px solid #e9ecef',
+      }}>
+        {results.map(({ post, title, snippet }, index) => (
+          <article key={post.slug} style={{
+            padding: '1.5rem 0',
+            borderBottom: index === results.length - 1 ? 'none' : '1px solid #f0f0f0',
+          }}>
+            <div style={{ fontSize: '0.9rem', color: '#179b8e', fontWeight: 600, marginBottom: '0.4rem' }}>
+              {post.date && formatDate(post.date)}
+              {post.tags.length > 0 && (
+                <span style={{ color: '#888', fontWeight: 400, marginLeft: '1rem' }}>
+                  {post.tags.map(tag => tag.name).join(' · ')}
+                </span>
+              )}
+            </div>
+            <h2 style={{ fontSize: '1.4rem', fontWeight: 600, margin: '0 0 0.5rem 0' }}>
+              <a href={`/post/${post.slug}`} style={{ color: '#333', textDecoration: 'none' }}>
+                <Highlighted segments={title} />
+              </a>
+            </h2>
+            <p style={{ fontSize: '1rem', color: '#555', margin: 0, lineHeight: 1.7 }}>
+              <Highlighted segments={snippet} />
+            </p>
+          </article>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default SearchResults
@@ -0,0 +1,68 @@
+import * as React from "react"
+import Layout from "./layout"
+import Seo from "./seo"
+import PostList from "./PostList"
+import Pagination from "./Pagination"
+import { pagePath } from "../utils/archives"
+
+// 标签 / 分类归档页
+// label 为页面上显示的类型名（Tag / Category），pageContext 由 gatsby-node.js 的 createPages 提供
+const TermArchive = ({ label, pageContext }) => {
+  const { name, basePath, totalCount = 0, currentPage = 1, numPages = 1, posts = [] } = pageContext
+
+  // 构建时没有生成的标签 / 分类地址会落到客户端路由，此时 pageContext 中没有归档数据
+  if (!name) {
+    return (
+      <Layout>
+        <div style={{ padding: '4rem', textAlign: 'center' }}>{label} not found</div>
+      </Layout>
+    )
+  }
+
+  const pageSuffix = currentPage > 1 ? ` (page ${currentPage} of ${numPages})` : ''
+  const title = `${label}: ${name}${pageSuffix}`
+  const description = `${totalCount} ${totalCount === 1 ? 'post' : 'posts'} filed under "${name}".`
+
+  return (
+    <Layout>
+      <Seo title={title} description={description}>
+        {currentPage > 1 && <link rel="prev" href={pagePath(basePath, currentPage - 1)} />}
+        {currentPage < numPages && <link rel="next" href={pagePath(basePath, currentPage + 1)} />}
+      </Seo>
+      <style dangerouslySetInnerHTML={{
+        __html: `
+          .posts-page-container {
+            max-width: 1200px !important;
+            margin: 0 auto !important;
+            padding: 0 2rem !important;
+          }
+        `
+      }} />
+      <main className="posts-page-container">
+        <div style={{ textAlign: 'center', marginBottom: '3rem' }}>
+          <p style={{ fontSize: '1rem', color: '#888', margin: '0 0 0.5rem 0', textTransform: 'uppercase', letterSpacing: '0.08em' }}>
+            {label}
+          </p>
+          <h1 style={{
+            fontSize: '2.5rem',
+            fontWeight: '800',
+            marginBottom: '1rem',
+            background: 'linear-gradient(90deg, #76cfc5 0%, #ffb400 100%)',
+            WebkitBackgroundClip: 'text',
+            backgroundClip: 'text',
+            color: 'transparent'
+          }}>
+            {name}
+          </h1>
+          <p style={{ fontSize: '1.2rem', color: '#666', margin: '0 auto' }}>
+            {description}
+          </p>
+        </div>
+        <PostList posts={posts} />
+        <Pagination basePath={basePath} currentPage={currentPage} numPages={numPages} />
+      </main>
+    </Layout>
+  )
+}
+
+export default TermArchive
@@ -11,6 +11,7 @@ import { motion, AnimatePresence } from "framer-motion"
 import { useLocation } from "@reach/router"
 
 import Header from "./header"
+import { useFooterFromCategory, liveOptions } from "../hooks/useWordPress"
 import "./layout.css"
 
 const Layout = ({ children }) => {
@@ -31,7 +32,8 @@ const Layout = ({ children }) => {
   `)
 
   const location = useLocation()
-  const footerData = data.footerCategory?.nodes[0]?.parsedData || null;
+  // 实时模式下先显示构建时的数据，再用运行时 API 的数据更新
+  const { footerData } = useFooterFromCategory(liveOptions(data.footerCategory?.nodes[0]?.parsedData || null));
 
   return (
     <div
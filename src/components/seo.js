@@ -9,7 +9,7 @@ import * as React from "react"
 import { useStaticQuery, graphql } from "gatsby"
 import { Helmet } from "react-helmet"
 
-function Seo({ description, title, children, image, article }) {
+function Seo({ description, title, children, image, article, noindex }) {
   const { site } = useStaticQuery(
     graphql`
       query {
@@ -50,7 +50,8 @@ function Seo({ description, title, children, image, article }) {
       <meta name="twitter:description" content={metaDescription} />
       
       {/* Additional SEO tags */}
-      <meta name="robots" content="index, follow" />
+      {/* 草稿预览等页面不允许搜索引擎收录 */}
+      <meta name="robots" content={noindex ? "noindex, nofollow" : "index, follow"} />
       <meta name="viewport" content="width=device-width, initial-scale=1" />
       <link rel="canonical" href={siteUrl} />
       
@@ -1,86 +1,7 @@
 // 统一的兜底数据文件
 // 当 WordPress API 请求失败或数据不完整时使用
 
-const fs = require('fs');
-const path = require('path');
-const matter = require('gray-matter');
-const { marked } = require('marked');
-
-// 动态生成 fallbackPosts
-const DOCS_DIR = path.join(__dirname, '../../docs');
-// let fallbackPosts = [];
-// if (fs.existsSync(DOCS_DIR)) {
-//   const files = fs.readdirSync(DOCS_DIR).filter(f => f.endsWith('.md'));
-//   let id = 1;
-//   fallbackPosts = files.map(file => {
-//     const filePath = path.join(DOCS_DIR, file);
-//     const raw = fs.readFileSync(filePath, 'utf-8');
-//     const { data, content } = matter(raw);
-//     const html = marked(content);
-//     const stat = fs.statSync(filePath);
-//     const fileBase = path.basename(file, '.md');
-//     // 处理tags为id数组
-//     let tags = [];
-//     if (Array.isArray(data.tags)) {
-//       tags = data.tags.map(t => Number(t)).filter(t => !isNaN(t));
-//     } else if (typeof data.tags === 'string') {
-//       tags = data.tags.split(',').map(t => Number(t.trim())).filter(t => !isNaN(t));
-//     }
-//     // 计算阅读时长（优先用frontmatter的read，否则用内容字数估算）
-//     let read = data.read;
-//     if (!read) {
-//       const words = content.replace(/<[^>]+>/g, '').split(/\s+/).length;
-//       read = `${Math.max(1, Math.ceil(words / 200))} min read`;
-//     }
-//     // 封面
-//     const cover = data.cover || data.jetpack_featured_media_url || '';
-//     // 副标题
-//     const subtitle = data.subtitle || '';
-//     // 标题
-//     const title = data.title || fileBase;
-//     // 摘要
-//     const excerpt = data.excerpt || html.replace(/<[^>]+>/g, '').slice(0, 180) + '...';
-//     // 作者
-//     const author = data.author || 1;
-//     // 分类
-//     const categories = data.categories || [];
-//     return {
-//       id: data.id || id++,
-//       date: data.date || stat.mtime.toISOString(),
-//       date_gmt: data.date_gmt || stat.mtime.toISOString(),
-//       guid: { rendered: data.guid || '' },
-//       modified: data.modified || stat.mtime.toISOString(),
-//       modified_gmt: data.modified_gmt || stat.mtime.toISOString(),
-//       slug: data.slug || fileBase,
-//       status: data.status || 'publish',
-//       type: data.type || 'post',
-//       link: data.link || '',
-//       title: { rendered: title },
-//       subtitle,
-//       content: { rendered: html },
-//       excerpt: { rendered: excerpt },
-//       author,
-//       featured_media: data.featured_media || '',
-//       comment_status: data.comment_status || 'open',
-//       ping_status: data.ping_status || 'open',
-//       sticky: data.sticky || false,
-//       template: data.template || '',
-//       format: data.format || 'standard',
-//       meta: data.meta || {},
-//       categories,
-//       tags,
-//       class_list: data.class_list || [],
-//       jetpack_featured_media_url: cover,
-//       jetpack_shortlink: data.jetpack_shortlink || '',
-//       jetpack_sharing_enabled: data.jetpack_sharing_enabled || false,
-//       jetpack_likes_enabled: data.jetpack_likes_enabled || false,
-//       'jetpack-related-posts': data['jetpack-related-posts'] || [],
-//       jetpack_publicize_connections: data.jetpack_publicize_connections || [],
-//       _links: data._links || {},
-//       read,
-//     };
-//   });
-// }
+// docs/*.md 中的 Markdown 文章由 src/utils/markdownPosts.js 加载（GATSBY_MARKDOWN_POSTS）
 const fallbackPosts = [
   {
     "id": 45,
@@ -2700,21 +2621,6 @@ const fallbackPosts = [
   }
 ];
 
-// 1. 读取所有 md 文件，收集所有 tag id
-let usedTagIds = new Set();
-if (fs.existsSync(DOCS_DIR)) {
-  const files = fs.readdirSync(DOCS_DIR).filter(f => f.endsWith('.md'));
-  files.forEach(file => {
-    const filePath = path.join(DOCS_DIR, file);
-    const raw = fs.readFileSync(filePath, 'utf-8');
-    const { data } = matter(raw);
-    if (Array.isArray(data.tags)) {
-      data.tags.forEach(id => usedTagIds.add(Number(id)));
-    } else if (typeof data.tags === 'string') {
-      data.tags.split(',').map(s => Number(s.trim())).forEach(id => usedTagIds.add(id));
-    }
-  });
-}
 // Hero 分类兜底数据
 const fallbackHero = {
   basic: {
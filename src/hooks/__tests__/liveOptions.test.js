@@ -0,0 +1,57 @@
+import { renderHook, waitFor } from '@testing-library/react';
+import { liveOptions, useProjectsFromCategory, useHeroFromCategory } from '../useWordPress';
+import { clearWordPressCache } from '../useWordPressQuery';
+
+// 实时模式使用真实的 wordpressApi，只模拟 fetch：检查运行时数据与构建时一样经过结构校验
+global.fetch = jest.fn();
+
+const mockCategory = (description) => fetch.mockResolvedValueOnce({
+  ok: true,
+  status: 200,
+  json: jest.fn().mockResolvedValue([{ description }]),
+});
+
+describe('liveOptions', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearWordPressCache();
+    process.env = { ...originalEnv, GATSBY_WORDPRESS_URL: 'https://example.com', GATSBY_WORDPRESS_LIVE: 'true' };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('does not request anything when live mode is off', () => {
+    process.env.GATSBY_WORDPRESS_LIVE = 'false';
+    const buildProjects = [{ title: 'Built' }];
+
+    const { result } = renderHook(() => useProjectsFromCategory(liveOptions(buildProjects)));
+
+    expect(result.current.projects).toBe(buildProjects);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('replaces the build data with a valid live payload', async () => {
+    mockCategory(JSON.stringify({ basic: { title: 'Live title' } }));
+
+    const { result } = renderHook(() => useHeroFromCategory(liveOptions({ basic: { title: 'Built title' } })));
+
+    await waitFor(() => expect(result.current.heroData).toEqual({ basic: { title: 'Live title' } }));
+    expect(result.current.error).toBe(null);
+  });
+
+  test('keeps the build data when the live payload has the wrong shape', async () => {
+    // projects 应为数组，这里是对象
+    mockCategory(JSON.stringify({ title: 'Not a list' }));
+    const buildProjects = [{ title: 'Built' }];
+
+    const { result } = renderHook(() => useProjectsFromCategory(liveOptions(buildProjects)));
+
+    await waitFor(() => expect(result.current.error).toMatch('Invalid projects config'));
+    expect(result.current.projects).toBe(buildProjects);
+    expect(result.current.loading).toBe(false);
+  });
+});
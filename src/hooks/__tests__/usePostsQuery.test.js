@@ -0,0 +1,55 @@
+import { renderHook, act } from '@testing-library/react';
+import { usePostsQuery } from '../usePostsQuery';
+
+describe('usePostsQuery', () => {
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/posts');
+  });
+
+  test('restores the state from the query string', () => {
+    window.history.replaceState(null, '', '/posts?q=hooks&tag=react');
+
+    const { result } = renderHook(() => usePostsQuery());
+
+    expect(result.current[0]).toEqual({ q: 'hooks', tags: ['react'], match: 'any', categories: [], sort: null, page: 1 });
+  });
+
+  test('pushes changes to the browser history', () => {
+    const { result } = renderHook(() => usePostsQuery());
+    const length = window.history.length;
+
+    act(() => {
+      result.current[1](prev => ({ tags: [...prev.tags, 'css'] }));
+    });
+
+    expect(window.location.search).toBe('?tag=css');
+    expect(window.history.length).toBe(length + 1);
+  });
+
+  test('replaces the current entry when asked to', () => {
+    const { result } = renderHook(() => usePostsQuery());
+    const length = window.history.length;
+
+    act(() => {
+      result.current[1]({ q: 'hoo' }, { replace: true });
+    });
+    act(() => {
+      result.current[1]({ q: 'hooks' }, { replace: true });
+    });
+
+    expect(window.location.search).toBe('?q=hooks');
+    expect(window.history.length).toBe(length);
+  });
+
+  test('follows back and forward navigation', () => {
+    const { result } = renderHook(() => usePostsQuery());
+
+    act(() => {
+      window.history.pushState(null, '', '/posts?tag=ui&page=2');
+      window.dispatchEvent(new PopStateEvent('popstate'));
+    });
+
+    expect(result.current[0]).toEqual({ q: '', tags: ['ui'], match: 'any', categories: [], sort: null, page: 2 });
+    expect(window.location.search).toBe('?tag=ui&page=2');
+  });
+});
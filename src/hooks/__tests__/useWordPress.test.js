@@ -8,6 +8,7 @@ import {
   useCommentsPageMetaFromCategory,
   useContactFromCategory,
 } from '../useWordPress';
+import { clearWordPressCache } from '../useWordPressQuery';
 
 // Mock the WordPress API functions
 jest.mock('../../services/wordpressApi', () => ({
@@ -33,6 +34,7 @@ import {
 describe('WordPress Hooks', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    clearWordPressCache();
   });
 
   describe('useSocialMediaFromCategory', () => {
@@ -398,6 +400,8 @@ describe('WordPress Hooks', () => {
         socialMedia: [],
         loading: true,
         error: null,
+        isValidating: true,
+        refetch: expect.any(Function),
       });
 
       // Hero hook
@@ -405,6 +409,8 @@ describe('WordPress Hooks', () => {
         heroData: null,
         loading: true,
         error: null,
+        isValidating: true,
+        refetch: expect.any(Function),
       });
 
       // About hook
@@ -412,6 +418,8 @@ describe('WordPress Hooks', () => {
         aboutData: null,
         loading: true,
         error: null,
+        isValidating: true,
+        refetch: expect.any(Function),
       });
 
       // Footer hook
@@ -419,6 +427,8 @@ describe('WordPress Hooks', () => {
         footerData: null,
         loading: true,
         error: null,
+        isValidating: true,
+        refetch: expect.any(Function),
       });
 
       // Posts meta hook
@@ -426,6 +436,8 @@ describe('WordPress Hooks', () => {
         meta: null,
         loading: true,
         error: null,
+        isValidating: true,
+        refetch: expect.any(Function),
       });
 
       // Comments meta hook
@@ -433,6 +445,8 @@ describe('WordPress Hooks', () => {
         meta: null,
         loading: true,
         error: null,
+        isValidating: true,
+        refetch: expect.any(Function),
       });
 
       // Contact hook
@@ -440,6 +454,8 @@ describe('WordPress Hooks', () => {
         contactData: null,
         loading: true,
         error: null,
+        isValidating: true,
+        refetch: expect.any(Function),
       });
     });
 
@@ -0,0 +1,136 @@
+import { renderHook, act } from '@testing-library/react';
+import { useWordPressQuery, clearWordPressCache, readCache, writeCache } from '../useWordPressQuery';
+
+const flush = () => act(async () => {
+  await new Promise(resolve => setTimeout(resolve, 0));
+});
+
+describe('useWordPressQuery', () => {
+  beforeEach(() => {
+    clearWordPressCache();
+  });
+
+  test('shows initial data while revalidating', async () => {
+    const fetcher = jest.fn().mockResolvedValue({ title: 'Live' });
+
+    const { result } = renderHook(() => useWordPressQuery('hero', fetcher, { initialData: { title: 'Build' } }));
+
+    expect(result.current.data).toEqual({ title: 'Build' });
+    expect(result.current.loading).toBe(false);
+    expect(result.current.isValidating).toBe(true);
+
+    await flush();
+
+    expect(result.current.data).toEqual({ title: 'Live' });
+    expect(result.current.isValidating).toBe(false);
+  });
+
+  test('keeps existing data when the request fails', async () => {
+    const fetcher = jest.fn().mockRejectedValue(new Error('API Error'));
+
+    const { result } = renderHook(() => useWordPressQuery('hero', fetcher, { initialData: { title: 'Build' } }));
+    await flush();
+
+    expect(result.current.data).toEqual({ title: 'Build' });
+    expect(result.current.error).toBe('API Error');
+  });
+
+  test('caches data in memory and sessionStorage', async () => {
+    const fetcher = jest.fn().mockResolvedValue(['a']);
+
+    renderHook(() => useWordPressQuery('socials', fetcher));
+    await flush();
+
+    expect(readCache('socials').data).toEqual(['a']);
+    expect(JSON.parse(window.sessionStorage.getItem('wordpress-cache:socials')).data).toEqual(['a']);
+
+    // 缓存仍然新鲜时，新挂载的组件直接使用缓存且不再请求
+    const { result } = renderHook(() => useWordPressQuery('socials', fetcher));
+    expect(result.current.data).toEqual(['a']);
+    expect(result.current.loading).toBe(false);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps data out of sessionStorage when persist is false', async () => {
+    const fetcher = jest.fn().mockResolvedValue({ version: 1 });
+
+    renderHook(() => useWordPressQuery('search-index', fetcher, { staleTime: Infinity, persist: false }));
+    await flush();
+
+    expect(readCache('search-index').data).toEqual({ version: 1 });
+    expect(window.sessionStorage.getItem('wordpress-cache:search-index')).toBeNull();
+  });
+
+  test('revalidates stale cache entries', async () => {
+    writeCache('about', { title: 'Old' });
+    const fetcher = jest.fn().mockResolvedValue({ title: 'New' });
+
+    const { result } = renderHook(() => useWordPressQuery('about', fetcher, { staleTime: 0 }));
+    expect(result.current.data).toEqual({ title: 'Old' });
+
+    await flush();
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(result.current.data).toEqual({ title: 'New' });
+  });
+
+  test('dedupes in-flight requests and shares the result', async () => {
+    let resolve;
+    const fetcher = jest.fn(() => new Promise(r => { resolve = r; }));
+
+    const first = renderHook(() => useWordPressQuery('footer', fetcher));
+    const second = renderHook(() => useWordPressQuery('footer', fetcher));
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    await act(async () => {
+      resolve({ text: '© 2025' });
+    });
+
+    expect(first.result.current.data).toEqual({ text: '© 2025' });
+    expect(second.result.current.data).toEqual({ text: '© 2025' });
+  });
+
+  test('aborts the request when the last component unmounts', () => {
+    let signal;
+    const fetcher = jest.fn(options => {
+      signal = options.signal;
+      return new Promise(() => {});
+    });
+
+    const first = renderHook(() => useWordPressQuery('contact', fetcher));
+    const second = renderHook(() => useWordPressQuery('contact', fetcher));
+
+    first.unmount();
+    expect(signal.aborted).toBe(false);
+
+    second.unmount();
+    expect(signal.aborted).toBe(true);
+  });
+
+  test('refetch requests fresh data', async () => {
+    const fetcher = jest.fn()
+      .mockResolvedValueOnce({ title: 'First' })
+      .mockResolvedValueOnce({ title: 'Second' });
+
+    const { result } = renderHook(() => useWordPressQuery('posts', fetcher));
+    await flush();
+    expect(result.current.data).toEqual({ title: 'First' });
+
+    await act(async () => {
+      await result.current.refetch();
+    });
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(result.current.data).toEqual({ title: 'Second' });
+  });
+
+  test('does not fetch when disabled', () => {
+    const fetcher = jest.fn().mockResolvedValue({});
+
+    const { result } = renderHook(() => useWordPressQuery('comments', fetcher, { enabled: false }));
+
+    expect(fetcher).not.toHaveBeenCalled();
+    expect(result.current.loading).toBe(false);
+  });
+});
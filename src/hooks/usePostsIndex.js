@@ -0,0 +1,29 @@
+import { useStaticQuery, graphql } from 'gatsby'
+
+// 全部已发布文章的精简列表，只包含筛选、排序和归档需要的字段，用于在所有分页上筛选和搜索
+// 静态查询的结果会内联到使用它的每个页面中，摘要、封面图等显示用的字段在需要时从搜索索引加载
+export const usePostsIndex = () => {
+  const data = useStaticQuery(graphql`
+    query PostsIndex {
+      allWordPressPost(filter: {status: {eq: "publish"}}, sort: {date: DESC}) {
+        nodes {
+          wordpressId
+          title
+          slug
+          date
+          modified
+          categories {
+            name
+            slug
+          }
+          tags {
+            name
+            slug
+          }
+          readingMinutes
+        }
+      }
+    }
+  `);
+  return data.allWordPressPost.nodes;
+};
@@ -0,0 +1,44 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { DEFAULT_POSTS_QUERY, parsePostsQuery, buildPostsQuery } from '../utils/postsQuery'
+
+// 文章列表筛选状态（搜索词、标签、排序、页码）与地址栏查询参数同步的 Hook
+// - 首次渲染使用默认值，与静态 HTML 一致；挂载后从地址栏恢复
+// - 修改时写入浏览器历史，返回 / 前进时恢复对应的状态
+// 返回 [query, setQuery]；setQuery(update, { replace }) 中 update 为要修改的字段或 (prev) => 字段，
+// replace 为 true 时替换当前历史记录而不是新增（例如输入搜索词时）
+export const usePostsQuery = () => {
+  const [query, setQueryState] = useState(DEFAULT_POSTS_QUERY);
+  // 下一次状态变化如何写入历史：push、replace，或 null（从地址栏恢复的状态不再写回）
+  const historyModeRef = useRef(null);
+
+  useEffect(() => {
+    const restore = () => {
+      historyModeRef.current = null;
+      setQueryState(parsePostsQuery(window.location.search));
+    };
+    restore();
+    window.addEventListener('popstate', restore);
+    return () => window.removeEventListener('popstate', restore);
+  }, []);
+
+  useEffect(() => {
+    const mode = historyModeRef.current;
+    if (!mode) return;
+    historyModeRef.current = null;
+    const search = buildPostsQuery(query);
+    if (search === window.location.search) return;
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (mode === 'replace') {
+      window.history.replaceState(window.history.state, '', url);
+    } else {
+      window.history.pushState(window.history.state, '', url);
+    }
+  }, [query]);
+
+  const setQuery = useCallback((update, { replace = false } = {}) => {
+    historyModeRef.current = replace ? 'replace' : 'push';
+    setQueryState(prev => ({ ...prev, ...(typeof update === 'function' ? update(prev) : update) }));
+  }, []);
+
+  return [query, setQuery];
+};
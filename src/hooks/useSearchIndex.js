@@ -0,0 +1,20 @@
+import { withPrefix } from 'gatsby'
+import { useWordPressQuery } from './useWordPressQuery'
+import { SEARCH_INDEX_FILE, SEARCH_INDEX_VERSION } from '../utils/searchIndex'
+
+// 加载构建时生成的搜索索引（public/search-index.json）
+const fetchSearchIndex = async ({ signal }) => {
+  const response = await fetch(withPrefix(`/${SEARCH_INDEX_FILE}`), { signal });
+  if (!response.ok) throw new Error(`Could not load search index: HTTP ${response.status}`);
+  const index = await response.json();
+  if (index?.version !== SEARCH_INDEX_VERSION) throw new Error('Unsupported search index version');
+  return index;
+};
+
+// 搜索索引的 Hook：enabled 为 true 时才加载（例如用户开始输入时），同一次部署中不会变化，加载后一直使用缓存
+// 索引只缓存在内存中：体积可能超出 sessionStorage 的配额，而且重新部署后刷新页面就会加载新的索引
+// 开发环境不会运行 onPostBuild，索引不存在时返回 error，页面可以用自身的数据建立索引
+export const useSearchIndex = (enabled = true) => {
+  const { data, loading, error } = useWordPressQuery('search-index', fetchSearchIndex, { enabled, staleTime: Infinity, persist: false });
+  return { searchIndex: data ?? null, loading, error };
+};
@@ -1,186 +1,75 @@
-import { useState, useEffect } from 'react'
-import { 
+import { useWordPressQuery } from './useWordPressQuery'
+import {
   getSocialMediaFromCategory,
   getHeroFromCategory,
   getAboutFromCategory,
+  getSkillsFromCategory,
+  getProjectsFromCategory,
   getFooterFromCategory,
   getPostsPageMetaFromCategory,
   getCommentsPageMetaFromCategory,
-  getContactFromCategory
+  getContactFromCategory,
+  isLiveContentEnabled
 } from '../services/wordpressApi'
 
-// 从分类获取社交媒体数据的 Hook
-export const useSocialMediaFromCategory = () => {
-  const [socialMedia, setSocialMedia] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    const fetchSocialMedia = async () => {
-      try {
-        setLoading(true);
-        setError(null);
-        const data = await getSocialMediaFromCategory();
-        setSocialMedia(data);
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
+// 以下 Hook 都基于 useWordPressQuery：数据按分类缓存并在组件间共享，挂载时先显示缓存再后台刷新
+// options 与 useWordPressQuery 相同，例如 { initialData } 传入构建时的数据；返回值中的 refetch 用于手动刷新
 
-    fetchSocialMedia();
-  }, []);
+// 组件传入 liveOptions(构建时数据)：先显示构建时数据，实时模式下再静默更新；未开启时不发起请求
+// 运行时数据与构建时使用同一套结构校验，不合格时请求失败，继续显示构建时数据（只设置 error）
+export const liveOptions = (initialData) => ({ initialData, enabled: isLiveContentEnabled() });
 
-  return { socialMedia, loading, error };
+// 从分类获取社交媒体数据的 Hook
+export const useSocialMediaFromCategory = (options) => {
+  const { data, ...query } = useWordPressQuery('category:socials', getSocialMediaFromCategory, options);
+  return { socialMedia: data ?? [], ...query };
 };
 
 // 专门请求hero数据的Hook
-export const useHeroFromCategory = () => {
-  const [heroData, setHeroData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    const fetchHeroData = async () => {
-      try {
-        setLoading(true);
-        setError(null);
-        const data = await getHeroFromCategory();
-        setHeroData(data);
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchHeroData();
-  }, []);
-
-  return { heroData, loading, error };
+export const useHeroFromCategory = (options) => {
+  const { data, ...query } = useWordPressQuery('category:hero', getHeroFromCategory, options);
+  return { heroData: data ?? null, ...query };
 };
 
 // 专门请求aboutData的Hook
-export const useAboutFromCategory = () => {
-  const [aboutData, setAboutData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+export const useAboutFromCategory = (options) => {
+  const { data, ...query } = useWordPressQuery('category:about', getAboutFromCategory, options);
+  return { aboutData: data ?? null, ...query };
+};
 
-  useEffect(() => {
-    const fetchAbout = async () => {
-      try {
-        setLoading(true);
-        setError(null);
-        const data = await getAboutFromCategory();
-        setAboutData(data);
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchAbout();
-  }, []);
+// 专门请求技能列表的Hook
+export const useSkillsFromCategory = (options) => {
+  const { data, ...query } = useWordPressQuery('category:skills', getSkillsFromCategory, options);
+  return { skills: data ?? [], ...query };
+};
 
-  return { aboutData, loading, error };
+// 专门请求项目列表的Hook
+export const useProjectsFromCategory = (options) => {
+  const { data, ...query } = useWordPressQuery('category:projects', getProjectsFromCategory, options);
+  return { projects: data ?? [], ...query };
 };
 
 // 专门请求footer数据的Hook
-export const useFooterFromCategory = () => {
-  const [footerData, setFooterData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    const fetchFooter = async () => {
-      try {
-        setLoading(true);
-        setError(null);
-        const data = await getFooterFromCategory();
-        setFooterData(data.footer || data); // 兼容直接是footer对象或外层包裹footer
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchFooter();
-  }, []);
-
-  return { footerData, loading, error };
+export const useFooterFromCategory = (options) => {
+  const { data, ...query } = useWordPressQuery('category:footer', getFooterFromCategory, options);
+  // 兼容直接是footer对象或外层包裹footer
+  return { footerData: data ? (data.footer || data) : null, ...query };
 };
 
 // 专门请求posts页面主标题、副标题的Hook
-export const usePostsPageMetaFromCategory = () => {
-  const [meta, setMeta] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    const fetchMeta = async () => {
-      try {
-        setLoading(true);
-        setError(null);
-        const data = await getPostsPageMetaFromCategory();
-        setMeta(data);
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchMeta();
-  }, []);
-
-  return { meta, loading, error };
+export const usePostsPageMetaFromCategory = (options) => {
+  const { data, ...query } = useWordPressQuery('category:posts', getPostsPageMetaFromCategory, options);
+  return { meta: data ?? null, ...query };
 };
 
 // 专门请求comments页面主标题、副标题、准则列表的Hook
-export const useCommentsPageMetaFromCategory = () => {
-  const [meta, setMeta] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    const fetchMeta = async () => {
-      try {
-        setLoading(true);
-        setError(null);
-        const data = await getCommentsPageMetaFromCategory();
-        setMeta(data);
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchMeta();
-  }, []);
-
-  return { meta, loading, error };
+export const useCommentsPageMetaFromCategory = (options) => {
+  const { data, ...query } = useWordPressQuery('category:comments', getCommentsPageMetaFromCategory, options);
+  return { meta: data ?? null, ...query };
 };
 
 // 专门请求contact页面数据的Hook
-export const useContactFromCategory = () => {
-  const [contactData, setContactData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    const fetchContact = async () => {
-      try {
-        setLoading(true);
-        setError(null);
-        const data = await getContactFromCategory();
-        setContactData(data);
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchContact();
-  }, []);
-
-  return { contactData, loading, error };
-}; 
\ No newline at end of file
+export const useContactFromCategory = (options) => {
+  const { data, ...query } = useWordPressQuery('category:contact', getContactFromCategory, options);
+  return { contactData: data ?? null, ...query };
+};
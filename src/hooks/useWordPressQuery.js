@@ -0,0 +1,167 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+
+// WordPress 运行时数据层（stale-while-revalidate）
+// - 同一个 key 的数据在内存和 sessionStorage 中共享，组件挂载时先显示缓存或构建时数据，再在后台刷新
+// - 同一个 key 同时只有一个请求，所有使用它的组件都卸载后通过 AbortController 取消
+// - 数据更新时通知所有使用该 key 的组件
+
+// sessionStorage 中的键前缀
+const STORAGE_PREFIX = 'wordpress-cache:';
+// 缓存在这段时间内视为最新，挂载时不再请求（毫秒）
+export const DEFAULT_STALE_TIME = 30 * 1000;
+
+const memoryCache = new Map(); // key -> { data, updatedAt }
+const inflight = new Map(); // key -> { promise, controller, subscribers }
+const listeners = new Map(); // key -> Set<listener>
+
+// 服务端渲染或浏览器禁用存储时返回 null
+const getStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.sessionStorage : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// 读取缓存：内存中没有时从 sessionStorage 恢复（persist 为 false 时只读内存）
+export const readCache = (key, { persist = true } = {}) => {
+  if (persist && !memoryCache.has(key)) {
+    try {
+      const stored = getStorage()?.getItem(`${STORAGE_PREFIX}${key}`);
+      if (stored) memoryCache.set(key, JSON.parse(stored));
+    } catch (error) {
+      // 存储内容损坏时忽略
+    }
+  }
+  return memoryCache.get(key) || null;
+};
+
+export const writeCache = (key, data, { persist = true } = {}) => {
+  const entry = { data, updatedAt: Date.now() };
+  memoryCache.set(key, entry);
+  try {
+    if (persist) getStorage()?.setItem(`${STORAGE_PREFIX}${key}`, JSON.stringify(entry));
+  } catch (error) {
+    // 存储已满或不可用时只保留内存缓存
+  }
+  (listeners.get(key) || []).forEach(listener => listener(entry));
+};
+
+// 清空全部缓存并取消进行中的请求
+export const clearWordPressCache = () => {
+  memoryCache.clear();
+  inflight.forEach(entry => entry.controller.abort());
+  inflight.clear();
+  const storage = getStorage();
+  if (!storage) return;
+  const keys = [];
+  for (let i = 0; i < storage.length; i++) {
+    const key = storage.key(i);
+    if (key && key.startsWith(STORAGE_PREFIX)) keys.push(key);
+  }
+  keys.forEach(key => storage.removeItem(key));
+};
+
+const subscribe = (key, listener) => {
+  if (!listeners.has(key)) listeners.set(key, new Set());
+  listeners.get(key).add(listener);
+  return () => listeners.get(key)?.delete(listener);
+};
+
+// 发起或复用 key 对应的请求；返回 { promise, release }，release 后没有其他使用者时取消请求
+const startRequest = (key, fetcher, { persist = true } = {}) => {
+  let entry = inflight.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    let request;
+    try {
+      request = Promise.resolve(fetcher({ signal: controller.signal }));
+    } catch (error) {
+      request = Promise.reject(error);
+    }
+    entry = { controller, subscribers: 0 };
+    entry.promise = request
+      .then(data => {
+        if (!controller.signal.aborted) writeCache(key, data, { persist });
+        return data;
+      })
+      .finally(() => {
+        if (inflight.get(key) === entry) inflight.delete(key);
+      });
+    inflight.set(key, entry);
+  }
+
+  const current = entry;
+  current.subscribers += 1;
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    current.subscribers -= 1;
+    if (current.subscribers === 0 && inflight.get(key) === current) {
+      current.controller.abort();
+      inflight.delete(key);
+    }
+  };
+  return { promise: current.promise, release };
+};
+
+const isAbortError = (error) => error?.name === 'AbortError';
+
+// 按 key 读取数据的 Hook
+// fetcher({ signal }) 返回数据；initialData 通常来自构建时的 GraphQL 节点，没有缓存时先显示它；
+// staleTime 内的缓存不再请求；enabled 为 false 时不请求
+// persist 为 false 时数据只缓存在内存中，不写入 sessionStorage（体积较大或随部署变化的数据）
+// 返回 { data, error, loading, isValidating, refetch }：loading 表示还没有任何数据，isValidating 表示正在请求
+export const useWordPressQuery = (key, fetcher, { initialData, staleTime = DEFAULT_STALE_TIME, enabled = true, persist = true } = {}) => {
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+  const requestRef = useRef(null);
+
+  // 首次渲染只使用内存缓存和 initialData，与服务端渲染的结果保持一致；sessionStorage 在 effect 中读取
+  const [state, setState] = useState(() => {
+    const data = memoryCache.has(key) ? memoryCache.get(key).data : initialData;
+    return { data, error: null, loading: enabled && data === undefined, isValidating: false };
+  });
+
+  const revalidate = useCallback(() => {
+    requestRef.current?.release();
+    const request = startRequest(key, fetcherRef.current, { persist });
+    requestRef.current = request;
+    setState(prev => ({ ...prev, loading: prev.data === undefined, isValidating: true }));
+    return request.promise.then(
+      data => {
+        if (requestRef.current === request) setState({ data, error: null, loading: false, isValidating: false });
+        return data;
+      },
+      error => {
+        // 失败时保留已有数据（缓存或构建时数据）
+        if (requestRef.current === request && !isAbortError(error)) {
+          setState(prev => ({ ...prev, error: error.message, loading: false, isValidating: false }));
+        }
+        return undefined;
+      }
+    );
+  }, [key, persist]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const cached = readCache(key, { persist });
+    if (cached) {
+      setState(prev => (prev.data === cached.data ? prev : { ...prev, data: cached.data, loading: false }));
+    }
+    const unsubscribe = subscribe(key, entry => {
+      setState(prev => ({ ...prev, data: entry.data, error: null, loading: false }));
+    });
+    if (!cached || Date.now() - cached.updatedAt >= staleTime) {
+      revalidate();
+    }
+    return () => {
+      unsubscribe();
+      requestRef.current?.release();
+      requestRef.current = null;
+    };
+  }, [key, enabled, staleTime, persist, revalidate]);
+
+  return { ...state, refetch: revalidate };
+};
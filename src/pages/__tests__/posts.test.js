@@ -1,7 +1,7 @@
 import React from 'react';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
-import { graphql } from 'gatsby';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
 import PostsPage from '../posts';
+import { buildSearchIndex } from '../../utils/searchIndex';
 
 // Mock framer-motion
 jest.mock('framer-motion', () => ({
@@ -10,50 +10,90 @@ jest.mock('framer-motion', () => ({
   },
 }));
 
-// Mock Link component
+// Mock gatsby: usePostsIndex reads every published post through useStaticQuery
 jest.mock('gatsby', () => ({
   graphql: jest.fn(),
   Link: jest.fn(({ to, children, ...props }) => (
     <a href={to} {...props}>{children}</a>
   )),
+  navigate: jest.fn(),
+  withPrefix: path => path,
+  useStaticQuery: jest.fn(() => ({ allWordPressPost: { nodes: mockIndexPosts } })),
 }));
 
-// Mock the useWordPress hooks
-jest.mock('../../hooks/useWordPress', () => ({
-  usePostsPageMetaFromCategory: () => ({
-    meta: null,
+// Layout and Seo query site metadata and are covered by their own tests
+jest.mock('../../components/layout', () => ({ children }) => <div>{children}</div>);
+jest.mock('../../components/seo', () => () => null);
+
+// Mock the search index (public/search-index.json), loaded once the list is filtered
+jest.mock('../../hooks/useSearchIndex', () => ({
+  useSearchIndex: (enabled = true) => ({
+    searchIndex: enabled ? mockSearchIndex : null,
     loading: false,
     error: null,
   }),
 }));
 
+// Every published post, as returned by the page query
+const allPosts = [
+  {
+    wordpressId: 2,
+    title: 'Second Post',
+    excerpt: 'Styling with flexbox',
+    slug: 'second-post',
+    date: '2023-01-02',
+    modified: '2023-01-02',
+    author: 'Jane Smith',
+    categories: [{ name: 'Design', slug: 'design' }],
+    tags: [{ name: 'css', slug: 'css' }, { name: 'ui', slug: 'ui' }],
+    featuredImage: 'https://example.com/image2.jpg',
+    readingMinutes: 3,
+    readTime: '3 min read',
+  },
+  {
+    wordpressId: 1,
+    title: 'First Post',
+    excerpt: 'An introduction to hooks',
+    slug: 'first-post',
+    date: '2023-01-01',
+    modified: '2023-01-01',
+    author: 'John Doe',
+    categories: [{ name: 'Technology', slug: 'technology' }, { name: 'Web', slug: 'web' }],
+    tags: [{ name: 'react', slug: 'react' }, { name: 'javascript', slug: 'javascript' }],
+    featuredImage: 'https://example.com/image1.jpg',
+    readingMinutes: 5,
+    readTime: '5 min read',
+  },
+  {
+    wordpressId: 3,
+    title: 'Third Post',
+    excerpt: 'Routing in vue',
+    slug: 'third-post',
+    date: '2022-12-01',
+    modified: '2022-12-01',
+    author: 'Bob Johnson',
+    categories: [{ name: 'Technology', slug: 'technology' }],
+    tags: [{ name: 'vue', slug: 'vue' }, { name: 'javascript', slug: 'javascript' }],
+    featuredImage: null,
+    readingMinutes: 8,
+    readTime: '8 min read',
+  },
+];
+
+// usePostsIndex only has the fields used for filtering and sorting
+const toIndexPost = ({ wordpressId, title, slug, date, modified, categories, tags, readingMinutes }) => ({
+  wordpressId, title, slug, date, modified, categories, tags, readingMinutes,
+});
+
+let mockIndexPosts;
+let mockSearchIndex;
+
 describe('PostsPage Component', () => {
+  // The first of two build pages (two posts per page); Third Post is on /posts/2
   const mockData = {
     allWordPressPost: {
-      nodes: [
-        {
-          id: 1,
-          title: 'First Post',
-          excerpt: 'This is the first post',
-          slug: 'first-post',
-          date: '2023-01-01',
-          author: 'John Doe',
-          categories: ['Technology', 'Web'],
-          tags: ['react', 'javascript'],
-          featuredImage: 'https://example.com/image1.jpg',
-        },
-        {
-          id: 2,
-          title: 'Second Post',
-          excerpt: 'This is the second post',
-          slug: 'second-post',
-          date: '2023-01-02',
-          author: 'Jane Smith',
-          categories: ['Design'],
-          tags: ['css', 'ui'],
-          featuredImage: 'https://example.com/image2.jpg',
-        },
-      ],
+      pageInfo: { pageCount: 2 },
+      nodes: allPosts.slice(0, 2),
     },
     allWordPressCategory: {
       nodes: [
@@ -67,188 +107,468 @@ describe('PostsPage Component', () => {
       ],
     },
   };
+  const pageContext = { basePath: '/posts', currentPage: 1, limit: 2 };
+
+  const renderPage = (data = mockData, context = pageContext) => render(<PostsPage data={data} pageContext={context} />);
+
+  // Titles of the listed posts (post cards and search results)
+  const isListed = title => screen.queryByRole('heading', { name: title }) !== null;
+
+  const filterButton = name => screen.getByRole('button', { name: new RegExp(`^${name}\\b`) });
 
   beforeEach(() => {
     jest.clearAllMocks();
+    window.history.replaceState(null, '', '/posts');
+    window.scrollTo = jest.fn();
+    mockIndexPosts = allPosts.map(toIndexPost);
+    mockSearchIndex = buildSearchIndex(allPosts);
   });
 
   describe('Basic Rendering', () => {
     test('renders posts page with data', () => {
-      render(<PostsPage data={mockData} />);
+      renderPage();
 
       expect(screen.getByText('All Posts')).toBeInTheDocument();
       expect(screen.getByText('Blog posts about various topics')).toBeInTheDocument();
-      expect(screen.getByText('First Post')).toBeInTheDocument();
-      expect(screen.getByText('Second Post')).toBeInTheDocument();
+      expect(isListed('First Post')).toBe(true);
+      expect(isListed('Second Post')).toBe(true);
+      expect(isListed('Third Post')).toBe(false);
     });
 
     test('renders search input', () => {
-      render(<PostsPage data={mockData} />);
+      renderPage();
 
       const searchInput = screen.getByPlaceholderText('Search posts...');
       expect(searchInput).toBeInTheDocument();
     });
 
-    test('renders tag filter buttons', () => {
-      render(<PostsPage data={mockData} />);
+    test('renders tag filter buttons for the tags of all posts', () => {
+      renderPage();
 
-      expect(screen.getByText('react')).toBeInTheDocument();
-      expect(screen.getByText('javascript')).toBeInTheDocument();
-      expect(screen.getByText('css')).toBeInTheDocument();
-      expect(screen.getByText('ui')).toBeInTheDocument();
+      ['react', 'javascript', 'css', 'ui', 'vue'].forEach(name => {
+        expect(filterButton(name)).toBeInTheDocument();
+      });
     });
 
-    test('renders posts table', () => {
-      render(<PostsPage data={mockData} />);
+    test('renders the sort options', () => {
+      renderPage();
 
-      expect(screen.getByText('Title')).toBeInTheDocument();
-      expect(screen.getByText('Date')).toBeInTheDocument();
-      expect(screen.getByText('Author')).toBeInTheDocument();
-      expect(screen.getByText('Categories')).toBeInTheDocument();
-      expect(screen.getByText('Tags')).toBeInTheDocument();
+      expect(screen.getByRole('combobox', { name: 'Sort posts' })).toHaveValue('newest');
     });
   });
 
   describe('Search Functionality', () => {
     test('filters posts by title search', async () => {
-      render(<PostsPage data={mockData} />);
+      renderPage();
 
       const searchInput = screen.getByPlaceholderText('Search posts...');
-      
+
       fireEvent.change(searchInput, { target: { value: 'First' } });
 
       await waitFor(() => {
-        expect(screen.getByText('First Post')).toBeInTheDocument();
-        expect(screen.queryByText('Second Post')).not.toBeInTheDocument();
+        expect(isListed('First Post')).toBe(true);
+        expect(isListed('Second Post')).toBe(false);
       });
     });
 
     test('filters posts by excerpt search', async () => {
-      render(<PostsPage data={mockData} />);
+      renderPage();
 
       const searchInput = screen.getByPlaceholderText('Search posts...');
-      
-      fireEvent.change(searchInput, { target: { value: 'second' } });
+
+      fireEvent.change(searchInput, { target: { value: 'flexbox' } });
 
       await waitFor(() => {
-        expect(screen.getByText('Second Post')).toBeInTheDocument();
-        expect(screen.queryByText('First Post')).not.toBeInTheDocument();
+        expect(isListed('Second Post')).toBe(true);
+        expect(isListed('First Post')).toBe(false);
       });
     });
 
     test('is case insensitive', async () => {
-      render(<PostsPage data={mockData} />);
+      renderPage();
 
-      const searchInput = screen.getByPlaceholderText('Search posts...');
-      
-      fireEvent.change(searchInput, { target: { value: 'FIRST' } });
+      fireEvent.change(screen.getByPlaceholderText('Search posts...'), { target: { value: 'FIRST' } });
 
       await waitFor(() => {
-        expect(screen.getByText('First Post')).toBeInTheDocument();
+        expect(isListed('First Post')).toBe(true);
+        expect(isListed('Second Post')).toBe(false);
       });
     });
 
     test('shows all posts when search is cleared', async () => {
-      render(<PostsPage data={mockData} />);
+      renderPage();
 
       const searchInput = screen.getByPlaceholderText('Search posts...');
-      
       fireEvent.change(searchInput, { target: { value: 'First' } });
 
       await waitFor(() => {
-        expect(screen.queryByText('Second Post')).not.toBeInTheDocument();
+        expect(isListed('Second Post')).toBe(false);
       });
 
       fireEvent.change(searchInput, { target: { value: '' } });
 
       await waitFor(() => {
-        expect(screen.getByText('First Post')).toBeInTheDocument();
-        expect(screen.getByText('Second Post')).toBeInTheDocument();
+        expect(isListed('First Post')).toBe(true);
+        expect(isListed('Second Post')).toBe(true);
       });
     });
+
+    test('shows a message when nothing matches', () => {
+      renderPage();
+
+      fireEvent.change(screen.getByPlaceholderText('Search posts...'), { target: { value: 'kubernetes' } });
+
+      expect(screen.getByText('No posts found matching your criteria.')).toBeInTheDocument();
+    });
   });
 
   describe('Tag Filtering', () => {
-    test('filters posts by selected tag', async () => {
-      render(<PostsPage data={mockData} />);
+    test('filters posts by selected tag', () => {
+      renderPage();
 
-      const reactTag = screen.getByText('react');
-      fireEvent.click(reactTag);
+      fireEvent.click(filterButton('react'));
 
-      await waitFor(() => {
-        expect(screen.getByText('First Post')).toBeInTheDocument();
-        expect(screen.queryByText('Second Post')).not.toBeInTheDocument();
-      });
+      expect(filterButton('react')).toHaveAttribute('aria-pressed', 'true');
+      expect(isListed('First Post')).toBe(true);
+      expect(isListed('Second Post')).toBe(false);
+    });
+
+    test('filters posts by multiple tags', () => {
+      renderPage();
 
-      expect(reactTag).toHaveClass('active');
+      fireEvent.click(filterButton('react'));
+      fireEvent.click(filterButton('css'));
+
+      expect(isListed('First Post')).toBe(true);
+      expect(isListed('Second Post')).toBe(true);
+      expect(isListed('Third Post')).toBe(false);
     });
 
-    test('filters posts by multiple tags', async () => {
-      render(<PostsPage data={mockData} />);
+    test('deselects tag when clicked again', () => {
+      renderPage();
 
-      const reactTag = screen.getByText('react');
-      const cssTag = screen.getByText('css');
-      
-      fireEvent.click(reactTag);
-      fireEvent.click(cssTag);
+      fireEvent.click(filterButton('react'));
+      expect(isListed('Second Post')).toBe(false);
 
-      await waitFor(() => {
-        expect(screen.getByText('First Post')).toBeInTheDocument();
-        expect(screen.getByText('Second Post')).toBeInTheDocument();
-      });
+      fireEvent.click(filterButton('react'));
 
-      expect(reactTag).toHaveClass('active');
-      expect(cssTag).toHaveClass('active');
+      expect(filterButton('react')).toHaveAttribute('aria-pressed', 'false');
+      expect(isListed('First Post')).toBe(true);
+      expect(isListed('Second Post')).toBe(true);
     });
+  });
 
-    test('deselects tag when clicked again', async () => {
-      render(<PostsPage data={mockData} />);
+  describe('Combined Filtering', () => {
+    test('combines search and tag filtering', () => {
+      renderPage();
 
-      const reactTag = screen.getByText('react');
-      fireEvent.click(reactTag);
+      fireEvent.change(screen.getByPlaceholderText('Search posts...'), { target: { value: 'post' } });
+      fireEvent.click(filterButton('css'));
 
-      await waitFor(() => {
-        expect(screen.queryByText('Second Post')).not.toBeInTheDocument();
-      });
+      expect(isListed('Second Post')).toBe(true);
+      expect(isListed('First Post')).toBe(false);
+      expect(isListed('Third Post')).toBe(false);
+    });
+  });
 
-      fireEvent.click(reactTag);
+  describe('Filter Counts', () => {
+    // Number of posts shown next to a tag or category button
+    const countOf = name => Number(filterButton(name).querySelector('span').textContent);
 
-      await waitFor(() => {
-        expect(screen.getByText('First Post')).toBeInTheDocument();
-        expect(screen.getByText('Second Post')).toBeInTheDocument();
-      });
+    test('counts posts of all pages for each tag and category', () => {
+      renderPage();
 
-      expect(reactTag).not.toHaveClass('active');
+      expect(countOf('javascript')).toBe(2);
+      expect(countOf('react')).toBe(1);
+      expect(countOf('vue')).toBe(1);
+      expect(countOf('Technology')).toBe(2);
+      expect(countOf('Design')).toBe(1);
+    });
+
+    test('counts only the posts matching the search', () => {
+      renderPage();
+
+      fireEvent.change(screen.getByPlaceholderText('Search posts...'), { target: { value: 'routing' } });
+
+      expect(countOf('javascript')).toBe(1);
+      expect(countOf('vue')).toBe(1);
+      expect(countOf('react')).toBe(0);
+      expect(countOf('css')).toBe(0);
+      expect(countOf('Technology')).toBe(1);
+    });
+
+    test('counts tags within the selected categories', () => {
+      renderPage();
+
+      fireEvent.click(filterButton('Design'));
+
+      expect(countOf('css')).toBe(1);
+      expect(countOf('ui')).toBe(1);
+      expect(countOf('javascript')).toBe(0);
+      expect(countOf('react')).toBe(0);
+    });
+
+    test('counts categories within the selected tags', () => {
+      renderPage();
+
+      fireEvent.click(filterButton('vue'));
+
+      expect(countOf('Technology')).toBe(1);
+      expect(countOf('Web')).toBe(0);
+      expect(countOf('Design')).toBe(0);
+    });
+
+    test('keeps tag counts when matching any selected tag', () => {
+      renderPage();
+
+      fireEvent.click(filterButton('javascript'));
+
+      // Selecting another tag adds its posts to the list
+      expect(countOf('react')).toBe(1);
+      expect(countOf('css')).toBe(1);
+      expect(countOf('vue')).toBe(1);
+    });
+
+    test('narrows tag counts when matching all selected tags', () => {
+      renderPage();
+
+      fireEvent.click(filterButton('javascript'));
+      fireEvent.click(screen.getByRole('button', { name: 'All' }));
+
+      expect(screen.getByRole('button', { name: 'All' })).toHaveAttribute('aria-pressed', 'true');
+      // Selecting another tag narrows the list to posts with both tags
+      expect(countOf('javascript')).toBe(2);
+      expect(countOf('react')).toBe(1);
+      expect(countOf('vue')).toBe(1);
+      expect(countOf('css')).toBe(0);
+      expect(countOf('ui')).toBe(0);
+
+      fireEvent.click(filterButton('react'));
+
+      expect(countOf('vue')).toBe(0);
+      expect(countOf('Technology')).toBe(1);
+      expect(isListed('First Post')).toBe(true);
+      expect(isListed('Third Post')).toBe(false);
     });
   });
 
-  describe('Combined Filtering', () => {
-    test('combines search and tag filtering', async () => {
-      render(<PostsPage data={mockData} />);
+  describe('Querying Across Pages', () => {
+    test('filters every published post, not only the current page', () => {
+      renderPage();
 
-      const searchInput = screen.getByPlaceholderText('Search posts...');
-      const reactTag = screen.getByText('react');
+      fireEvent.click(filterButton('vue'));
 
-      fireEvent.change(searchInput, { target: { value: 'post' } });
-      fireEvent.click(reactTag);
+      expect(isListed('Third Post')).toBe(true);
+      expect(isListed('First Post')).toBe(false);
+      expect(isListed('Second Post')).toBe(false);
+    });
 
-      await waitFor(() => {
-        expect(screen.getByText('First Post')).toBeInTheDocument();
-        expect(screen.queryByText('Second Post')).not.toBeInTheDocument();
+    test('searches every published post', () => {
+      renderPage();
+
+      fireEvent.change(screen.getByPlaceholderText('Search posts...'), { target: { value: 'routing' } });
+
+      expect(isListed('Third Post')).toBe(true);
+    });
+
+    test('shows excerpts from the search index for posts of other pages', () => {
+      renderPage();
+
+      fireEvent.click(filterButton('vue'));
+
+      expect(screen.getByText('Routing in vue')).toBeInTheDocument();
+      expect(screen.getByText(/8 min read/)).toBeInTheDocument();
+    });
+
+    test('sorts every published post', () => {
+      renderPage();
+
+      fireEvent.change(screen.getByRole('combobox', { name: 'Sort posts' }), { target: { value: 'oldest' } });
+
+      expect(isListed('Third Post')).toBe(true);
+      expect(isListed('First Post')).toBe(true);
+      expect(isListed('Second Post')).toBe(false);
+    });
+  });
+
+  describe('Pagination', () => {
+    const pagination = () => screen.getByRole('navigation', { name: 'Pagination' });
+
+    test('links to the build pages when nothing is filtered', () => {
+      renderPage();
+
+      expect(screen.getByRole('link', { name: '2' })).toHaveAttribute('href', '/posts/2');
+      expect(screen.getByRole('link', { name: '1' })).toHaveAttribute('aria-current', 'page');
+    });
+
+    test('pages through filtered posts with skip and limit from the page context', () => {
+      renderPage();
+
+      fireEvent.click(filterButton('javascript'));
+      fireEvent.click(filterButton('css'));
+
+      // Three posts, two per page
+      expect(isListed('Second Post')).toBe(true);
+      expect(isListed('First Post')).toBe(true);
+      expect(isListed('Third Post')).toBe(false);
+      expect(pagination()).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('link', { name: '2' }));
+
+      expect(isListed('Third Post')).toBe(true);
+      expect(isListed('Second Post')).toBe(false);
+      expect(window.location.search).toBe('?tag=javascript&tag=css&page=2');
+      expect(screen.getByRole('link', { name: '2' })).toHaveAttribute('aria-current', 'page');
+    });
+
+    test('links filtered pages to the same query', () => {
+      renderPage();
+
+      fireEvent.click(filterButton('javascript'));
+      fireEvent.click(filterButton('css'));
+
+      expect(screen.getByRole('link', { name: '2' })).toHaveAttribute('href', '/posts?tag=javascript&tag=css&page=2');
+    });
+
+    test('goes back to the first page when the filters change', () => {
+      window.history.replaceState(null, '', '/posts?tag=javascript&tag=css&page=2');
+      renderPage();
+      expect(isListed('Third Post')).toBe(true);
+
+      fireEvent.click(filterButton('ui'));
+
+      expect(isListed('Second Post')).toBe(true);
+      expect(window.location.search).toBe('?tag=javascript&tag=css&tag=ui');
+    });
+
+    test('labels build pages from newer to older posts', () => {
+      renderPage();
+
+      expect(screen.getByRole('link', { name: 'Older →' })).toHaveAttribute('rel', 'next');
+    });
+
+    test('labels filtered pages by the sort order', () => {
+      renderPage();
+
+      fireEvent.click(filterButton('javascript'));
+      fireEvent.click(filterButton('css'));
+      expect(screen.getByRole('link', { name: 'Older →' })).toBeInTheDocument();
+
+      fireEvent.change(screen.getByRole('combobox', { name: 'Sort posts' }), { target: { value: 'oldest' } });
+      expect(screen.getByRole('link', { name: 'Newer →' })).toBeInTheDocument();
+
+      fireEvent.change(screen.getByRole('combobox', { name: 'Sort posts' }), { target: { value: 'title' } });
+      expect(screen.getByRole('link', { name: 'Next →' })).toBeInTheDocument();
+      fireEvent.click(screen.getByRole('link', { name: 'Next →' }));
+      expect(screen.getByRole('link', { name: '← Previous' })).toHaveAttribute('rel', 'prev');
+    });
+
+    test('hides pagination when the filtered posts fit on one page', () => {
+      renderPage();
+
+      fireEvent.click(filterButton('react'));
+
+      expect(screen.queryByRole('navigation', { name: 'Pagination' })).not.toBeInTheDocument();
+    });
+  });
+
+  describe('URL State', () => {
+    const sortSelect = () => screen.getByRole('combobox', { name: 'Sort posts' });
+
+    // Browser back / forward to another entry of the posts page
+    const goTo = (url) => {
+      act(() => {
+        window.history.replaceState(null, '', url);
+        window.dispatchEvent(new PopStateEvent('popstate'));
       });
+    };
+
+    test('restores the search from ?q=', () => {
+      window.history.replaceState(null, '', '/posts?q=routing');
+      renderPage();
+
+      expect(screen.getByLabelText('Search posts')).toHaveValue('routing');
+      expect(isListed('Third Post')).toBe(true);
+      expect(isListed('First Post')).toBe(false);
+    });
+
+    test('restores the tags from ?tag= and the sort from ?sort=', () => {
+      window.history.replaceState(null, '', '/posts?tag=javascript&sort=title');
+      renderPage();
+
+      expect(filterButton('javascript')).toHaveAttribute('aria-pressed', 'true');
+      expect(sortSelect()).toHaveValue('title');
+      const titles = screen.getAllByRole('heading', { name: /Post$/ }).map(heading => heading.textContent);
+      expect(titles).toEqual(['First Post', 'Third Post']);
+    });
+
+    test('ignores tags that no post has', () => {
+      window.history.replaceState(null, '', '/posts?tag=missing');
+      renderPage();
+
+      expect(isListed('First Post')).toBe(true);
+      expect(isListed('Second Post')).toBe(true);
+      expect(screen.getByRole('link', { name: '2' })).toHaveAttribute('href', '/posts/2');
+    });
+
+    test('writes the search to ?q= without adding history entries', () => {
+      renderPage();
+      const length = window.history.length;
+
+      fireEvent.change(screen.getByLabelText('Search posts'), { target: { value: 'rout' } });
+      fireEvent.change(screen.getByLabelText('Search posts'), { target: { value: 'routing' } });
+
+      expect(window.location.search).toBe('?q=routing');
+      expect(window.history.length).toBe(length);
+    });
+
+    test('writes tags to ?tag= and the sort to ?sort=', () => {
+      renderPage();
+
+      fireEvent.click(filterButton('react'));
+      expect(window.location.search).toBe('?tag=react');
+
+      fireEvent.change(sortSelect(), { target: { value: 'title' } });
+      expect(window.location.search).toBe('?tag=react&sort=title');
+
+      fireEvent.click(filterButton('react'));
+      fireEvent.change(sortSelect(), { target: { value: 'newest' } });
+      expect(window.location.search).toBe('');
+    });
+
+    test('follows the browser history', () => {
+      renderPage();
+
+      fireEvent.click(filterButton('react'));
+      expect(isListed('Second Post')).toBe(false);
+
+      goTo('/posts?q=flexbox&sort=oldest');
+
+      expect(screen.getByLabelText('Search posts')).toHaveValue('flexbox');
+      expect(filterButton('react')).toHaveAttribute('aria-pressed', 'false');
+      expect(sortSelect()).toHaveValue('oldest');
+      expect(isListed('Second Post')).toBe(true);
+      expect(isListed('First Post')).toBe(false);
+
+      goTo('/posts');
+
+      expect(screen.getByLabelText('Search posts')).toHaveValue('');
+      expect(isListed('First Post')).toBe(true);
+      expect(isListed('Second Post')).toBe(true);
     });
   });
 
   describe('Error Handling', () => {
     test('handles empty posts data', () => {
+      mockIndexPosts = [];
       const emptyData = {
         allWordPressPost: { nodes: [] },
         allWordPressCategory: { nodes: [] },
       };
 
-      render(<PostsPage data={emptyData} />);
+      renderPage(emptyData, {});
 
-      expect(screen.getByText('No posts found')).toBeInTheDocument();
+      expect(screen.getByText('No posts found matching your criteria.')).toBeInTheDocument();
     });
 
     test('handles missing posts category', () => {
@@ -257,163 +577,105 @@ describe('PostsPage Component', () => {
         allWordPressCategory: { nodes: [] },
       };
 
-      render(<PostsPage data={dataWithoutCategory} />);
+      renderPage(dataWithoutCategory, {});
 
-      expect(screen.getByText('All Posts')).toBeInTheDocument(); // Should render default title
+      expect(screen.getByText('Posts')).toBeInTheDocument(); // Should render default title
+      expect(screen.getByText('Browse all posts')).toBeInTheDocument();
     });
 
     test('handles undefined data', () => {
+      mockIndexPosts = [];
       const undefinedData = {
         allWordPressPost: { nodes: undefined },
         allWordPressCategory: { nodes: undefined },
       };
 
-      render(<PostsPage data={undefinedData} />);
+      renderPage(undefinedData, {});
 
-      expect(screen.getByText('All Posts')).toBeInTheDocument();
+      expect(screen.getByText('Posts')).toBeInTheDocument();
     });
   });
 
   describe('Accessibility', () => {
     test('search input has proper label', () => {
-      render(<PostsPage data={mockData} />);
+      renderPage();
 
       const searchInput = screen.getByLabelText('Search posts');
       expect(searchInput).toBeInTheDocument();
     });
 
     test('tag buttons are keyboard accessible', () => {
-      render(<PostsPage data={mockData} />);
+      renderPage();
 
-      const reactTag = screen.getByText('react');
-      expect(reactTag.closest('button')).not.toBeDisabled();
-    });
-
-    test('table has proper headers', () => {
-      render(<PostsPage data={mockData} />);
-
-      const headers = screen.getAllByRole('columnheader');
-      expect(headers).toHaveLength(5); // Title, Date, Author, Categories, Tags
+      expect(filterButton('react')).not.toBeDisabled();
+      expect(filterButton('react')).toHaveAttribute('aria-pressed', 'false');
     });
   });
 
   describe('Component Interactions', () => {
-    test('expands post details when expand button is clicked', async () => {
-      render(<PostsPage data={mockData} />);
+    test('expands post details when expand button is clicked', () => {
+      renderPage();
 
       const expandButtons = screen.getAllByLabelText('Expand post details');
+      expect(expandButtons[0]).toHaveAttribute('aria-expanded', 'false');
+
       fireEvent.click(expandButtons[0]);
 
-      await waitFor(() => {
-        expect(screen.getByText('This is the first post')).toBeInTheDocument();
-      });
+      expect(expandButtons[0]).toHaveAttribute('aria-expanded', 'true');
+      expect(expandButtons[0]).toHaveAccessibleName('Collapse post details');
     });
 
-    test('collapses post details when clicked again', async () => {
-      render(<PostsPage data={mockData} />);
+    test('collapses post details when clicked again', () => {
+      renderPage();
 
       const expandButtons = screen.getAllByLabelText('Expand post details');
       fireEvent.click(expandButtons[0]);
-
-      await waitFor(() => {
-        expect(screen.getByText('This is the first post')).toBeInTheDocument();
-      });
-
       fireEvent.click(expandButtons[0]);
 
-      await waitFor(() => {
-        expect(screen.queryByText('This is the first post')).not.toBeInTheDocument();
-      });
-    });
-
-    test('highlights row on hover', () => {
-      render(<PostsPage data={mockData} />);
-
-      const firstRow = screen.getByText('First Post').closest('tr');
-      fireEvent.mouseEnter(firstRow);
-
-      expect(firstRow).toHaveStyle('background: #f8f9fa');
+      expect(expandButtons[0]).toHaveAttribute('aria-expanded', 'false');
     });
   });
 
   describe('Data Processing', () => {
     test('extracts unique tags correctly', () => {
-      const dataWithDuplicateTags = {
-        ...mockData,
-        allWordPressPost: {
-          nodes: [
-            ...mockData.allWordPressPost.nodes,
-            {
-              id: 3,
-              title: 'Third Post',
-              excerpt: 'Third post excerpt',
-              slug: 'third-post',
-              date: '2023-01-03',
-              author: 'Bob Johnson',
-              categories: ['Technology'],
-              tags: ['react'], // Duplicate tag
-              featuredImage: 'https://example.com/image3.jpg',
-            },
-          ],
-        },
-      };
-
-      render(<PostsPage data={dataWithDuplicateTags} />);
+      renderPage();
 
-      const reactTags = screen.getAllByText('react');
-      expect(reactTags).toHaveLength(1); // Should only appear once in tags
+      // javascript is used by two posts
+      expect(screen.getAllByRole('button', { name: /^javascript\b/ })).toHaveLength(1);
     });
 
     test('handles posts without tags', () => {
-      const dataWithoutTags = {
-        allWordPressPost: {
-          nodes: [
-            {
-              id: 1,
-              title: 'Post without tags',
-              excerpt: 'Excerpt',
-              slug: 'post-without-tags',
-              date: '2023-01-01',
-              author: 'Author',
-              categories: ['General'],
-              tags: [],
-              featuredImage: null,
-            },
-          ],
-        },
-        allWordPressCategory: { nodes: [] },
+      const postWithoutTags = {
+        ...allPosts[0],
+        wordpressId: 4,
+        title: 'Post without tags',
+        slug: 'post-without-tags',
+        categories: [{ name: 'General', slug: 'general' }],
+        tags: [],
       };
+      mockIndexPosts = [toIndexPost(postWithoutTags)];
 
-      render(<PostsPage data={dataWithoutTags} />);
+      renderPage({ ...mockData, allWordPressPost: { nodes: [postWithoutTags] } }, {});
 
-      expect(screen.getByText('Post without tags')).toBeInTheDocument();
-      expect(screen.getByText('General')).toBeInTheDocument();
+      expect(isListed('Post without tags')).toBe(true);
+      expect(screen.getByRole('button', { name: /^General\b/ })).toBeInTheDocument();
     });
 
     test('handles posts without categories', () => {
-      const dataWithoutCategories = {
-        allWordPressPost: {
-          nodes: [
-            {
-              id: 1,
-              title: 'Post without categories',
-              excerpt: 'Excerpt',
-              slug: 'post-without-categories',
-              date: '2023-01-01',
-              author: 'Author',
-              categories: [],
-              tags: ['tag1'],
-              featuredImage: null,
-            },
-          ],
-        },
-        allWordPressCategory: { nodes: [] },
+      const postWithoutCategories = {
+        ...allPosts[0],
+        wordpressId: 4,
+        title: 'Post without categories',
+        slug: 'post-without-categories',
+        categories: [],
+        tags: [{ name: 'tag1', slug: 'tag1' }],
       };
+      mockIndexPosts = [toIndexPost(postWithoutCategories)];
 
-      render(<PostsPage data={dataWithoutCategories} />);
+      renderPage({ ...mockData, allWordPressPost: { nodes: [postWithoutCategories] } }, {});
 
-      expect(screen.getByText('Post without categories')).toBeInTheDocument();
-      expect(screen.getByText('tag1')).toBeInTheDocument();
+      expect(isListed('Post without categories')).toBe(true);
+      expect(filterButton('tag1')).toBeInTheDocument();
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,8 @@
+import * as React from "react"
+import DateArchive from "../../components/DateArchive"
+
+const YearArchivePage = ({ pageContext }) => (
+  <DateArchive pageContext={pageContext} />
+)
+
+export default YearArchivePage
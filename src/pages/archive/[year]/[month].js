@@ -0,0 +1,8 @@
+import * as React from "react"
+import DateArchive from "../../../components/DateArchive"
+
+const MonthArchivePage = ({ pageContext }) => (
+  <DateArchive pageContext={pageContext} />
+)
+
+export default MonthArchivePage
@@ -0,0 +1,95 @@
+import * as React from "react"
+import Layout from "../../components/layout"
+import Seo from "../../components/seo"
+import PostList from "../../components/PostList"
+
+const AuthorPage = ({ pageContext }) => {
+  const { author, posts = [] } = pageContext;
+
+  if (!author) {
+    return (
+      <Layout>
+        <div style={{ padding: '4rem', textAlign: 'center' }}>Author not found</div>
+      </Layout>
+    );
+  }
+
+  const authorAvatar = author.avatar || '/image/20943608.jpeg';
+
+  return (
+    <Layout>
+      <Seo
+        title={author.name}
+        description={author.description || `Posts by ${author.name}`}
+      />
+      <style dangerouslySetInnerHTML={{
+        __html: `
+          .posts-page-container {
+            max-width: 1200px !important;
+            margin: 0 auto !important;
+            padding: 0 2rem !important;
+          }
+        `
+      }} />
+      <main className="posts-page-container">
+        {/* 作者卡片 */}
+        <div style={{
+          background: 'white',
+          borderRadius: '20px',
+          padding: '2.5rem 2rem',
+          marginBottom: '2.5rem',
+          boxShadow: '0 8px 32px rgba(0,0,0,0.1)',
+          border: '1px solid #e9ecef',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '1.5rem',
+          flexWrap: 'wrap',
+        }}>
+          <img
+            src={authorAvatar}
+            alt={author.name}
+            style={{
+              width: '96px',
+              height: '96px',
+              borderRadius: '50%',
+              border: '3px solid #76cfc5',
+              flexShrink: 0,
+              margin: 0
+            }}
+          />
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <h1 style={{
+              fontSize: '2rem',
+              fontWeight: '800',
+              background: 'linear-gradient(90deg, #76cfc5 0%, #ffb400 100%)',
+              WebkitBackgroundClip: 'text',
+              backgroundClip: 'text',
+              color: 'transparent',
+              margin: '0 0 0.5rem 0'
+            }}>
+              {author.name}
+            </h1>
+            {author.description && (
+              <p style={{ fontSize: '1.05rem', color: '#666', margin: '0 0 0.5rem 0', lineHeight: 1.6 }}>
+                {author.description}
+              </p>
+            )}
+            <div style={{ display: 'flex', gap: '1.2rem', alignItems: 'center', fontSize: '0.9rem', color: '#888' }}>
+              <span>{posts.length} {posts.length === 1 ? 'post' : 'posts'}</span>
+              {author.url && (
+                <a href={author.url} target="_blank" rel="noopener noreferrer" style={{ color: '#76cfc5', textDecoration: 'none' }}>
+                  Website →
+                </a>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* 文章列表 */}
+        <PostList posts={posts} emptyText="No posts by this author yet." />
+      </main>
+    </Layout>
+  )
+}
+
+export default AuthorPage
@@ -0,0 +1,8 @@
+import * as React from "react"
+import TermArchive from "../../components/TermArchive"
+
+const CategoryPage = ({ pageContext }) => (
+  <TermArchive label="Category" pageContext={pageContext} />
+)
+
+export default CategoryPage
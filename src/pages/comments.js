@@ -4,45 +4,11 @@ import Layout from "../components/layout"
 import Seo from "../components/seo"
 import { commentsPageStyles } from "../styles/commentsStyles"
 import Giscus from '@giscus/react';
+import { decodeEntities } from "../utils/htmlEntities"
 
 const ICONS = ["circle", "square", "triangle", "pentagon", "star", "heart"];
 const COLORS = ["#76cfc5", "#ffb400", "#ec6664", "#b4b8f8", "#76cfc5", "#ffb400"];
 
-// HTML解码函数
-const decodeHtml = (html) => {
-  if (!html) return '';
-  return html
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#039;/g, "'")
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&#8217;/g, "'")
-    .replace(/&#8216;/g, "'")
-    .replace(/&#8220;/g, '"')
-    .replace(/&#8221;/g, '"')
-    .replace(/&#8211;/g, '–')
-    .replace(/&#8212;/g, '—')
-    .replace(/&#8230;/g, '…')
-    .replace(/&#8242;/g, "'")
-    .replace(/&#8243;/g, '"')
-    .replace(/&#8482;/g, '™')
-    .replace(/&#169;/g, '©')
-    .replace(/&#174;/g, '®')
-    .replace(/&#215;/g, '×')
-    .replace(/&#247;/g, '÷')
-    .replace(/&#176;/g, '°')
-    .replace(/&#177;/g, '±')
-    .replace(/&#181;/g, 'µ')
-    .replace(/&#183;/g, '·')
-    .replace(/&#187;/g, '»')
-    .replace(/&#171;/g, '«')
-    .replace(/&#150;/g, '–')
-    .replace(/&#151;/g, '—')
-    .replace(/&#133;/g, '…');
-};
-
 const renderIcon = (iconType, color) => {
   switch (iconType) {
     case 'circle':
@@ -100,8 +66,8 @@ const CommentsPage = ({ data }) => {
   const commentsData = commentsCategory?.parsedData || {}
 
   // 解码标题和副标题
-  const decodedTitle = decodeHtml(commentsData.title || 'Comments & Discussion');
-  const decodedSubtitle = decodeHtml(commentsData.description || 'Share your thoughts, questions, or suggestions here. Let\'s connect and discuss!');
+  const decodedTitle = decodeEntities(commentsData.title || 'Comments & Discussion');
+  const decodedSubtitle = decodeEntities(commentsData.description || 'Share your thoughts, questions, or suggestions here. Let\'s connect and discuss!');
 
   // Giscus 配置 - 直接用环境变量，无默认值
   const giscusConfig = {
@@ -182,7 +148,7 @@ const CommentsPage = ({ data }) => {
               }}>
                 {renderIcon(ICONS[idx % ICONS.length], '#fff')}
               </span>
-              {decodeHtml(rule)}
+              {decodeEntities(rule)}
             </li>
           ))}
         </ul>
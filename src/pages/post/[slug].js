@@ -1,14 +1,13 @@
 import * as React from "react"
 import Layout from "../../components/layout"
 import Seo from "../../components/seo"
+import { getReadingMinutes, formatReadingTime } from "../../utils/readingTime"
 
-const getReadTime = (html) => {
-  // 简单估算：每分钟200字
-  if (!html) return '';
-  const text = html.replace(/<[^>]+>/g, '');
-  const words = text.length;
-  const min = Math.max(1, Math.round(words / 200));
-  return `${min} min read`;
+const STATUS_LABELS = {
+  draft: 'Draft',
+  pending: 'Pending review',
+  private: 'Private',
+  future: 'Scheduled',
 };
 
 const PostPage = ({ pageContext }) => {
@@ -24,11 +23,13 @@ const PostPage = ({ pageContext }) => {
 
   // 兜底处理头像和阅读时长
   const authorAvatar = post.authorAvatar || '/image/20943608.jpeg';
-  const readTime = post.readTime || getReadTime(post.content);
+  const readTime = post.readTime || formatReadingTime(getReadingMinutes(post.content));
+  // 预览构建中的草稿、待审、私密文章
+  const isDraft = Boolean(post.status) && post.status !== 'publish';
 
   return (
     <Layout>
-      <Seo title={post.title} description={post.excerpt} />
+      <Seo title={post.title} description={post.excerpt} noindex={isDraft} />
       <style dangerouslySetInnerHTML={{
         __html: `
           #gatsby-focus-wrapper > div[style*='max-width'] {
@@ -45,6 +46,19 @@ const PostPage = ({ pageContext }) => {
         `
       }} />
       <main className="posts-page-container">
+        {isDraft && (
+          <div style={{
+            background: '#fff3cd',
+            color: '#856404',
+            border: '1px solid #ffe69c',
+            borderRadius: '12px',
+            padding: '0.8rem 1.2rem',
+            marginBottom: '1.5rem',
+            fontWeight: '600',
+          }}>
+            {STATUS_LABELS[post.status] || post.status} · This post is a preview and has not been published.
+          </div>
+        )}
         {/* 顶部卡片 */}
         <div className="post-header-card" style={{
           background: 'white',
@@ -78,15 +92,16 @@ const PostPage = ({ pageContext }) => {
           {/* 标签 */}
           <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', margin: '1.2rem 0' }}>
             {post.tags && post.tags.map(tag => (
-              <span key={tag} style={{
+              <a key={tag.slug} href={`/tag/${tag.slug}`} style={{
                 padding: '0.4rem 1rem',
                 fontSize: '0.9rem',
                 fontWeight: '500',
                 border: '2px solid #76cfc5',
                 borderRadius: '20px',
                 backgroundColor: 'rgba(118,207,197,0.1)',
-                color: '#76cfc5'
-              }}>{tag}</span>
+                color: '#76cfc5',
+                textDecoration: 'none'
+              }}>{tag.name}</a>
             ))}
           </div>
           {/* 作者信息区块（副标题下方，横向排列） */}
@@ -106,7 +121,11 @@ const PostPage = ({ pageContext }) => {
               }}
             />
             <div style={{ display: 'flex', alignItems: 'center', gap: '1.2rem', flexWrap: 'wrap' }}>
-              <span style={{ fontSize: '1rem', fontWeight: '600', color: '#333', lineHeight: 1.2 }}>{post.author}</span>
+              <span style={{ fontSize: '1rem', fontWeight: '600', color: '#333', lineHeight: 1.2 }}>
+                {post.authorSlug ? (
+                  <a href={`/author/${post.authorSlug}`} style={{ color: 'inherit', textDecoration: 'none' }}>{post.author}</a>
+                ) : post.author}
+              </span>
               <span style={{ fontSize: '0.9rem', color: '#666', lineHeight: 1.2 }}>
                 {post.date ? new Date(post.date).toLocaleDateString() : ''}
               </span>
@@ -3,11 +3,114 @@ import { useState, useMemo } from "react"
 import { graphql } from "gatsby"
 import Layout from "../components/layout"
 import Seo from "../components/seo"
+import SearchResults from "../components/SearchResults"
+import Pagination from "../components/Pagination"
+import ArchiveNavigator from "../components/ArchiveNavigator"
+import { useSearchIndex } from "../hooks/useSearchIndex"
+import { usePostsQuery } from "../hooks/usePostsQuery"
+import { usePostsIndex } from "../hooks/usePostsIndex"
+import { buildPostsQuery } from "../utils/postsQuery"
+import {
+  POSTS_PAGE_SIZE,
+  pagePath,
+  paginate,
+  dateArchivePath,
+  dateArchiveName,
+  groupPostsByYear,
+} from "../utils/archives"
+import { buildSearchIndex, createSearcher, searchPosts } from "../utils/searchIndex"
+import { formatReadingTime } from "../utils/readingTime"
+import {
+  CONFIG_CATEGORY_SLUGS,
+  matchesFilters,
+  collectFilterTerms,
+  getTagCounts,
+  getCategoryCounts,
+  getCloudLevels,
+} from "../utils/postFilters"
+import {
+  DEFAULT_POST_SORT,
+  resolvePostSort,
+  getPostSortOptions,
+  comparePosts,
+  sortPosts,
+  groupSortedPosts,
+  isDateSort,
+} from "../utils/postSort"
 
-const PostsPage = ({ data }) => {
-  // 从GraphQL查询结果中获取数据
-  const postsData = data.allWordPressPost.nodes
-  const categoriesData = data.allWordPressCategory.nodes
+// 标签云各等级的字号
+const CLOUD_FONT_SIZES = ['0.8rem', '0.95rem', '1.1rem', '1.3rem', '1.55rem']
+
+// 按发布时间排序时翻页按钮显示 Newer / Older，其他排序（以及按相关度排列的搜索结果）显示 Previous / Next
+const PAGE_LABELS = {
+  newest: { previousLabel: 'Newer', nextLabel: 'Older' },
+  oldest: { previousLabel: 'Older', nextLabel: 'Newer' },
+}
+
+// 标签 / 分类筛选按钮，count 为当前筛选条件下的文章数
+const FilterButton = ({ label, count, selected, fontSize = '0.9rem', onClick }) => (
+  <button
+    onClick={onClick}
+    aria-pressed={selected}
+    style={{
+      padding: '0.5rem 1rem',
+      fontSize,
+      fontWeight: '500',
+      border: '2px solid',
+      borderRadius: '20px',
+      cursor: 'pointer',
+      transition: 'all 0.2s',
+      backgroundColor: selected ? '#76cfc5' : 'transparent',
+      borderColor: selected ? '#76cfc5' : '#ddd',
+      color: selected ? 'white' : '#666',
+      opacity: count === 0 && !selected ? 0.5 : 1,
+    }}
+    onMouseEnter={(e) => {
+      if (!selected) {
+        e.currentTarget.style.borderColor = '#76cfc5'
+        e.currentTarget.style.color = '#76cfc5'
+      }
+    }}
+    onMouseLeave={(e) => {
+      if (!selected) {
+        e.currentTarget.style.borderColor = '#ddd'
+        e.currentTarget.style.color = '#666'
+      }
+    }}
+  >
+    {label}
+    <span style={{ marginLeft: '0.4rem', fontSize: '0.8em', opacity: 0.75 }}>{count}</span>
+  </button>
+)
+
+// 筛选方式切换按钮（Any / All、Cloud）
+const ToggleButton = ({ active, onClick, children }) => (
+  <button
+    onClick={onClick}
+    aria-pressed={active}
+    style={{
+      padding: '0.3rem 0.8rem',
+      fontSize: '0.85rem',
+      fontWeight: '600',
+      border: '1px solid #76cfc5',
+      borderRadius: '6px',
+      cursor: 'pointer',
+      background: active ? '#76cfc5' : 'transparent',
+      color: active ? 'white' : '#179b8e',
+      transition: 'all 0.2s',
+    }}
+  >
+    {children}
+  </button>
+)
+
+const PostsPage = ({ data, pageContext = {} }) => {
+  // 从GraphQL查询结果中获取数据：pagePosts 为当前分页的文章，postsData 为全部文章的精简列表（用于筛选和搜索）
+  const pagePosts = data.allWordPressPost.nodes || []
+  const postsData = usePostsIndex()
+  const { basePath = '/posts', currentPage = 1, limit = POSTS_PAGE_SIZE } = pageContext
+  const numPages = data.allWordPressPost.pageInfo?.pageCount || 1
+  const categoriesData = data.allWordPressCategory.nodes || []
   
   // 查找Posts分类
   const postsCategory = categoriesData.find(cat => 
@@ -18,60 +121,180 @@ const PostsPage = ({ data }) => {
   
   const metaData = postsCategory?.parsedData || {}
   
-  const [searchTerm, setSearchTerm] = useState("")
-  const [selectedTags, setSelectedTags] = useState([])
+  // 搜索词、标签等筛选条件保存在地址栏查询参数中（/posts?q=hooks&tag=react），可以收藏、分享和前进后退
+  const [postsQuery, setPostsQuery] = usePostsQuery()
+  const searchTerm = postsQuery.q
   const [expandedPosts, setExpandedPosts] = useState(new Set())
   const [hoveredRow, setHoveredRow] = useState(null)
 
-  // 获取所有唯一的标签
-  const allTags = useMemo(() => {
-    const tags = new Set()
-    if (postsData && Array.isArray(postsData)) {
-      postsData.forEach(post => {
-        if (post.tags && Array.isArray(post.tags)) {
-          post.tags.forEach(tag => tags.add(tag))
-        }
-      })
-    }
-    return Array.from(tags).sort()
-  }, [postsData])
+  const [showTagCloud, setShowTagCloud] = useState(false)
+  // 列表分组方式：day 按天分组；year 按年 → 月 → 日分组，年、月可以折叠
+  const [groupMode, setGroupMode] = useState('day')
+  // 展开状态与默认值相反的年、月（默认只展开第一个年份）
+  const [toggledGroups, setToggledGroups] = useState(new Set())
+
+  // 获取所有标签和分类（按 slug 去重，按名称排序），站点配置分类不显示
+  const allTags = useMemo(() => collectFilterTerms(postsData, 'tags'), [postsData])
+  const allCategories = useMemo(
+    () => collectFilterTerms(postsData, 'categories', { exclude: CONFIG_CATEGORY_SLUGS }),
+    [postsData]
+  )
+  const cloudLevels = useMemo(() => getCloudLevels(allTags), [allTags])
+  const postsBySlug = useMemo(() => new Map((postsData || []).map(post => [post.slug, post])), [postsData])
 
-  // 筛选文章
-  const filteredPosts = useMemo(() => {
+  // 地址中已不存在的标签和分类忽略
+  const selectedTags = useMemo(
+    () => postsQuery.tags.filter(slug => allTags.some(tag => tag.slug === slug)),
+    [postsQuery.tags, allTags]
+  )
+  const selectedCategories = useMemo(
+    () => postsQuery.categories.filter(slug => allCategories.some(category => category.slug === slug)),
+    [postsQuery.categories, allCategories]
+  )
+  const filters = useMemo(
+    () => ({ tags: selectedTags, match: postsQuery.match, categories: selectedCategories }),
+    [selectedTags, postsQuery.match, selectedCategories]
+  )
+
+  // 全文搜索：输入关键词后才加载构建时生成的索引
+  const query = searchTerm.trim()
+  const isSearching = query !== ''
+
+  // 排序方式：chosenSort 为地址中选择的排序（没有时为 null）；搜索结果没有选择排序时按相关度排列
+  const chosenSort = resolvePostSort(postsQuery.sort)
+  const sort = chosenSort || DEFAULT_POST_SORT
+  const sortOptions = useMemo(() => getPostSortOptions(postsData || []), [postsData])
+
+  // 有筛选条件或选择了其他排序时在全部文章中筛选、排序，并在浏览器端分页（页码保存在地址的 page 参数中）；
+  // 否则显示构建时生成的当前分页（按发布时间倒序）
+  const isFiltering = isSearching || selectedTags.length > 0 || selectedCategories.length > 0 || sort !== DEFAULT_POST_SORT
+
+  // 搜索和筛选时加载索引：搜索使用它查询，筛选列表从中取摘要和封面图（精简列表中没有这些字段）
+  const { searchIndex, error: searchIndexError } = useSearchIndex(isFiltering)
+  const detailsBySlug = useMemo(
+    () => new Map((searchIndex?.posts || []).map(({ slug, excerpt, featuredImage }) => [slug, { excerpt, featuredImage }])),
+    [searchIndex]
+  )
+  const searcher = useMemo(() => {
+    if (searchIndex) return createSearcher(searchIndex)
+    // 开发环境没有 onPostBuild 生成的索引，改用文章列表建立（不含正文）
+    if (searchIndexError) return createSearcher(buildSearchIndex(postsData))
+    return null
+  }, [searchIndex, searchIndexError, postsData])
+
+  const searchMatches = useMemo(
+    () => (isSearching && searcher ? searchPosts(searcher, query) : []),
+    [isSearching, searcher, query]
+  )
+
+  // 参与筛选的文章：搜索时为搜索命中的文章（索引中没有分类，使用页面数据中的文章）
+  const basePosts = useMemo(() => {
     if (!postsData || !Array.isArray(postsData)) {
       return []
     }
-    return postsData.filter(post => {
-      const matchesSearch = post.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                           post.excerpt.toLowerCase().includes(searchTerm.toLowerCase())
-      
-      const matchesTags = selectedTags.length === 0 || 
-                         selectedTags.some(tag => post.tags.includes(tag))
-      
-      return matchesSearch && matchesTags
+    return isSearching
+      ? searchMatches.map(result => postsBySlug.get(result.post.slug)).filter(Boolean)
+      : postsData
+  }, [postsData, isSearching, searchMatches, postsBySlug])
+
+  // 搜索结果同样按标签和分类筛选
+  const searchResults = useMemo(() => {
+    const postOf = result => postsBySlug.get(result.post.slug) || result.post
+    const results = searchMatches.filter(result => matchesFilters(postOf(result), filters))
+    if (!chosenSort) return results
+    const compare = comparePosts(chosenSort)
+    return results.sort((a, b) => compare(postOf(a), postOf(b)))
+  }, [searchMatches, postsBySlug, filters, chosenSort])
+
+  // 没有搜索时按标签和分类筛选文章，并按所选方式排序
+  const filteredPosts = useMemo(
+    () => sortPosts(basePosts.filter(post => matchesFilters(post, filters)), sort),
+    [basePosts, filters, sort]
+  )
+
+  const filteredPages = useMemo(
+    () => paginate(isSearching ? searchResults : filteredPosts, limit),
+    [isSearching, searchResults, filteredPosts, limit]
+  )
+  const filteredPage = Math.min(postsQuery.page, filteredPages.length)
+  // 筛选列表中的文章补上显示用的字段；索引还没加载时先不显示摘要，封面使用默认图
+  const listedPosts = useMemo(() => {
+    if (!isFiltering) return pagePosts
+    const page = filteredPages[filteredPage - 1]
+    if (isSearching) return page
+    return page.map(post => ({
+      ...post,
+      ...detailsBySlug.get(post.slug),
+      readTime: formatReadingTime(post.readingMinutes),
+    }))
+  }, [isFiltering, isSearching, pagePosts, filteredPages, filteredPage, detailsBySlug])
+
+  // 每个标签 / 分类在当前筛选条件下的文章数
+  const tagCounts = useMemo(() => getTagCounts(basePosts, filters), [basePosts, filters])
+  const categoryCounts = useMemo(() => getCategoryCounts(basePosts, filters), [basePosts, filters])
+
+  // 分组：按发布时间排序时按天分组（或按年 → 月 → 日），其他排序按排序依据分组（修改日期、首字母、阅读时长 …）
+  const showYearGroups = groupMode === 'year' && isDateSort(sort)
+  const groupedPosts = useMemo(() => groupSortedPosts(listedPosts, sort), [listedPosts, sort]);
+  const yearGroups = useMemo(
+    () => (showYearGroups ? groupPostsByYear(listedPosts, { ascending: sort === 'oldest' }) : []),
+    [showYearGroups, listedPosts, sort]
+  );
+
+  // 修改搜索词：输入过程中替换当前历史记录，避免每个字符都产生一条记录
+  const setSearchTerm = (value) => {
+    setPostsQuery({ q: value, page: 1 }, { replace: true })
+  }
+
+  // 切换标签选择（按 slug 记录），筛选条件变化后回到第一页
+  const toggleTag = (slug) => {
+    setPostsQuery(prev => ({
+      tags: prev.tags.includes(slug)
+        ? prev.tags.filter(t => t !== slug)
+        : [...prev.tags, slug],
+      page: 1,
+    }))
+  }
+
+  // 切换分类选择
+  const toggleCategory = (slug) => {
+    setPostsQuery(prev => ({
+      categories: prev.categories.includes(slug)
+        ? prev.categories.filter(c => c !== slug)
+        : [...prev.categories, slug],
+      page: 1,
+    }))
+  }
+
+  // 筛选结果翻页
+  const setFilteredPage = (page) => {
+    setPostsQuery({ page })
+    window.scrollTo({ top: 0, behavior: 'smooth' })
+  }
+
+  // 修改排序方式；没有搜索时默认排序不写入地址，搜索时选择 Newest 表示不按相关度排列
+  const setSort = (value) => {
+    setPostsQuery({ sort: value && !(value === DEFAULT_POST_SORT && !isSearching) ? value : null, page: 1 })
+  }
+
+  // 标签匹配方式：any（任一标签）或 all（全部标签）
+  const setTagMatch = (match) => {
+    setPostsQuery({ match, page: 1 })
+  }
+
+  // 年、月分组是否展开；openByDefault 为默认状态
+  const isGroupOpen = (key, openByDefault) => toggledGroups.has(key) !== openByDefault
+
+  const toggleGroup = (key) => {
+    setToggledGroups(prev => {
+      const next = new Set(prev)
+      if (next.has(key)) {
+        next.delete(key)
+      } else {
+        next.add(key)
+      }
+      return next
     })
-  }, [postsData, searchTerm, selectedTags])
-
-  // 按日期分组posts
-  const groupedPosts = useMemo(() => {
-    const groups = {};
-    filteredPosts.forEach(post => {
-      // 提取日期部分，去掉时间部分
-      const dateOnly = post.date.split('T')[0];
-      if (!groups[dateOnly]) groups[dateOnly] = [];
-      groups[dateOnly].push(post);
-    });
-    // 保持日期降序
-    return Object.entries(groups).sort((a, b) => new Date(b[0]) - new Date(a[0]));
-  }, [filteredPosts]);
-
-  // 切换标签选择
-  const toggleTag = (tag) => {
-    setSelectedTags(prev => 
-      prev.includes(tag) 
-        ? prev.filter(t => t !== tag)
-        : [...prev, tag]
-    )
   }
 
   // 切换文章展开状态
@@ -114,15 +337,404 @@ const PostsPage = ({ data }) => {
     />
   )
 
-  // 在PostsPage组件内添加一个生成随机时长的函数
-  const getRandomReadTime = () => `${Math.floor(Math.random() * 16) + 5} min read`;
+  // 分组标题：日期分组显示日期，其他分组直接显示分组值
+  const groupHeading = ({ type, value }) => {
+    if (type === 'date') return formatDate(value)
+    if (type === 'modified') return `Updated ${formatDate(value)}`
+    return value
+  }
+
+  // 一组文章（同一天、同一首字母 …）的卡片
+  const renderPostGroup = ({ key, heading, posts }) => (
+    <div key={key} style={{
+      background: 'white',
+      borderRadius: '16px',
+      boxShadow: '0 4px 24px rgba(0,0,0,0.08)',
+      marginBottom: '2.5rem',
+      padding: '2.5rem 2rem 2rem 2rem',
+      border: '1px solid #e9ecef',
+    }}>
+      <div style={{
+        textAlign: 'center',
+        fontWeight: 700,
+        fontSize: '1.15rem',
+        color: '#179b8e',
+        marginBottom: '2rem',
+        letterSpacing: '0.02em',
+      }}>{heading}</div>
+      <div style={{ width: '100%' }}>
+        {posts.map((post, index) => {
+          const isExpanded = expandedPosts.has(post.wordpressId);
+          return (
+            <React.Fragment key={post.wordpressId}>
+              <div style={{
+                display: 'flex',
+                alignItems: 'stretch',
+                /* borderBottom: index === posts.length - 1 ? 'none' : '1px solid #f0f0f0', */
+                transition: 'all 0.3s',
+                cursor: 'pointer',
+                background: isExpanded ? 'rgba(118,207,197,0.06)' : 'none',
+                borderRadius: isExpanded ? '12px 12px 0 0' : 0,
+              }}
+              onMouseEnter={e => setHoveredRow(post.wordpressId)}
+              onMouseLeave={e => setHoveredRow(null)}
+              >
+                {/* 标题列（带柳条装饰） */}
+                <div style={{
+                  flex: 2,
+                  display: 'flex',
+                  alignItems: 'center',
+                  minWidth: 0,
+                  padding: '1.5rem 1rem',
+                  background: hoveredRow === post.wordpressId ? 'rgba(118,207,197,0.08)' : 'transparent',
+                  borderRadius: '8px',
+                  transition: 'background 0.3s ease',
+                }}>
+                  <div style={{ 
+                    width: '40px', 
+                    display: 'flex', 
+                    justifyContent: 'flex-end', 
+                    alignItems: 'center',
+                    marginRight: '0.5rem', 
+                    cursor: 'default',
+                    height: '36px'
+                  }}>
+                    <WillowDecoration isLeft={false} />
+                  </div>
+                  <h3 style={{
+                    fontSize: '1.6rem',
+                    fontWeight: '600',
+                    margin: '0',
+                    color: '#333',
+                    whiteSpace: 'nowrap',
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                    flex: 1,
+                    minWidth: 0,
+                    lineHeight: '1.2',
+                    display: 'flex',
+                    alignItems: 'center',
+                    height: '36px'
+                  }}>
+                    <a 
+                      href={`/post/${post.slug}`}
+                      style={{
+                        color: 'inherit',
+                        textDecoration: 'none',
+                        transition: 'color 0.2s, transform 0.2s cubic-bezier(0.4,0,0.2,1)',
+                        whiteSpace: 'nowrap',
+                        overflow: 'hidden',
+                        textOverflow: 'ellipsis',
+                        display: 'inline-block',
+                        maxWidth: '100%'
+                      }}
+                      onMouseEnter={e => {
+                        e.target.style.color = '#76cfc5';
+                        e.target.style.transform = 'translateY(-4px)';
+                      }}
+                      onMouseLeave={e => {
+                        e.target.style.color = '#333';
+                        e.target.style.transform = 'translateY(0)';
+                      }}
+                      onClick={e => e.stopPropagation()}
+                    >
+                      {post.title}
+                    </a>
+                  </h3>
+                  <div style={{ 
+                    width: '40px', 
+                    display: 'flex', 
+                    justifyContent: 'flex-start', 
+                    alignItems: 'center',
+                    marginLeft: '0.5rem', 
+                    cursor: 'default',
+                    height: '36px'
+                  }}>
+                    <WillowDecoration isLeft={true} />
+                  </div>
+                </div>
+                {/* 标签列 */}
+                <div style={{
+                  flex: 1.2,
+                  display: 'flex',
+                  alignItems: 'center',
+                  padding: '1.5rem 1rem',
+                  minWidth: '150px',
+                  flexWrap: 'wrap',
+                  rowGap: '0.3rem',
+                  background: hoveredRow === post.wordpressId ? 'rgba(118,207,197,0.08)' : 'transparent',
+                  borderRadius: '8px',
+                  transition: 'background 0.3s ease',
+                }}>
+                  {post.tags && post.tags.length > 0 && (
+                    <div style={{
+                      display: 'flex',
+                      flexDirection: 'row',
+                      gap: '0.3rem',
+                      flexWrap: 'nowrap',
+                      width: '100%',
+                      overflow: 'hidden',
+                    }}>
+                      {post.tags.slice(0, 2).map(tag => (
+                        <span key={tag.slug} style={{
+                          background: '#edf2f7',
+                          color: '#4a5568',
+                          padding: '0.25rem 0.75rem',
+                          borderRadius: '15px',
+                          fontSize: '0.85rem',
+                          fontWeight: 500,
+                          whiteSpace: 'nowrap'
+                        }}>
+                          {tag.name}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+                {/* 展开按钮列 */}
+                <div style={{
+                  flex: '0 0 80px',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  padding: '1.5rem 1rem',
+                  background: hoveredRow === post.wordpressId ? 'rgba(118,207,197,0.08)' : 'transparent',
+                  borderRadius: '8px',
+                  transition: 'background 0.3s ease',
+                }}>
+                  <button
+                    onClick={e => {
+                      e.stopPropagation();
+                      toggleExpanded(post.wordpressId);
+                    }}
+                    aria-label={isExpanded ? 'Collapse post details' : 'Expand post details'}
+                    aria-expanded={isExpanded}
+                    style={{
+                      background: 'none',
+                      border: 'none',
+                      cursor: 'pointer',
+                      fontSize: '1.2rem',
+                      color: '#76cfc5',
+                      transition: 'all 0.3s cubic-bezier(0.4,0,0.2,1)',
+                      transform: isExpanded ? 'rotate(180deg)' : 'rotate(0deg)',
+                      outline: 'none',
+                      opacity: isExpanded ? 1 : (hoveredRow === post.wordpressId ? 1 : 0),
+                      visibility: isExpanded ? 'visible' : (hoveredRow === post.wordpressId ? 'visible' : 'hidden'),
+                    }}
+                    onMouseEnter={e => {
+                      e.currentTarget.style.color = '#ffb400';
+                      e.currentTarget.style.transform = (isExpanded ? 'rotate(180deg)' : 'rotate(0deg)') + ' scale(1.25)';
+                      e.currentTarget.style.boxShadow = '0 2px 12px rgba(255,180,0,0.18)';
+                    }}
+                    onMouseLeave={e => {
+                      e.currentTarget.style.color = '#76cfc5';
+                      e.currentTarget.style.transform = isExpanded ? 'rotate(180deg)' : 'rotate(0deg)';
+                      e.currentTarget.style.boxShadow = 'none';
+                    }}
+                  >
+                    <span style={{ fontSize: '1.2rem', display: 'inline-block', transition: 'inherit' }}>↓</span>
+                  </button>
+                </div>
+              </div>
+              {/* 展开内容 */}
+              <div
+                style={{
+                  maxHeight: isExpanded ? '320px' : '0',
+                  overflow: 'hidden',
+                  transition: 'max-height 0.5s cubic-bezier(0.4,0,0.2,1)',
+                  background: 'none',
+                  borderRadius: 0,
+                  margin: isExpanded ? '0.5rem 0 1.5rem 0' : '0',
+                  boxShadow: 'none',
+                  display: 'flex',
+                  alignItems: 'flex-start',
+                  padding: isExpanded ? '2rem 0 2rem 0' : '0 0 0 0',
+                  gap: '2rem',
+                  pointerEvents: isExpanded ? 'auto' : 'none',
+                }}
+              >
+                {/* 左侧：描述、时长、按钮 */}
+                <div style={{ flex: 2, minWidth: 0, display: 'flex', flexDirection: 'column', justifyContent: 'flex-start', paddingLeft: '3rem' }}>
+                  <div style={{ fontSize: '1.1rem', color: '#333', marginBottom: '1rem', lineHeight: 1.7 }}>{(post.excerpt || '').replace(/<[^>]+>/g, '')}</div>
+                  {/* Read more + 时长 */}
+                  <div
+                    style={{ display: 'flex', alignItems: 'center', gap: '1.1rem', marginBottom: 0 }}
+                    onMouseEnter={e => setHoveredRow(post.wordpressId)}
+                    onMouseLeave={e => setHoveredRow(null)}
+                  >
+                    <a 
+                      href={`/post/${post.slug}`}
+                      style={{
+                        display: 'inline-flex',
+                        alignItems: 'center',
+                        gap: '0.5rem',
+                        color: hoveredRow === post.wordpressId ? '#5bc0ae' : '#76cfc5',
+                        textDecoration: 'none',
+                        fontSize: '1.15rem',
+                        fontWeight: 600,
+                        transition: 'color 0.3s, transform 0.3s',
+                        padding: '0.7rem 0',
+                        cursor: 'pointer',
+                        border: 'none',
+                        background: 'none',
+                        transform: hoveredRow === post.wordpressId ? 'translateX(10px)' : 'none',
+                      }}
+                    >
+                      Read more <span style={{ fontSize: '1.2rem' }}>→</span>
+                    </a>
+                    <span style={{ fontSize: '0.95rem', color: '#888', margin: 0, whiteSpace: 'nowrap' }}>⏱️ {post.readTime}</span>
+                  </div>
+                </div>
+                {/* 右侧：封面图 */}
+                <div style={{
+                  flex: 1.2,
+                  minWidth: '180px',
+                  maxWidth: '330px',
+                  height: '200px',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                }}>
+                  {post.featuredImage ? (
+                    // 如果有特色图片，显示真实图片
+                    <img 
+                      src={post.featuredImage}
+                      alt={post.title}
+                      style={{
+                        width: 'auto',
+                        height: 'auto',
+                        maxWidth: '100%',
+                        maxHeight: '100%',
+                        objectFit: 'contain',
+                      }}
+                      onError={(e) => {
+                        // 如果图片加载失败，显示默认SVG
+                        e.target.style.display = 'none';
+                        e.target.nextSibling.style.display = 'flex';
+                      }}
+                    />
+                  ) : null}
+                  {/* 默认SVG封面图（当没有特色图片或图片加载失败时显示） */}
+                  <div style={{
+                    display: post.featuredImage ? 'none' : 'flex',
+                    width: '100%',
+                    height: '100%',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                  }}>
+                    {(() => {
+                      const svgs = [
+                        // 蓝色
+                        <svg key="blue" width="180" height="200" viewBox="0 0 180 200" fill="none" xmlns="http://www.w3.org/2000/svg">
+                          <rect width="180" height="200" rx="16" fill="#4299e1"/>
+                          <rect x="30" y="60" width="80" height="30" rx="8" fill="#fff"/>
+                          <circle cx="50" cy="75" r="6" fill="#4299e1"/>
+                          <circle cx="70" cy="75" r="6" fill="#4299e1"/>
+                          <rect x="30" y="110" width="40" height="16" rx="8" fill="#fff"/>
+                        </svg>,
+                        // 绿色
+                        <svg key="green" width="180" height="200" viewBox="0 0 180 200" fill="none" xmlns="http://www.w3.org/2000/svg">
+                          <rect width="180" height="200" rx="16" fill="#38b2ac"/>
+                          <rect x="30" y="50" width="90" height="20" rx="10" fill="#fff"/>
+                          <rect x="30" y="80" width="70" height="20" rx="10" fill="#fff"/>
+                          <circle cx="120" cy="60" r="7" fill="#38b2ac"/>
+                          <circle cx="100" cy="90" r="7" fill="#38b2ac"/>
+                        </svg>,
+                        // 橙色
+                        <svg key="orange" width="180" height="200" viewBox="0 0 180 200" fill="none" xmlns="http://www.w3.org/2000/svg">
+                          <rect width="180" height="200" rx="16" fill="#ed8936"/>
+                          <rect x="40" y="40" width="70" height="40" rx="8" fill="#fff"/>
+                          <rect x="50" y="55" width="50" height="8" rx="4" fill="#ed8936"/>
+                          <circle cx="60" cy="120" r="12" fill="#fff"/>
+                          <circle cx="100" cy="120" r="12" fill="#fff"/>
+                        </svg>
+                      ];
+                      return svgs[index % svgs.length];
+                    })()}
+                  </div>
+                </div>
+              </div>
+            </React.Fragment>
+          );
+        })}
+      </div>
+    </div>
+  )
+
+  // 年、月分组的标题按钮，count 为本页中的文章数，archivePath 为对应的归档页
+  const renderGroupHeader = ({ groupKey, label, count, open, archivePath, level }) => (
+    <div style={{
+      display: 'flex',
+      alignItems: 'baseline',
+      gap: '0.75rem',
+      margin: level === 'year' ? '0 0 1.5rem 0' : '0 0 1.25rem 1rem',
+    }}>
+      <button
+        onClick={() => toggleGroup(groupKey)}
+        aria-expanded={open}
+        style={{
+          background: 'none',
+          border: 'none',
+          padding: 0,
+          cursor: 'pointer',
+          fontSize: level === 'year' ? '1.8rem' : '1.3rem',
+          fontWeight: level === 'year' ? 800 : 700,
+          color: level === 'year' ? '#333' : '#179b8e',
+        }}
+      >
+        <span style={{ display: 'inline-block', width: '1.2em', color: '#76cfc5' }}>{open ? '▾' : '▸'}</span>
+        {label}
+      </button>
+      <span style={{ color: '#888', fontSize: '0.95rem' }}>{count} {count === 1 ? 'post' : 'posts'}</span>
+      <a href={archivePath} style={{ color: '#179b8e', fontSize: '0.9rem', textDecoration: 'none' }}>
+        View archive →
+      </a>
+    </div>
+  )
+
+  // 年 → 月 → 日分组；默认展开第一个年份，其余年份折叠
+  const renderYearGroups = () => yearGroups.map((yearGroup, yearIndex) => {
+    const yearOpen = isGroupOpen(yearGroup.year, yearIndex === 0)
+    return (
+      <section key={yearGroup.year} style={{ marginBottom: '2.5rem' }}>
+        {renderGroupHeader({
+          groupKey: yearGroup.year,
+          label: dateArchiveName(yearGroup.year),
+          count: yearGroup.count,
+          open: yearOpen,
+          archivePath: dateArchivePath(yearGroup.year),
+          level: 'year',
+        })}
+        {yearOpen && yearGroup.months.map(monthGroup => {
+          const monthKey = `${monthGroup.year}-${monthGroup.month}`
+          const monthOpen = isGroupOpen(monthKey, true)
+          return (
+            <div key={monthKey}>
+              {renderGroupHeader({
+                groupKey: monthKey,
+                label: dateArchiveName(monthGroup.year, monthGroup.month),
+                count: monthGroup.count,
+                open: monthOpen,
+                archivePath: dateArchivePath(monthGroup.year, monthGroup.month),
+                level: 'month',
+              })}
+              {monthOpen && monthGroup.days.map(([date, posts]) => renderPostGroup({ key: date, heading: formatDate(date), posts }))}
+            </div>
+          )
+        })}
+      </section>
+    )
+  })
 
   return (
   <Layout>
       <Seo 
-        title={metaData?.title || 'Posts'} 
+        title={`${metaData?.title || 'Posts'}${currentPage > 1 ? ` (page ${currentPage} of ${numPages})` : ''}`} 
         description={metaData?.subtitle || 'Browse all posts'}
-      />
+      >
+        {currentPage > 1 && <link rel="prev" href={pagePath(basePath, currentPage - 1)} />}
+        {currentPage < numPages && <link rel="next" href={pagePath(basePath, currentPage + 1)} />}
+      </Seo>
       
       <style dangerouslySetInnerHTML={{
         __html: `
@@ -185,11 +797,19 @@ const PostsPage = ({ data }) => {
             }}>
               Filter by tags:
             </h3>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
+              <span style={{ fontSize: '0.85rem', color: '#888' }}>Match</span>
+              <ToggleButton active={postsQuery.match !== 'all'} onClick={() => setTagMatch('any')}>Any</ToggleButton>
+              <ToggleButton active={postsQuery.match === 'all'} onClick={() => setTagMatch('all')}>All</ToggleButton>
+              <span style={{ width: '0.6rem' }} />
+              <ToggleButton active={showTagCloud} onClick={() => setShowTagCloud(prev => !prev)}>Cloud</ToggleButton>
+            </div>
             <div style={{ flex: 1 }} />
             <div style={{ width: '300px' }}>
               <input
                 type="text"
                 placeholder="Search posts..."
+                aria-label="Search posts"
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
                 style={{
@@ -213,43 +833,93 @@ const PostsPage = ({ data }) => {
             width: '100%'
           }}>
             {allTags.map(tag => (
-              <button
-                key={tag}
-                onClick={() => toggleTag(tag)}
-                style={{
-                  padding: '0.5rem 1rem',
-                  fontSize: '0.9rem',
-                  fontWeight: '500',
-                  border: '2px solid',
-                  borderRadius: '20px',
-                  cursor: 'pointer',
-                  transition: 'all 0.2s',
-                  backgroundColor: selectedTags.includes(tag) ? '#76cfc5' : 'transparent',
-                  borderColor: selectedTags.includes(tag) ? '#76cfc5' : '#ddd',
-                  color: selectedTags.includes(tag) ? 'white' : '#666'
-                }}
-                onMouseEnter={(e) => {
-                  if (!selectedTags.includes(tag)) {
-                    e.target.style.borderColor = '#76cfc5'
-                    e.target.style.color = '#76cfc5'
-                  }
-                }}
-                onMouseLeave={(e) => {
-                  if (!selectedTags.includes(tag)) {
-                    e.target.style.borderColor = '#ddd'
-                    e.target.style.color = '#666'
-                  }
-                }}
-              >
-                {tag}
-              </button>
+              <FilterButton
+                key={tag.slug}
+                label={tag.name}
+                count={tagCounts.get(tag.slug) || 0}
+                selected={selectedTags.includes(tag.slug)}
+                fontSize={showTagCloud ? CLOUD_FONT_SIZES[cloudLevels.get(tag.slug) - 1] : undefined}
+                onClick={() => toggleTag(tag.slug)}
+              />
             ))}
           </div>
+          {/* 分类筛选：与标签同时使用时取交集 */}
+          {allCategories.length > 0 && (
+            <div style={{
+              display: 'flex',
+              alignItems: 'center',
+              flexWrap: 'wrap',
+              gap: '0.5rem',
+              width: '100%',
+              marginTop: '1.5rem',
+            }}>
+              <h3 style={{
+                fontSize: '1.1rem',
+                fontWeight: '600',
+                color: '#333',
+                margin: '0 1rem 0 0',
+                whiteSpace: 'nowrap'
+              }}>
+                Categories:
+              </h3>
+              {allCategories.map(category => (
+                <FilterButton
+                  key={category.slug}
+                  label={category.name}
+                  count={categoryCounts.get(category.slug) || 0}
+                  selected={selectedCategories.includes(category.slug)}
+                  onClick={() => toggleCategory(category.slug)}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* 排序、分组方式与按年月浏览归档；搜索结果不分组，按年月分组只用于按发布时间排序 */}
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.4rem',
+          flexWrap: 'wrap',
+        }}>
+          <span style={{ fontSize: '0.85rem', color: '#888' }}>Sort by</span>
+          <select
+            aria-label="Sort posts"
+            value={isSearching ? chosenSort || '' : sort}
+            onChange={(e) => setSort(e.target.value)}
+            style={{
+              padding: '0.3rem 0.6rem',
+              fontSize: '0.85rem',
+              border: '1px solid #76cfc5',
+              borderRadius: '6px',
+              background: 'white',
+              color: '#179b8e',
+              fontWeight: 600,
+              cursor: 'pointer',
+            }}
+          >
+            {isSearching && <option value="">Best match</option>}
+            {sortOptions.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          {!isSearching && isDateSort(sort) && (
+            <>
+              <span style={{ width: '0.6rem' }} />
+              <span style={{ fontSize: '0.85rem', color: '#888' }}>Group by</span>
+              <ToggleButton active={groupMode === 'day'} onClick={() => setGroupMode('day')}>Day</ToggleButton>
+              <ToggleButton active={groupMode === 'year'} onClick={() => setGroupMode('year')}>Year</ToggleButton>
+            </>
+          )}
+          <div style={{ flex: 1 }} />
+          <ArchiveNavigator />
         </div>
 
         {/* 文章列表 */}
         <div style={{ marginTop: '2rem' }}>
-          {filteredPosts.length === 0 ? (
+          {isSearching ? (
+            <SearchResults query={query} results={listedPosts} total={searchResults.length} loading={!searcher} />
+          ) : listedPosts.length === 0 ? (
             <div style={{ 
               textAlign: 'center', 
               padding: '3rem', 
@@ -259,321 +929,25 @@ const PostsPage = ({ data }) => {
               No posts found matching your criteria.
             </div>
           ) : (
-            groupedPosts.map(([date, posts]) => (
-              <div key={date} style={{
-                background: 'white',
-                borderRadius: '16px',
-                boxShadow: '0 4px 24px rgba(0,0,0,0.08)',
-                marginBottom: '2.5rem',
-                padding: '2.5rem 2rem 2rem 2rem',
-                border: '1px solid #e9ecef',
-              }}>
-                <div style={{
-                  textAlign: 'center',
-                  fontWeight: 700,
-                  fontSize: '1.15rem',
-                  color: '#179b8e',
-                  marginBottom: '2rem',
-                  letterSpacing: '0.02em',
-                }}>{formatDate(date)}</div>
-                <div style={{ width: '100%' }}>
-                  {posts.map((post, index) => {
-                    const isExpanded = expandedPosts.has(post.wordpressId);
-                    return (
-                      <React.Fragment key={post.wordpressId}>
-                        <div style={{
-                          display: 'flex',
-                          alignItems: 'stretch',
-                          /* borderBottom: index === posts.length - 1 ? 'none' : '1px solid #f0f0f0', */
-                          transition: 'all 0.3s',
-                          cursor: 'pointer',
-                          background: isExpanded ? 'rgba(118,207,197,0.06)' : 'none',
-                          borderRadius: isExpanded ? '12px 12px 0 0' : 0,
-                        }}
-                        onMouseEnter={e => setHoveredRow(post.wordpressId)}
-                        onMouseLeave={e => setHoveredRow(null)}
-                        >
-                          {/* 标题列（带柳条装饰） */}
-                          <div style={{
-                            flex: 2,
-                            display: 'flex',
-                            alignItems: 'center',
-                            minWidth: 0,
-                            padding: '1.5rem 1rem',
-                            background: hoveredRow === post.wordpressId ? 'rgba(118,207,197,0.08)' : 'transparent',
-                            borderRadius: '8px',
-                            transition: 'background 0.3s ease',
-                          }}>
-                            <div style={{ 
-                              width: '40px', 
-                              display: 'flex', 
-                              justifyContent: 'flex-end', 
-                              alignItems: 'center',
-                              marginRight: '0.5rem', 
-                              cursor: 'default',
-                              height: '36px'
-                            }}>
-                              <WillowDecoration isLeft={false} />
-                            </div>
-                            <h3 style={{
-                              fontSize: '1.6rem',
-                              fontWeight: '600',
-                              margin: '0',
-                              color: '#333',
-                              whiteSpace: 'nowrap',
-                              overflow: 'hidden',
-                              textOverflow: 'ellipsis',
-                              flex: 1,
-                              minWidth: 0,
-                              lineHeight: '1.2',
-                              display: 'flex',
-                              alignItems: 'center',
-                              height: '36px'
-                            }}>
-                              <a 
-                                href={`/post/${post.slug}`}
-                                style={{
-                                  color: 'inherit',
-                                  textDecoration: 'none',
-                                  transition: 'color 0.2s, transform 0.2s cubic-bezier(0.4,0,0.2,1)',
-                                  whiteSpace: 'nowrap',
-                                  overflow: 'hidden',
-                                  textOverflow: 'ellipsis',
-                                  display: 'inline-block',
-                                  maxWidth: '100%'
-                                }}
-                                onMouseEnter={e => {
-                                  e.target.style.color = '#76cfc5';
-                                  e.target.style.transform = 'translateY(-4px)';
-                                }}
-                                onMouseLeave={e => {
-                                  e.target.style.color = '#333';
-                                  e.target.style.transform = 'translateY(0)';
-                                }}
-                                onClick={e => e.stopPropagation()}
-                              >
-                                {post.title}
-                              </a>
-                            </h3>
-                            <div style={{ 
-                              width: '40px', 
-                              display: 'flex', 
-                              justifyContent: 'flex-start', 
-                              alignItems: 'center',
-                              marginLeft: '0.5rem', 
-                              cursor: 'default',
-                              height: '36px'
-                            }}>
-                              <WillowDecoration isLeft={true} />
-                            </div>
-                          </div>
-                          {/* 标签列 */}
-                          <div style={{
-                            flex: 1.2,
-                            display: 'flex',
-                            alignItems: 'center',
-                            padding: '1.5rem 1rem',
-                            minWidth: '150px',
-                            flexWrap: 'wrap',
-                            rowGap: '0.3rem',
-                            background: hoveredRow === post.wordpressId ? 'rgba(118,207,197,0.08)' : 'transparent',
-                            borderRadius: '8px',
-                            transition: 'background 0.3s ease',
-                          }}>
-                            {post.tags && post.tags.length > 0 && (
-                              <div style={{
-                                display: 'flex',
-                                flexDirection: 'row',
-                                gap: '0.3rem',
-                                flexWrap: 'nowrap',
-                                width: '100%',
-                                overflow: 'hidden',
-                              }}>
-                                {post.tags.slice(0, 2).map((tag, i) => (
-                                  <span key={tag + i} style={{
-                                    background: '#edf2f7',
-                                    color: '#4a5568',
-                                    padding: '0.25rem 0.75rem',
-                                    borderRadius: '15px',
-                                    fontSize: '0.85rem',
-                                    fontWeight: 500,
-                                    whiteSpace: 'nowrap'
-                                  }}>
-                                    {tag}
-                                  </span>
-                                ))}
-                              </div>
-                            )}
-                          </div>
-                          {/* 展开按钮列 */}
-                          <div style={{
-                            flex: '0 0 80px',
-                            display: 'flex',
-                            alignItems: 'center',
-                            justifyContent: 'center',
-                            padding: '1.5rem 1rem',
-                            background: hoveredRow === post.wordpressId ? 'rgba(118,207,197,0.08)' : 'transparent',
-                            borderRadius: '8px',
-                            transition: 'background 0.3s ease',
-                          }}>
-                            <button
-                              onClick={e => {
-                                e.stopPropagation();
-                                toggleExpanded(post.wordpressId);
-                              }}
-                              style={{
-                                background: 'none',
-                                border: 'none',
-                                cursor: 'pointer',
-                                fontSize: '1.2rem',
-                                color: '#76cfc5',
-                                transition: 'all 0.3s cubic-bezier(0.4,0,0.2,1)',
-                                transform: isExpanded ? 'rotate(180deg)' : 'rotate(0deg)',
-                                outline: 'none',
-                                opacity: isExpanded ? 1 : (hoveredRow === post.wordpressId ? 1 : 0),
-                                visibility: isExpanded ? 'visible' : (hoveredRow === post.wordpressId ? 'visible' : 'hidden'),
-                              }}
-                              onMouseEnter={e => {
-                                e.currentTarget.style.color = '#ffb400';
-                                e.currentTarget.style.transform = (isExpanded ? 'rotate(180deg)' : 'rotate(0deg)') + ' scale(1.25)';
-                                e.currentTarget.style.boxShadow = '0 2px 12px rgba(255,180,0,0.18)';
-                              }}
-                              onMouseLeave={e => {
-                                e.currentTarget.style.color = '#76cfc5';
-                                e.currentTarget.style.transform = isExpanded ? 'rotate(180deg)' : 'rotate(0deg)';
-                                e.currentTarget.style.boxShadow = 'none';
-                              }}
-                            >
-                              <span style={{ fontSize: '1.2rem', display: 'inline-block', transition: 'inherit' }}>↓</span>
-                            </button>
-                          </div>
-                        </div>
-                        {/* 展开内容 */}
-                        <div
-                          style={{
-                            maxHeight: isExpanded ? '320px' : '0',
-                            overflow: 'hidden',
-                            transition: 'max-height 0.5s cubic-bezier(0.4,0,0.2,1)',
-                            background: 'none',
-                            borderRadius: 0,
-                            margin: isExpanded ? '0.5rem 0 1.5rem 0' : '0',
-                            boxShadow: 'none',
-                            display: 'flex',
-                            alignItems: 'flex-start',
-                            padding: isExpanded ? '2rem 0 2rem 0' : '0 0 0 0',
-                            gap: '2rem',
-                            pointerEvents: isExpanded ? 'auto' : 'none',
-                          }}
-                        >
-                          {/* 左侧：描述、时长、按钮 */}
-                          <div style={{ flex: 2, minWidth: 0, display: 'flex', flexDirection: 'column', justifyContent: 'flex-start', paddingLeft: '3rem' }}>
-                            <div style={{ fontSize: '1.1rem', color: '#333', marginBottom: '1rem', lineHeight: 1.7 }}>{post.excerpt.replace(/<[^>]+>/g, '')}</div>
-                            {/* Read more + 时长 */}
-                            <div
-                              style={{ display: 'flex', alignItems: 'center', gap: '1.1rem', marginBottom: 0 }}
-                              onMouseEnter={e => setHoveredRow(post.wordpressId)}
-                              onMouseLeave={e => setHoveredRow(null)}
-                            >
-                              <a 
-                                href={`/post/${post.slug}`}
-                                style={{
-                                  display: 'inline-flex',
-                                  alignItems: 'center',
-                                  gap: '0.5rem',
-                                  color: hoveredRow === post.wordpressId ? '#5bc0ae' : '#76cfc5',
-                                  textDecoration: 'none',
-                                  fontSize: '1.15rem',
-                                  fontWeight: 600,
-                                  transition: 'color 0.3s, transform 0.3s',
-                                  padding: '0.7rem 0',
-                                  cursor: 'pointer',
-                                  border: 'none',
-                                  background: 'none',
-                                  transform: hoveredRow === post.wordpressId ? 'translateX(10px)' : 'none',
-                                }}
-                              >
-                                Read more <span style={{ fontSize: '1.2rem' }}>→</span>
-                              </a>
-                              <span style={{ fontSize: '0.95rem', color: '#888', margin: 0, whiteSpace: 'nowrap' }}>⏱️ {post.readTime || getRandomReadTime()}</span>
-                            </div>
-                          </div>
-                          {/* 右侧：封面图 */}
-                          <div style={{
-                            flex: 1.2,
-                            minWidth: '180px',
-                            maxWidth: '330px',
-                            height: '200px',
-                            display: 'flex',
-                            alignItems: 'center',
-                            justifyContent: 'center',
-                          }}>
-                            {post.featuredImage ? (
-                              // 如果有特色图片，显示真实图片
-                              <img 
-                                src={post.featuredImage}
-                                alt={post.title}
-                                style={{
-                                  width: 'auto',
-                                  height: 'auto',
-                                  maxWidth: '100%',
-                                  maxHeight: '100%',
-                                  objectFit: 'contain',
-                                }}
-                                onError={(e) => {
-                                  // 如果图片加载失败，显示默认SVG
-                                  e.target.style.display = 'none';
-                                  e.target.nextSibling.style.display = 'flex';
-                                }}
-                              />
-                            ) : null}
-                            {/* 默认SVG封面图（当没有特色图片或图片加载失败时显示） */}
-                            <div style={{
-                              display: post.featuredImage ? 'none' : 'flex',
-                              width: '100%',
-                              height: '100%',
-                              alignItems: 'center',
-                              justifyContent: 'center',
-                            }}>
-                              {(() => {
-                                const svgs = [
-                                  // 蓝色
-                                  <svg key="blue" width="180" height="200" viewBox="0 0 180 200" fill="none" xmlns="http://www.w3.org/2000/svg">
-                                    <rect width="180" height="200" rx="16" fill="#4299e1"/>
-                                    <rect x="30" y="60" width="80" height="30" rx="8" fill="#fff"/>
-                                    <circle cx="50" cy="75" r="6" fill="#4299e1"/>
-                                    <circle cx="70" cy="75" r="6" fill="#4299e1"/>
-                                    <rect x="30" y="110" width="40" height="16" rx="8" fill="#fff"/>
-                                  </svg>,
-                                  // 绿色
-                                  <svg key="green" width="180" height="200" viewBox="0 0 180 200" fill="none" xmlns="http://www.w3.org/2000/svg">
-                                    <rect width="180" height="200" rx="16" fill="#38b2ac"/>
-                                    <rect x="30" y="50" width="90" height="20" rx="10" fill="#fff"/>
-                                    <rect x="30" y="80" width="70" height="20" rx="10" fill="#fff"/>
-                                    <circle cx="120" cy="60" r="7" fill="#38b2ac"/>
-                                    <circle cx="100" cy="90" r="7" fill="#38b2ac"/>
-                                  </svg>,
-                                  // 橙色
-                                  <svg key="orange" width="180" height="200" viewBox="0 0 180 200" fill="none" xmlns="http://www.w3.org/2000/svg">
-                                    <rect width="180" height="200" rx="16" fill="#ed8936"/>
-                                    <rect x="40" y="40" width="70" height="40" rx="8" fill="#fff"/>
-                                    <rect x="50" y="55" width="50" height="8" rx="4" fill="#ed8936"/>
-                                    <circle cx="60" cy="120" r="12" fill="#fff"/>
-                                    <circle cx="100" cy="120" r="12" fill="#fff"/>
-                                  </svg>
-                                ];
-                                return svgs[index % svgs.length];
-                              })()}
-                            </div>
-                          </div>
-                        </div>
-                      </React.Fragment>
-                    );
-                  })}
-                </div>
-              </div>
-            ))
+            showYearGroups
+              ? renderYearGroups()
+              : groupedPosts.map(group => renderPostGroup({ key: group.key, heading: groupHeading(group), posts: group.posts }))
           )}
         </div>
+
+        {/* 分页：有筛选条件时在浏览器端翻页，否则链接到 /posts/n */}
+        {isFiltering ? (
+          <Pagination
+            basePath={basePath}
+            currentPage={filteredPage}
+            numPages={filteredPages.length}
+            hrefFor={page => `${basePath}${buildPostsQuery({ ...postsQuery, page })}`}
+            onPageChange={setFilteredPage}
+            {...PAGE_LABELS[isSearching ? chosenSort : sort]}
+          />
+        ) : (
+          <Pagination basePath={basePath} currentPage={currentPage} numPages={numPages} {...PAGE_LABELS[DEFAULT_POST_SORT]} />
+        )}
       </div>
   </Layout>
 )
@@ -583,20 +957,28 @@ export default PostsPage
 
 // GraphQL查询
 export const query = graphql`
-  query PostsPageQuery {
-    allWordPressPost(sort: {date: DESC}) {
+  query PostsPageQuery($skip: Int = 0, $limit: Int) {
+    allWordPressPost(filter: {status: {eq: "publish"}}, sort: {date: DESC}, skip: $skip, limit: $limit) {
+      pageInfo {
+        pageCount
+      }
       nodes {
         wordpressId
         title
         slug
         excerpt
-        content
         date
         author
         authorAvatar
         featuredImage
-        categories
-        tags
+        categories {
+          name
+          slug
+        }
+        tags {
+          name
+          slug
+        }
         readTime
       }
     }
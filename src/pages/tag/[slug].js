@@ -0,0 +1,8 @@
+import * as React from "react"
+import TermArchive from "../../components/TermArchive"
+
+const TagPage = ({ pageContext }) => (
+  <TermArchive label="Tag" pageContext={pageContext} />
+)
+
+export default TagPage
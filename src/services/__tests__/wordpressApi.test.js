@@ -18,6 +18,7 @@ global.fetch = jest.fn();
 
 import {
   isWordPressConfigured,
+  isLiveContentEnabled,
   getPost,
   getSocialMediaFromCategory,
   getHeroFromCategory,
@@ -26,7 +27,14 @@ import {
   getPostsPageMetaFromCategory,
   getCommentsPageMetaFromCategory,
   getContactFromCategory,
+  getProjectsFromCategory,
+  getCategoryConfig,
+  NotFoundError,
+  EmptyDescriptionError,
+  InvalidJSONError,
+  NetworkError,
 } from '../wordpressApi';
+import { CONFIG_SCHEMAS } from '../../utils/categoryConfig';
 
 // Mock environment variables
 const originalEnv = process.env;
@@ -69,6 +77,22 @@ describe('WordPress API Service', () => {
     });
   });
 
+  describe('isLiveContentEnabled', () => {
+    test('is off unless GATSBY_WORDPRESS_LIVE is true', () => {
+      expect(isLiveContentEnabled()).toBe(false);
+
+      process.env.GATSBY_WORDPRESS_LIVE = 'true';
+      expect(isLiveContentEnabled()).toBe(true);
+    });
+
+    test('is off when WordPress is not configured', () => {
+      process.env.GATSBY_WORDPRESS_LIVE = 'true';
+      delete process.env.GATSBY_WORDPRESS_URL;
+
+      expect(isLiveContentEnabled()).toBe(false);
+    });
+  });
+
   describe('decodeHtmlEntities', () => {
     test('decodes HTML entities correctly', () => {
       const textarea = document.createElement('textarea');
@@ -144,7 +168,7 @@ describe('WordPress API Service', () => {
         id: 1,
         title: 'Test Post Title',
         content: '<p>Test content</p>',
-        excerpt: '<p>Test excerpt</p>',
+        excerpt: 'Test excerpt',
         slug: 'test-post',
         date: '2023-01-01T00:00:00',
         modified: '2023-01-02T00:00:00',
@@ -153,7 +177,8 @@ describe('WordPress API Service', () => {
         featuredImage: 'https://example.com/featured.jpg',
         categories: ['Category1', 'Category2'],
         tags: ['Tag1'],
-        readTime: '2 min read'
+        readingMinutes: 1,
+        readTime: '1 min read'
       });
     });
 
@@ -196,6 +221,17 @@ describe('WordPress API Service', () => {
       expect(result.authorAvatar).toBeNull();
     });
 
+    test('uses the REST API of self-hosted sites in subdirectories', async () => {
+      process.env.GATSBY_WORDPRESS_URL = 'https://example.com/blog/';
+      fetch.mockResolvedValueOnce({
+        json: jest.fn().mockResolvedValue(mockPostResponse.data)
+      });
+
+      await getPost('test-post');
+
+      expect(fetch).toHaveBeenCalledWith('https://example.com/blog/wp-json/wp/v2/posts?slug=test-post&_embed');
+    });
+
     test('handles fetch error', async () => {
       fetch.mockRejectedValueOnce(new Error('Network error'));
 
@@ -217,32 +253,31 @@ describe('WordPress API Service', () => {
       });
 
       const result = await getPost('test-post');
-      expect(result.readTime).toBe('3 min read');
+      expect(result.readingMinutes).toBe(2);
+      expect(result.readTime).toBe('2 min read');
     });
   });
 
   describe('getSocialMediaFromCategory', () => {
     const mockSocialsData = [
-      { platform: 'twitter', url: 'https://twitter.com/test' },
-      { platform: 'github', url: 'https://github.com/test' }
+      { name: 'Twitter', val: 'https://twitter.com/test', type: 'social' },
+      { name: 'GitHub', val: 'https://github.com/test', type: 'social' }
     ];
 
-    test('fetches and returns social media data as array', async () => {
+    test('rejects a bare array, like the build does', async () => {
       fetch.mockResolvedValueOnce({
         json: jest.fn().mockResolvedValue([{
           description: JSON.stringify(mockSocialsData)
         }])
       });
 
-      const result = await getSocialMediaFromCategory();
-
+      await expect(getSocialMediaFromCategory()).rejects.toThrow('Invalid socials config');
       expect(fetch).toHaveBeenCalledWith(
-        'https://example.wordpress.com/wp-json/wp/v2/categories?slug=socials'
+        'https://public-api.wordpress.com/wp/v2/sites/example.wordpress.com/categories?slug=socials'
       );
-      expect(result).toEqual(mockSocialsData);
     });
 
-    test('handles nested socials structure', async () => {
+    test('returns the socials array from the category config', async () => {
       const nestedData = { socials: mockSocialsData };
       
       fetch.mockResolvedValueOnce({
@@ -290,15 +325,17 @@ describe('WordPress API Service', () => {
         }])
       });
 
-      await expect(getSocialMediaFromCategory()).rejects.toThrow('Invalid socials data structure');
+      await expect(getSocialMediaFromCategory()).rejects.toThrow('Invalid socials config');
     });
   });
 
   describe('getHeroFromCategory', () => {
     const mockHeroData = {
-      title: 'Hero Title',
-      subtitle: 'Hero Subtitle',
-      description: 'Hero Description'
+      basic: {
+        title: 'Hero Title',
+        name: 'Hero Name',
+        description: 'Hero Description'
+      }
     };
 
     test('fetches and returns hero data', async () => {
@@ -311,7 +348,7 @@ describe('WordPress API Service', () => {
       const result = await getHeroFromCategory();
 
       expect(fetch).toHaveBeenCalledWith(
-        'https://example.wordpress.com/wp-json/wp/v2/categories?slug=hero'
+        'https://public-api.wordpress.com/wp/v2/sites/example.wordpress.com/categories?slug=hero'
       );
       expect(result).toEqual(mockHeroData);
     });
@@ -352,7 +389,7 @@ describe('WordPress API Service', () => {
       const result = await getAboutFromCategory();
 
       expect(fetch).toHaveBeenCalledWith(
-        'https://example.wordpress.com/wp-json/wp/v2/categories?slug=about'
+        'https://public-api.wordpress.com/wp/v2/sites/example.wordpress.com/categories?slug=about'
       );
       expect(result).toEqual(mockAboutData);
     });
@@ -383,7 +420,7 @@ describe('WordPress API Service', () => {
       const result = await getFooterFromCategory();
 
       expect(fetch).toHaveBeenCalledWith(
-        'https://example.wordpress.com/wp-json/wp/v2/categories?slug=footer'
+        'https://public-api.wordpress.com/wp/v2/sites/example.wordpress.com/categories?slug=footer'
       );
       expect(result).toEqual(mockFooterData);
     });
@@ -414,7 +451,7 @@ describe('WordPress API Service', () => {
       const result = await getPostsPageMetaFromCategory();
 
       expect(fetch).toHaveBeenCalledWith(
-        'https://example.wordpress.com/wp-json/wp/v2/categories?slug=posts'
+        'https://public-api.wordpress.com/wp/v2/sites/example.wordpress.com/categories?slug=posts'
       );
       expect(result).toEqual(mockPostsData);
     });
@@ -431,7 +468,7 @@ describe('WordPress API Service', () => {
   describe('getCommentsPageMetaFromCategory', () => {
     const mockCommentsData = {
       title: 'Comments Page',
-      guidelines: ['Be respectful', 'Stay on topic'],
+      rules: ['Be respectful', 'Stay on topic'],
       description: 'Comments section'
     };
 
@@ -445,7 +482,7 @@ describe('WordPress API Service', () => {
       const result = await getCommentsPageMetaFromCategory();
 
       expect(fetch).toHaveBeenCalledWith(
-        'https://example.wordpress.com/wp-json/wp/v2/categories?slug=comments'
+        'https://public-api.wordpress.com/wp/v2/sites/example.wordpress.com/categories?slug=comments'
       );
       expect(result).toEqual(mockCommentsData);
     });
@@ -461,6 +498,7 @@ describe('WordPress API Service', () => {
 
   describe('getContactFromCategory', () => {
     const mockContactData = {
+      title: 'Contact',
       email: 'test@example.com',
       phone: '+1234567890',
       address: '123 Test St'
@@ -476,7 +514,7 @@ describe('WordPress API Service', () => {
       const result = await getContactFromCategory();
 
       expect(fetch).toHaveBeenCalledWith(
-        'https://example.wordpress.com/wp-json/wp/v2/categories?slug=contact'
+        'https://public-api.wordpress.com/wp/v2/sites/example.wordpress.com/categories?slug=contact'
       );
       expect(result).toEqual(mockContactData);
     });
@@ -525,4 +563,75 @@ describe('WordPress API Service', () => {
       }
     });
   });
-});
\ No newline at end of file
+
+  describe('getCategoryConfig', () => {
+    const mockCategory = (description) => fetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      json: jest.fn().mockResolvedValue(description === undefined ? [] : [{ description }])
+    });
+
+    test('parses relaxed JSON and decodes entities like the build', async () => {
+      mockCategory("{ text: '&copy; 2025', }");
+
+      await expect(getCategoryConfig('footer')).resolves.toEqual({ text: '© 2025' });
+    });
+
+    test('applies schema and transform', async () => {
+      mockCategory('{ "basic": {} }');
+      await expect(getCategoryConfig('hero', { schema: CONFIG_SCHEMAS.hero }))
+        .rejects.toThrow('Invalid hero config: basic.title is required');
+
+      mockCategory('{ "basic": {} }');
+      await expect(getCategoryConfig('hero', { schema: null })).resolves.toEqual({ basic: {} });
+
+      mockCategory('{ "title": "Posts" }');
+      await expect(getCategoryConfig('posts', { transform: data => data.title })).resolves.toBe('Posts');
+    });
+
+    test('validates against the build-time schema by default', async () => {
+      mockCategory('{ "basic": {} }');
+      await expect(getCategoryConfig('hero')).rejects.toThrow('Invalid hero config: basic.title is required');
+
+      // 构建时会拒绝的数据（projects 应为数组），运行时同样拒绝
+      mockCategory('{ "title": "Not a list" }');
+      await expect(getProjectsFromCategory()).rejects.toBeInstanceOf(InvalidJSONError);
+    });
+
+    test('throws a distinct error type for each failure', async () => {
+      mockCategory();
+      await expect(getCategoryConfig('hero')).rejects.toBeInstanceOf(NotFoundError);
+
+      mockCategory('  ');
+      await expect(getCategoryConfig('hero')).rejects.toBeInstanceOf(EmptyDescriptionError);
+
+      mockCategory('{ title: }');
+      const invalid = await getCategoryConfig('about').catch(error => error);
+      expect(invalid).toBeInstanceOf(InvalidJSONError);
+      expect(invalid.errors[0]).toMatchObject({ line: 1, column: 10 });
+
+      fetch.mockResolvedValueOnce({ ok: false, status: 500, json: jest.fn() });
+      const failed = await getCategoryConfig('hero').catch(error => error);
+      expect(failed).toBeInstanceOf(NetworkError);
+      expect(failed.status).toBe(500);
+    });
+
+    test('reads ACF fields from the custom route in ACF mode', async () => {
+      process.env.GATSBY_WORDPRESS_API_MODE = 'acf';
+      fetch.mockResolvedValueOnce({ ok: true, status: 200, json: jest.fn().mockResolvedValue({ title: 'Tom &amp; Jerry' }) });
+
+      await expect(getCategoryConfig('contact')).resolves.toEqual({ title: 'Tom & Jerry' });
+      expect(fetch).toHaveBeenCalledWith('https://public-api.wordpress.com/wp/v2/sites/example.wordpress.com/contact');
+
+      fetch.mockResolvedValueOnce({ ok: false, status: 404, json: jest.fn() });
+      await expect(getCategoryConfig('contact')).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    test('does not request the posts collection as a config route in ACF mode', async () => {
+      process.env.GATSBY_WORDPRESS_API_MODE = 'acf';
+
+      await expect(getPostsPageMetaFromCategory()).rejects.toBeInstanceOf(NotFoundError);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+});
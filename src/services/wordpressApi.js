@@ -1,25 +1,31 @@
 // WordPress API 服务
-const WORDPRESS_URL = process.env.GATSBY_WORDPRESS_URL
+import { decodeEntities, htmlToText, decodeStrings } from "../utils/htmlEntities"
+import { getReadingTimeOverride, getReadingMinutes, formatReadingTime } from "../utils/readingTime"
+import { CONFIG_SCHEMAS, parseCategoryConfig, validateConfig, formatConfigError } from "../utils/categoryConfig"
+import { getApiBase } from "../utils/wordpressUrl"
+import { ACF_CONFIG_SLUGS } from "../utils/configSlugs"
+
+// 每次调用时读取，测试和预览中修改环境变量后也能生效
+const getWordPressUrl = () => process.env.GATSBY_WORDPRESS_URL
+
+// REST API 基地址，与构建时使用同一个解析函数（自建、子目录、WordPress.com 及其自定义域名）
+const getRestBase = () => getApiBase(getWordPressUrl())
 
 // 检查是否配置了 WordPress URL
 export const isWordPressConfigured = () => {
-  return !!WORDPRESS_URL && WORDPRESS_URL !== 'https://your-wordpress-site.com';
+  const url = getWordPressUrl();
+  return !!url && url !== 'https://your-wordpress-site.com';
 }
 
-// HTML解码函数
-const decodeHtmlEntities = (text) => {
-  if (!text) return text;
-  
-  const textarea = document.createElement('textarea');
-  textarea.innerHTML = text;
-  return textarea.value;
-};
+// 实时模式（GATSBY_WORDPRESS_LIVE=true）：组件先显示构建时的数据，再用运行时 API 的数据静默更新
+export const isLiveContentEnabled = () => isWordPressConfigured() && process.env.GATSBY_WORDPRESS_LIVE === 'true';
+
 
 // 获取单个文章详情
-export const getPost = async (slug) => {
+export const getPost = async (slug, { signal } = {}) => {
   try {
-    const siteName = WORDPRESS_URL.replace('https://', '').replace('http://', '').replace('.wordpress.com', '');
-    const response = await fetch(`https://public-api.wordpress.com/wp/v2/sites/${siteName}.wordpress.com/posts?slug=${slug}&_embed`);
+    const url = `${getRestBase()}/posts?slug=${encodeURIComponent(slug)}&_embed`;
+    const response = await (signal ? fetch(url, { signal }) : fetch(url));
     const posts = await response.json();
     
     if (!posts || posts.length === 0) {
@@ -40,7 +46,7 @@ export const getPost = async (slug) => {
       post._embedded['wp:term'].forEach(termGroup => {
         termGroup.forEach(term => {
           if (term.taxonomy === 'category') {
-            categories.push(term.name);
+            categories.push(decodeEntities(term.name));
           }
         });
       });
@@ -52,12 +58,15 @@ export const getPost = async (slug) => {
       post._embedded['wp:term'].forEach(termGroup => {
         termGroup.forEach(term => {
           if (term.taxonomy === 'post_tag') {
-            tags.push(term.name);
+            tags.push(decodeEntities(term.name));
           }
         });
       });
     }
     
+    // 阅读时长（分钟），文章可以通过 reading_time 字段手动指定
+    const readingMinutes = getReadingMinutes(post.content.rendered, { override: getReadingTimeOverride(post) });
+    
     // 获取特色图片
     let featuredImage = null;
     if (post._embedded && post._embedded['wp:featuredmedia'] && post._embedded['wp:featuredmedia'][0]) {
@@ -66,9 +75,9 @@ export const getPost = async (slug) => {
     
     return {
       id: post.id,
-      title: decodeHtmlEntities(post.title.rendered),
+      title: decodeEntities(post.title.rendered),
       content: post.content.rendered,
-      excerpt: decodeHtmlEntities(post.excerpt.rendered),
+      excerpt: htmlToText(post.excerpt.rendered),
       slug: post.slug,
       date: post.date,
       modified: post.modified,
@@ -77,7 +86,8 @@ export const getPost = async (slug) => {
       featuredImage: featuredImage,
       categories: categories,
       tags: tags,
-      readTime: Math.ceil(post.content.rendered.split(' ').length / 200) + ' min read'
+      readingMinutes,
+      readTime: formatReadingTime(readingMinutes)
     };
   } catch (error) {
     console.error('Error fetching post:', error);
@@ -85,220 +95,116 @@ export const getPost = async (slug) => {
   }
 };
 
-// 从分类获取社交媒体数据
-export const getSocialMediaFromCategory = async () => {
-  try {
-    const response = await fetch(`${WORDPRESS_URL}/wp-json/wp/v2/categories?slug=socials`);
-    const categories = await response.json();
-    
-    if (categories.length === 0) {
-      throw new Error('Socials category not found');
-    }
-    
-    const category = categories[0];
-    const description = category.description;
-    
-    if (!description) {
-      throw new Error('No description found in socials category');
-    }
-    
-    try {
-      const socialsData = JSON.parse(description);
-      
-      // 确保返回的是数组格式
-      if (Array.isArray(socialsData)) {
-        return socialsData;
-      } else if (socialsData.socials && Array.isArray(socialsData.socials)) {
-        return socialsData.socials;
-      } else {
-        throw new Error('Invalid socials data structure');
-      }
-    } catch (parseError) {
-      console.error('Error parsing socials data:', parseError);
-      throw new Error('Invalid JSON in socials category description');
-    }
-  } catch (error) {
-    console.error('Error fetching socials from category:', error);
-    throw error;
+// 站点配置读取失败的错误类型，调用方可以用 instanceof 区分原因
+export class CategoryConfigError extends Error {
+  constructor(slug, message, options) {
+    super(message, options);
+    this.name = 'CategoryConfigError';
+    this.slug = slug;
   }
-};
+}
 
-// 从分类获取Hero数据
-export const getHeroFromCategory = async () => {
-  try {
-    const response = await fetch(`${WORDPRESS_URL}/wp-json/wp/v2/categories?slug=hero`);
-    const categories = await response.json();
-    
-    if (categories.length === 0) {
-      throw new Error('Hero category not found');
-    }
-    
-    const category = categories[0];
-    const description = category.description;
-    
-    if (!description) {
-      throw new Error('No description found in hero category');
-    }
-    
-    try {
-      const heroData = JSON.parse(description);
-      return heroData;
-    } catch (parseError) {
-      console.error('Error parsing hero data:', parseError);
-      throw new Error('Invalid JSON in hero category description');
-    }
-  } catch (error) {
-    console.error('Error fetching hero from category:', error);
-    throw error;
+// 分类（ACF 模式下为对应的 REST 路由）不存在
+export class NotFoundError extends CategoryConfigError {
+  constructor(slug) {
+    super(slug, `${slug.charAt(0).toUpperCase()}${slug.slice(1)} category not found`);
+    this.name = 'NotFoundError';
   }
-};
+}
 
-// 从分类获取About数据
-export const getAboutFromCategory = async () => {
-  try {
-    const response = await fetch(`${WORDPRESS_URL}/wp-json/wp/v2/categories?slug=about`);
-    const categories = await response.json();
-    
-    if (categories.length === 0) {
-      throw new Error('About category not found');
-    }
-    
-    const category = categories[0];
-    const description = category.description;
-    
-    if (!description) {
-      throw new Error('No description found in about category');
-    }
-    
-    try {
-      const aboutData = JSON.parse(description);
-      return aboutData;
-    } catch (parseError) {
-      console.error('Error parsing about data:', parseError);
-      throw new Error('Invalid JSON in about category description');
-    }
-  } catch (error) {
-    console.error('Error fetching about from category:', error);
-    throw error;
+// 分类描述（ACF 字段）为空
+export class EmptyDescriptionError extends CategoryConfigError {
+  constructor(slug) {
+    super(slug, `No description found in ${slug} category`);
+    this.name = 'EmptyDescriptionError';
   }
-};
+}
 
-// 从分类获取Footer数据
-export const getFooterFromCategory = async () => {
-  try {
-    const response = await fetch(`${WORDPRESS_URL}/wp-json/wp/v2/categories?slug=footer`);
-    const categories = await response.json();
-    
-    if (categories.length === 0) {
-      throw new Error('Footer category not found');
-    }
-    
-    const category = categories[0];
-    const description = category.description;
-    
-    if (!description) {
-      throw new Error('No description found in footer category');
-    }
-    
-    try {
-      const footerData = JSON.parse(description);
-      return footerData;
-    } catch (parseError) {
-      console.error('Error parsing footer data:', parseError);
-      throw new Error('Invalid JSON in footer category description');
-    }
-  } catch (error) {
-    console.error('Error fetching footer from category:', error);
-    throw error;
+// 描述无法解析，或不符合 schema；errors 为 [{ path, message, line, column }]
+export class InvalidJSONError extends CategoryConfigError {
+  constructor(slug, { errors = [], message = `Invalid JSON in ${slug} category description` } = {}) {
+    super(slug, errors.length > 0 ? `${message}: ${formatConfigError(errors[0])}` : message);
+    this.name = 'InvalidJSONError';
+    this.errors = errors;
   }
-};
+}
+
+// 请求失败（网络错误、HTTP 错误状态或响应不是 JSON）
+export class NetworkError extends CategoryConfigError {
+  constructor(slug, cause, status = null) {
+    super(slug, `Could not load ${slug} config: ${cause.message}`, { cause });
+    this.name = 'NetworkError';
+    this.status = status;
+  }
+}
+
+// 与 gatsby-node.js 相同：GATSBY_WORDPRESS_API_MODE=acf 时每个配置分类对应一个自定义 REST 路由
+const isAcfMode = () => process.env.GATSBY_WORDPRESS_API_MODE === 'acf';
 
-// 从分类获取Posts页面元数据
-export const getPostsPageMetaFromCategory = async () => {
+// 请求 JSON，把各种失败统一为 NetworkError；ACF 路由 404 表示不存在
+// signal 用于取消请求，取消时原样抛出 AbortError
+const requestJson = async (slug, url, signal) => {
+  let response;
   try {
-    const response = await fetch(`${WORDPRESS_URL}/wp-json/wp/v2/categories?slug=posts`);
-    const categories = await response.json();
-    
-    if (categories.length === 0) {
-      throw new Error('Posts category not found');
-    }
-    
-    const category = categories[0];
-    const description = category.description;
-    
-    if (!description) {
-      throw new Error('No description found in posts category');
-    }
-    
-    try {
-      const postsData = JSON.parse(description);
-      return postsData;
-    } catch (parseError) {
-      console.error('Error parsing posts data:', parseError);
-      throw new Error('Invalid JSON in posts category description');
-    }
+    response = await (signal ? fetch(url, { signal }) : fetch(url));
   } catch (error) {
-    console.error('Error fetching posts from category:', error);
-    throw error;
+    if (error.name === 'AbortError') throw error;
+    throw new NetworkError(slug, error);
   }
-};
-
-// 从分类获取Comments页面元数据
-export const getCommentsPageMetaFromCategory = async () => {
+  if (isAcfMode() && response.status === 404) throw new NotFoundError(slug);
+  if (response.ok === false) throw new NetworkError(slug, new Error(`HTTP ${response.status}`), response.status);
   try {
-    const response = await fetch(`${WORDPRESS_URL}/wp-json/wp/v2/categories?slug=comments`);
-    const categories = await response.json();
-    
-    if (categories.length === 0) {
-      throw new Error('Comments category not found');
-    }
-    
-    const category = categories[0];
-    const description = category.description;
-    
-    if (!description) {
-      throw new Error('No description found in comments category');
-    }
-    
-    try {
-      const commentsData = JSON.parse(description);
-      return commentsData;
-    } catch (parseError) {
-      console.error('Error parsing comments data:', parseError);
-      throw new Error('Invalid JSON in comments category description');
-    }
+    return await response.json();
   } catch (error) {
-    console.error('Error fetching comments from category:', error);
-    throw error;
+    throw new NetworkError(slug, error, response.status ?? null);
   }
 };
 
-// 从分类获取Contact数据
-export const getContactFromCategory = async () => {
-  try {
-    const response = await fetch(`${WORDPRESS_URL}/wp-json/wp/v2/categories?slug=contact`);
-    const categories = await response.json();
-    
-    if (categories.length === 0) {
-      throw new Error('Contact category not found');
-    }
-    
-    const category = categories[0];
-    const description = category.description;
-    
-    if (!description) {
-      throw new Error('No description found in contact category');
-    }
-    
-    try {
-      const contactData = JSON.parse(description);
-      return contactData;
-    } catch (parseError) {
-      console.error('Error parsing contact data:', parseError);
-      throw new Error('Invalid JSON in contact category description');
-    }
-  } catch (error) {
-    console.error('Error fetching contact from category:', error);
-    throw error;
+// 读取站点配置分类：默认模式解析分类描述（与构建时相同的宽松 JSON 解析和实体解码），ACF 模式读取字段
+// schema 为 CONFIG_SCHEMAS 格式的结构定义，默认使用该分类在构建时的结构校验，与构建时一样拒绝不合格的数据；
+// transform 对结果做最后的转换；signal 用于取消请求
+export const getCategoryConfig = async (slug, { schema = CONFIG_SCHEMAS[slug], transform = data => data, signal } = {}) => {
+  const apiBase = getRestBase();
+  let data;
+
+  if (isAcfMode()) {
+    // 没有自定义路由的分类（posts 的路径是文章接口）与构建时一样视为不存在，继续使用构建时的数据
+    if (!ACF_CONFIG_SLUGS.includes(slug)) throw new NotFoundError(slug);
+    const acf = await requestJson(slug, `${apiBase}/${slug}`, signal);
+    if (!acf || Object.keys(acf).length === 0) throw new EmptyDescriptionError(slug);
+    data = decodeStrings(acf);
+    const errors = schema ? validateConfig(data, schema) : [];
+    if (errors.length > 0) throw new InvalidJSONError(slug, { errors, message: `Invalid ${slug} config` });
+  } else {
+    const categories = await requestJson(slug, `${apiBase}/categories?slug=${slug}`, signal);
+    if (!Array.isArray(categories) || categories.length === 0) throw new NotFoundError(slug);
+    const { description } = categories[0];
+    if (!description || !description.trim()) throw new EmptyDescriptionError(slug);
+    const result = parseCategoryConfig(slug, description, { schema });
+    if (result.data === null) throw new InvalidJSONError(slug, { errors: result.errors });
+    if (result.errors.length > 0) {
+      throw new InvalidJSONError(slug, { errors: result.errors, message: `Invalid ${slug} config` });
+    }
+    data = result.data;
   }
-}; 
\ No newline at end of file
+
+  return transform(data);
+};
+
+// 社交媒体数据可以是数组，或 { socials: [...] }
+const toSocialsArray = (data) => {
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.socials)) return data.socials;
+  throw new InvalidJSONError('socials', { message: 'Invalid socials data structure' });
+};
+
+// 各区块的快捷方法，options 可以传入 { signal }
+export const getSocialMediaFromCategory = (options) => getCategoryConfig('socials', { ...options, transform: toSocialsArray });
+export const getHeroFromCategory = (options) => getCategoryConfig('hero', options);
+export const getAboutFromCategory = (options) => getCategoryConfig('about', options);
+export const getSkillsFromCategory = (options) => getCategoryConfig('skills', options);
+export const getProjectsFromCategory = (options) => getCategoryConfig('projects', options);
+export const getFooterFromCategory = (options) => getCategoryConfig('footer', options);
+export const getPostsPageMetaFromCategory = (options) => getCategoryConfig('posts', options);
+export const getCommentsPageMetaFromCategory = (options) => getCategoryConfig('comments', options);
+export const getContactFromCategory = (options) => getCategoryConfig('contact', options);
@@ -0,0 +1,129 @@
+const {
+  pagePath,
+  paginate,
+  pageCount,
+  postsPageContext,
+  collectTermArchives,
+  dateParts,
+  isValidDateArchive,
+  dateArchivePath,
+  dateArchiveName,
+  collectDateArchives,
+  groupPostsByDay,
+  groupPostsByYear,
+} = require('../archives');
+
+describe('archives', () => {
+  describe('pagePath', () => {
+    test('uses the base path for the first page', () => {
+      expect(pagePath('/tag/react', 1)).toBe('/tag/react');
+      expect(pagePath('/tag/react', 3)).toBe('/tag/react/3');
+    });
+  });
+
+  describe('paginate', () => {
+    test('splits items into pages', () => {
+      expect(paginate([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+    });
+
+    test('always returns at least one page', () => {
+      expect(paginate([], 10)).toEqual([[]]);
+    });
+  });
+
+  describe('pageCount', () => {
+    test('rounds up and never returns less than one page', () => {
+      expect(pageCount(41, 20)).toBe(3);
+      expect(pageCount(40, 20)).toBe(2);
+      expect(pageCount(0, 20)).toBe(1);
+    });
+  });
+
+  describe('postsPageContext', () => {
+    test('computes skip and limit for the page query', () => {
+      expect(postsPageContext(1, 20)).toEqual({ basePath: '/posts', currentPage: 1, skip: 0, limit: 20 });
+      expect(postsPageContext(3, 20)).toEqual({ basePath: '/posts', currentPage: 3, skip: 40, limit: 20 });
+    });
+  });
+
+  describe('collectTermArchives', () => {
+    const react = { name: 'React', slug: 'reactjs' };
+    const news = { name: 'News', slug: 'news' };
+    const posts = [
+      { slug: 'a', tags: [react, { name: 'CSS' }], categories: [news, { name: 'Hero', slug: 'hero' }] },
+      { slug: 'b', tags: [react], categories: [news] },
+    ];
+
+    test('groups posts by term slug', () => {
+      const archives = collectTermArchives(posts, 'tags');
+
+      expect(archives.map(({ name, slug, posts }) => [name, slug, posts.map(p => p.slug)])).toEqual([
+        ['React', 'reactjs', ['a', 'b']],
+        ['CSS', 'css', ['a']],
+      ]);
+    });
+
+    test('skips excluded slugs', () => {
+      const archives = collectTermArchives(posts, 'categories', { exclude: ['hero'] });
+
+      expect(archives.map(archive => archive.slug)).toEqual(['news']);
+    });
+  });
+
+  describe('date archives', () => {
+    const posts = [
+      { slug: 'd', date: '2024-03-20T23:30:00' },
+      { slug: 'c', date: '2024-03-02T08:00:00' },
+      { slug: 'b', date: '2024-01-15T10:00:00' },
+      { slug: 'a', date: '2023-12-31T23:59:59' },
+    ];
+
+    test('reads the date parts without time zone conversion', () => {
+      expect(dateParts('2023-12-31T23:59:59')).toEqual({ year: '2023', month: '12', day: '31' });
+    });
+
+    test('builds archive paths and names', () => {
+      expect(dateArchivePath('2024')).toBe('/archive/2024');
+      expect(dateArchivePath('2024', '03')).toBe('/archive/2024/03');
+      expect(dateArchiveName('2024')).toBe('2024');
+      expect(dateArchiveName('2024', '03')).toBe('March 2024');
+    });
+
+    test('rejects years and months that are out of range', () => {
+      expect(isValidDateArchive('2024', '12')).toBe(true);
+      expect(isValidDateArchive('24')).toBe(false);
+      expect(isValidDateArchive('2024', '13')).toBe(false);
+      expect(isValidDateArchive('2024', '3')).toBe(false);
+      expect(isValidDateArchive(undefined)).toBe(false);
+      expect(dateArchiveName('2024', '00')).toBeNull();
+      expect(collectDateArchives([{ slug: 'bad', date: '2024-13-01T00:00:00' }])).toEqual([]);
+    });
+
+    test('groups posts by year and month, newest first', () => {
+      const archives = collectDateArchives([posts[3], posts[1], posts[0], posts[2], { slug: 'undated' }]);
+      expect(archives.map(archive => archive.year)).toEqual(['2024', '2023']);
+      expect(archives[0].months.map(month => month.month)).toEqual(['03', '01']);
+      expect(archives[0].months[0].posts.map(post => post.slug)).toEqual(['c', 'd']);
+      expect(archives[0].posts).toHaveLength(3);
+    });
+
+    test('groups posts by day', () => {
+      expect(groupPostsByDay([posts[2], posts[0]]).map(([date]) => date)).toEqual(['2024-03-20', '2024-01-15']);
+    });
+
+    test('groups posts by year, month and day with counts', () => {
+      const [year2024, year2023] = groupPostsByYear(posts);
+      expect(year2024).toMatchObject({ year: '2024', count: 3 });
+      expect(year2024.months[0]).toMatchObject({ month: '03', count: 2 });
+      expect(year2024.months[0].days.map(([date]) => date)).toEqual(['2024-03-20', '2024-03-02']);
+      expect(year2023.months[0].days[0][1]).toEqual([posts[3]]);
+    });
+
+    test('can group oldest first', () => {
+      const years = groupPostsByYear([...posts].reverse(), { ascending: true });
+      expect(years.map(year => year.year)).toEqual(['2023', '2024']);
+      expect(years[1].months.map(month => month.month)).toEqual(['01', '03']);
+      expect(years[1].months[1].days.map(([date]) => date)).toEqual(['2024-03-02', '2024-03-20']);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const {
+  ConfigParseError,
+  MAX_DEPTH,
+  parseConfig,
+  validateConfig,
+  parseCategoryConfig,
+  formatConfigError,
+  CONFIG_SCHEMAS,
+} = require('../categoryConfig');
+
+describe('categoryConfig', () => {
+  describe('parseConfig', () => {
+    test('parses strict JSON', () => {
+      const { value } = parseConfig('{"title": "Hi", "list": [1, 2.5, -3e2], "ok": true, "none": null}');
+      expect(value).toEqual({ title: 'Hi', list: [1, 2.5, -300], ok: true, none: null });
+    });
+
+    test('accepts unquoted keys, single quotes, trailing commas and comments', () => {
+      const text = `{
+        // hero 区块
+        basic: { title: 'Welcome', name: "Tom", },
+        /* 按钮 */
+        buttons: [{ text: 'Posts', link: '/posts' },],
+      }`;
+      expect(parseConfig(text).value).toEqual({
+        basic: { title: 'Welcome', name: 'Tom' },
+        buttons: [{ text: 'Posts', link: '/posts' }],
+      });
+    });
+
+    test('decodes string escapes', () => {
+      expect(parseConfig('"a\\"b\\n\\u4e2d"').value).toBe('a"b\n中');
+    });
+
+    test('never executes code', () => {
+      global.__configPwned = false;
+      expect(() => parseConfig('(function(){ global.__configPwned = true })()')).toThrow(ConfigParseError);
+      expect(global.__configPwned).toBe(false);
+    });
+
+    test('does not pollute the object prototype', () => {
+      const { value } = parseConfig('{"__proto__": {"polluted": true}}');
+      expect({}.polluted).toBeUndefined();
+      expect(value.__proto__).toEqual({ polluted: true });
+    });
+
+    test('reports line and column of syntax errors', () => {
+      const text = '{\n  "title": "Hi"\n  "name": "Tom"\n}';
+      expect(() => parseConfig(text)).toThrow('Expected "," or "}" but found """ (line 3, column 3)');
+      try {
+        parseConfig(text);
+      } catch (error) {
+        expect(error.line).toBe(3);
+        expect(error.column).toBe(3);
+      }
+    });
+
+    test('rejects unterminated strings and trailing garbage', () => {
+      expect(() => parseConfig('{"a": "b')).toThrow('Unterminated string (line 1, column 7)');
+      expect(() => parseConfig('[1] x')).toThrow('Unexpected "x" after end of value');
+    });
+
+    test('locates values and errors in long descriptions', () => {
+      const items = Array.from({ length: 5000 }, (_, i) => `  { name: "item ${i}" },`);
+      const { locations } = parseConfig(`[\n${items.join('\n')}\n]`);
+      expect(locations['[4999].name']).toEqual({ line: 5001, column: 11 });
+      expect(() => parseConfig(`[\n${items.join('\n')}\n  { name: "x" ]`)).toThrow('(line 5002, column 15)');
+      expect(() => parseConfig(`[\n${items.join('\n')}\n  "x`)).toThrow('Unterminated string (line 5002, column 3)');
+    });
+
+    test('reports deep nesting as a parse error', () => {
+      const nested = depth => '['.repeat(depth) + ']'.repeat(depth);
+      expect(() => parseConfig(nested(MAX_DEPTH))).not.toThrow();
+      expect(() => parseConfig(nested(MAX_DEPTH + 1))).toThrow(`Nesting is deeper than ${MAX_DEPTH} levels (line 1, column ${MAX_DEPTH + 1})`);
+      expect(() => parseConfig('{ a: '.repeat(100000))).toThrow(ConfigParseError);
+    });
+  });
+
+  describe('validateConfig', () => {
+    test('accepts the fallback data for every slug', () => {
+      const fallback = require('../../data/fallbackData');
+      const samples = {
+        hero: fallback.fallbackHero,
+        about: fallback.fallbackAbout,
+        footer: fallback.fallbackFooter,
+        socials: fallback.fallbackSocials,
+        skills: fallback.fallbackSkills,
+        projects: fallback.fallbackProjects,
+        comments: fallback.fallbackComments,
+        posts: { title: 'Blog Posts' },
+        contact: { title: 'Get In Touch' },
+      };
+      Object.entries(samples).forEach(([slug, data]) => {
+        expect(validateConfig(data, CONFIG_SCHEMAS[slug])).toEqual([]);
+      });
+    });
+
+    test('reports missing required fields with their path', () => {
+      const errors = validateConfig({ basic: {} }, CONFIG_SCHEMAS.hero);
+      expect(errors).toEqual([
+        expect.objectContaining({ path: 'basic.title', message: 'basic.title is required' }),
+      ]);
+    });
+
+    test('reports type mismatches inside arrays', () => {
+      const errors = validateConfig({ rules: ['ok', 3] }, CONFIG_SCHEMAS.comments);
+      expect(errors[0].message).toBe('rules[1] should be a string, got number');
+    });
+  });
+
+  describe('parseCategoryConfig', () => {
+    test('returns parsed data when valid', () => {
+      expect(parseCategoryConfig('footer', '{ text: "© 2025" }')).toEqual({ data: { text: '© 2025' }, errors: [] });
+    });
+
+    test('decodes HTML entities in string values', () => {
+      expect(parseCategoryConfig('footer', '{ text: "&copy; 2025 Tom &amp; Jerry" }').data).toEqual({ text: '© 2025 Tom & Jerry' });
+    });
+
+    test('returns no data and no errors for an empty description', () => {
+      expect(parseCategoryConfig('hero', '  ')).toEqual({ data: null, errors: [] });
+    });
+
+    test('maps schema errors back to the description', () => {
+      const { errors } = parseCategoryConfig('skills', '[\n  { name: "React" },\n  { percentage: 90 }\n]');
+      expect(errors).toHaveLength(1);
+      expect(formatConfigError(errors[0])).toBe('[1].name is required (line 3, column 3)');
+    });
+
+    test('reports syntax errors as a single error', () => {
+      const { data, errors } = parseCategoryConfig('about', '{ title: }');
+      expect(data).toBeNull();
+      expect(errors).toEqual([{ path: '', message: 'Unexpected "}"', line: 1, column: 10 }]);
+    });
+
+    test('reports deep nesting as a single error', () => {
+      const { data, errors } = parseCategoryConfig('about', '['.repeat(100000));
+      expect(data).toBeNull();
+      expect(errors).toEqual([{ path: '', message: `Nesting is deeper than ${MAX_DEPTH} levels`, line: 1, column: MAX_DEPTH + 1 }]);
+    });
+
+    test('accepts a custom schema or none', () => {
+      expect(parseCategoryConfig('hero', '{ title: "Hi" }', { schema: null }).errors).toEqual([]);
+      expect(parseCategoryConfig('custom', '{}', { schema: CONFIG_SCHEMAS.posts }).errors[0].message).toBe('title is required');
+    });
+
+    test('does not validate slugs without a schema', () => {
+      expect(parseCategoryConfig('uncategorized', '{ anything: 1 }').errors).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  SNAPSHOT_VERSION,
+  stripLinks,
+  listSnapshots,
+  writeSnapshot,
+  resolveSnapshotPath,
+  readSnapshot,
+  readLatestSnapshot,
+} = require('../contentSnapshot');
+
+describe('contentSnapshot', () => {
+  let dir;
+  const data = {
+    posts: [{ id: 1, title: { rendered: 'Hi' }, _links: { self: [] }, _embedded: { author: [{ name: 'Ann', _links: {} }] } }],
+    categories: [{ id: 2, slug: 'hero' }],
+    tags: [],
+    pages: [],
+    siteName: 'example.com',
+    wordpressUrl: 'https://example.com',
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-snapshots-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('stripLinks removes _links at every level', () => {
+    expect(stripLinks(data.posts)).toEqual([
+      { id: 1, title: { rendered: 'Hi' }, _embedded: { author: [{ name: 'Ann' }] } },
+    ]);
+  });
+
+  test('writes versioned snapshots and keeps only the newest ones', () => {
+    ['2025-01-01T00:00:00.000Z', '2025-01-02T00:00:00.000Z', '2025-01-03T00:00:00.000Z'].forEach(createdAt => {
+      writeSnapshot(data, { source: 'api', createdAt, dir, keep: 2 });
+    });
+
+    const files = listSnapshots(dir);
+    expect(files.map(file => path.basename(file))).toEqual([
+      'wordpress-2025-01-02T00-00-00-000Z.json',
+      'wordpress-2025-01-03T00-00-00-000Z.json',
+    ]);
+
+    const snapshot = readSnapshot(files[1]);
+    expect(snapshot).toMatchObject({ version: SNAPSHOT_VERSION, source: 'api', createdAt: '2025-01-03T00:00:00.000Z' });
+    expect(snapshot.data.posts[0]._links).toBeUndefined();
+  });
+
+  test('resolves latest and file names inside the snapshot directory', () => {
+    const file = writeSnapshot(data, { source: 'api', createdAt: '2025-01-01T00:00:00.000Z', dir });
+
+    expect(resolveSnapshotPath('latest', dir)).toBe(file);
+    expect(resolveSnapshotPath(path.basename(file), dir)).toBe(file);
+    expect(() => resolveSnapshotPath('latest', path.join(dir, 'empty'))).toThrow('No snapshots found');
+  });
+
+  test('rejects snapshots from another format version', () => {
+    const file = path.join(dir, 'wordpress-old.json');
+    fs.writeFileSync(file, JSON.stringify({ version: SNAPSHOT_VERSION + 1, data: { posts: [] } }));
+
+    expect(() => readSnapshot(file)).toThrow('not supported');
+  });
+
+  test('readLatestSnapshot only uses snapshots of the same site', () => {
+    writeSnapshot(data, { source: 'a', createdAt: '2025-01-01T00:00:00.000Z', dir });
+    writeSnapshot(data, { source: 'b', createdAt: '2025-01-02T00:00:00.000Z', dir });
+
+    expect(readLatestSnapshot('a', dir)).toMatchObject({ source: 'a', createdAt: '2025-01-01T00:00:00.000Z' });
+    expect(readLatestSnapshot('c', dir)).toBeNull();
+  });
+});
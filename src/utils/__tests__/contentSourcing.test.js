@@ -0,0 +1,267 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { keepUnchangedNodes, sourceWordPressContent } = require('../contentSourcing');
+const { CONFIG_SLUGS, REASONS, fallbackSection } = require('../contentValidation');
+const {
+  SYNC_CACHE_KEY,
+  readSyncState,
+  writeSyncState,
+  readLastKnownGood,
+  writeLastKnownGood,
+} = require('../incrementalSync');
+const { listSnapshots, writeSnapshot } = require('../contentSnapshot');
+
+const SOURCE = 'https://example.com/wp-json/wp/v2';
+
+const post = (id, modified = '2024-01-01T10:00:00') => ({ id, slug: `post-${id}`, status: 'publish', date: modified, modified });
+
+// fetchWordPressData 的返回结构
+const wordpressData = ({ posts = [], postIds = null, pages = [], pageIds = null, failures = [] } = {}) => ({
+  posts,
+  postIds,
+  categories: [],
+  tags: [],
+  pages,
+  pageIds,
+  failures,
+  siteName: 'example.com',
+});
+
+// Gatsby cache 的内存实现
+const createCache = () => {
+  const store = new Map();
+  return {
+    get: jest.fn(async key => store.get(key)),
+    set: jest.fn(async (key, value) => { store.set(key, value); }),
+  };
+};
+
+// 模拟 sourceNodes 的参数；nodes 为缓存中已有的节点 { [type]: nodes }，data 为 fetchData 的结果
+const setup = ({ cache = createCache(), nodes = {}, data = null, wordpressUrl = 'https://example.com' } = {}) => {
+  const allNodes = Object.values(nodes).flat();
+  const gatsby = {
+    actions: { touchNode: jest.fn(), deleteNode: jest.fn() },
+    reporter: { panicOnBuild: jest.fn() },
+    cache,
+    getNode: id => allNodes.find(node => node.id === id),
+    getNodesByType: type => nodes[type] || [],
+  };
+  const options = {
+    source: SOURCE,
+    wordpressUrl,
+    fetchData: jest.fn().mockResolvedValue(data),
+    createNodes: jest.fn(() => []),
+    createFallbackNodes: jest.fn(reason => CONFIG_SLUGS.map(slug => fallbackSection(slug, reason))),
+  };
+  return { gatsby, options, cache, run: () => sourceWordPressContent(gatsby, options) };
+};
+
+// 上次成功同步后的缓存：同步位置与完整数据
+const syncedCache = async (posts, lastModified = '2024-01-02T10:00:00') => {
+  const cache = createCache();
+  await writeSyncState(cache, { source: SOURCE, lastModified, syncedAt: '2024-01-02T12:00:00.000Z' });
+  await writeLastKnownGood(cache, {
+    source: SOURCE,
+    syncedAt: '2024-01-02T12:00:00.000Z',
+    data: { ...wordpressData({ posts }), wordpressUrl: 'https://example.com' },
+  });
+  return cache;
+};
+
+describe('contentSourcing', () => {
+  const originalEnv = process.env;
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-sourcing-'));
+    process.env = {
+      ...originalEnv,
+      GATSBY_CONTENT_REPORT_PATH: path.join(dir, 'content-report.json'),
+      GATSBY_WORDPRESS_SNAPSHOT_DIR: path.join(dir, 'snapshots'),
+    };
+    ['GATSBY_WORDPRESS_SNAPSHOT', 'GATSBY_CONTENT_STRICT', 'GATSBY_WORDPRESS_PREVIEW', 'GATSBY_WORDPRESS_INCREMENTAL']
+      .forEach(name => delete process.env[name]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe('keepUnchangedNodes', () => {
+    test('keeps every cached node when the id list could not be fetched', () => {
+      const nodes = [{ id: 'n1', wordpressId: 1 }, { id: 'n2', wordpressId: 2 }];
+      const helpers = { touchNode: jest.fn(), deleteNode: jest.fn(), getNode: () => null, getNodesByType: () => nodes };
+
+      expect(keepUnchangedNodes(helpers, 'WordPressPost', null, [post(2)])).toEqual({ unchanged: 1, deleted: 0 });
+      expect(helpers.touchNode).toHaveBeenCalledWith(nodes[0]);
+      expect(helpers.deleteNode).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sync', () => {
+    test('fetches everything on the first build and records the sync', async () => {
+      const data = wordpressData({ posts: [post(1, '2024-01-01T10:00:00'), post(2, '2024-01-03T10:00:00')] });
+      const { options, cache, run } = setup({ data });
+
+      await run();
+
+      expect(options.fetchData).toHaveBeenCalledWith({ since: null, existingIds: {} });
+      expect(options.createNodes).toHaveBeenCalledWith(data);
+      expect((await readSyncState(cache, SOURCE)).lastModified).toBe('2024-01-03T10:00:00');
+      expect((await readLastKnownGood(cache, SOURCE)).data.posts.map(item => item.id)).toEqual([1, 2]);
+      expect(listSnapshots(path.join(dir, 'snapshots'))).toHaveLength(1);
+    });
+
+    test('fetches only changes since the last sync, keeps unchanged nodes and deletes removed ones', async () => {
+      const cache = await syncedCache([post(1), post(2), post(3)]);
+      const nodes = {
+        WordPressPost: [
+          { id: 'n1', wordpressId: 1, authorProfile: 'author-1', tags: ['tag-1'] },
+          { id: 'n2', wordpressId: 2 },
+          { id: 'n3', wordpressId: 3 },
+          { id: 'md', wordpressId: 'docs/intro', source: 'markdown' },
+        ],
+        WordPressAuthor: [{ id: 'author-1' }],
+        WordPressTag: [{ id: 'tag-1' }],
+      };
+      // post 2 修改过，post 3 已在 WordPress 中删除
+      const changed = post(2, '2024-01-03T10:00:00');
+      const { gatsby, options, run } = setup({
+        cache,
+        nodes,
+        data: wordpressData({ posts: [changed], postIds: [1, 2], pageIds: [] }),
+      });
+
+      await run();
+
+      expect(options.fetchData).toHaveBeenCalledWith({
+        since: '2024-01-02T10:00:00',
+        existingIds: { posts: [1, 2, 3], pages: [] },
+      });
+      const touched = gatsby.actions.touchNode.mock.calls.map(([node]) => node.id);
+      expect(touched).toEqual(['n1', 'author-1', 'tag-1']);
+      expect(gatsby.actions.deleteNode.mock.calls.map(([node]) => node.id)).toEqual(['n3']);
+
+      const lastKnownGood = await readLastKnownGood(cache, SOURCE);
+      expect(lastKnownGood.data.posts).toEqual([post(1), changed]);
+      expect((await readSyncState(cache, SOURCE)).lastModified).toBe('2024-01-03T10:00:00');
+    });
+
+    test('resyncs everything when the node cache is empty', async () => {
+      const cache = await syncedCache([post(1)]);
+      const { gatsby, options, run } = setup({ cache, data: wordpressData({ posts: [post(1)] }) });
+
+      await run();
+
+      expect(options.fetchData).toHaveBeenCalledWith({ since: null, existingIds: {} });
+      expect(gatsby.actions.touchNode).not.toHaveBeenCalled();
+      expect(gatsby.actions.deleteNode).not.toHaveBeenCalled();
+    });
+
+    test('keeps the previous sync when an endpoint failed', async () => {
+      const cache = await syncedCache([post(1)]);
+      const failures = [{ endpoint: '/tags', message: 'HTTP 500' }];
+      const { run } = setup({ cache, data: wordpressData({ posts: [post(2, '2024-02-01T10:00:00')], failures }) });
+
+      await run();
+
+      expect((await readSyncState(cache, SOURCE)).lastModified).toBe('2024-01-02T10:00:00');
+      expect(listSnapshots(path.join(dir, 'snapshots'))).toHaveLength(0);
+    });
+  });
+
+  describe('when WordPress is unavailable', () => {
+    test('uses the last successful sync from the cache', async () => {
+      const cache = await syncedCache([post(1)]);
+      const { options, run } = setup({ cache, nodes: { WordPressPost: [{ id: 'n1', wordpressId: 1 }] } });
+
+      await run();
+
+      expect(options.createNodes).toHaveBeenCalledWith(expect.objectContaining({ posts: [post(1)] }));
+      expect(options.createFallbackNodes).not.toHaveBeenCalled();
+    });
+
+    test('uses the latest snapshot of the same site when the cache is empty', async () => {
+      writeSnapshot(wordpressData({ posts: [post(5)] }), { source: SOURCE, dir: path.join(dir, 'snapshots') });
+      const { options, run } = setup();
+
+      await run();
+
+      expect(options.createNodes).toHaveBeenCalledTimes(1);
+      expect(options.createNodes.mock.calls[0][0].posts.map(item => item.id)).toEqual([5]);
+      expect(options.createFallbackNodes).not.toHaveBeenCalled();
+    });
+
+    test('falls back to placeholder content and forgets the sync position', async () => {
+      writeSnapshot(wordpressData({ posts: [post(5)] }), { source: 'https://other.example/wp-json/wp/v2', dir: path.join(dir, 'snapshots') });
+      const cache = createCache();
+      await writeSyncState(cache, { source: SOURCE, lastModified: '2024-01-02T10:00:00' });
+      const { gatsby, options, run } = setup({ cache });
+
+      await run();
+
+      expect(options.createNodes).not.toHaveBeenCalled();
+      expect(options.createFallbackNodes).toHaveBeenCalledWith(REASONS.fetchFailed);
+      expect(cache.set).toHaveBeenCalledWith(SYNC_CACHE_KEY, null);
+      expect(await readSyncState(cache, SOURCE)).toBeNull();
+      const report = JSON.parse(fs.readFileSync(path.join(dir, 'content-report.json'), 'utf8'));
+      expect(report.summary.fallback).toBe(CONFIG_SLUGS.length);
+      expect(gatsby.reporter.panicOnBuild).not.toHaveBeenCalled();
+    });
+
+    test('fails the build in strict content mode', async () => {
+      process.env.GATSBY_CONTENT_STRICT = 'true';
+      const { gatsby, run } = setup();
+
+      await run();
+
+      expect(gatsby.reporter.panicOnBuild).toHaveBeenCalledWith(expect.stringContaining('Strict content mode'));
+    });
+
+    test('uses placeholder content without fetching when WordPress is not configured', async () => {
+      const { options, run } = setup({ wordpressUrl: null });
+
+      await run();
+
+      expect(options.fetchData).not.toHaveBeenCalled();
+      expect(options.createFallbackNodes).toHaveBeenCalledWith(REASONS.notConfigured);
+    });
+  });
+
+  describe('snapshot mode', () => {
+    test('builds only from the snapshot without any network access', async () => {
+      const snapshotPath = writeSnapshot(wordpressData({ posts: [post(7)] }), { source: SOURCE, dir: path.join(dir, 'snapshots') });
+      process.env.GATSBY_WORDPRESS_SNAPSHOT = path.basename(snapshotPath);
+      const originalFetch = global.fetch;
+      global.fetch = jest.fn();
+      const { options, cache, run } = setup();
+
+      try {
+        await run();
+        expect(global.fetch).not.toHaveBeenCalled();
+      } finally {
+        global.fetch = originalFetch;
+      }
+
+      expect(options.fetchData).not.toHaveBeenCalled();
+      expect(cache.get).not.toHaveBeenCalled();
+      expect(options.createNodes.mock.calls[0][0].posts.map(item => item.id)).toEqual([7]);
+    });
+
+    test('fails the build when the snapshot cannot be read', async () => {
+      process.env.GATSBY_WORDPRESS_SNAPSHOT = 'latest';
+      const { gatsby, options, run } = setup();
+
+      await run();
+
+      expect(gatsby.reporter.panicOnBuild).toHaveBeenCalledWith(expect.stringContaining('Could not load content snapshot "latest"'));
+      expect(options.fetchData).not.toHaveBeenCalled();
+      expect(options.createNodes).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  FALLBACK_CONFIG,
+  CONFIG_SLUGS,
+  ACF_CONFIG_SLUGS,
+  REASONS,
+  fallbackSection,
+  validateCategory,
+  completeSections,
+  buildContentReport,
+  writeContentReport,
+} = require('../contentValidation');
+const { CONFIG_SCHEMAS } = require('../categoryConfig');
+
+describe('contentValidation', () => {
+  test('every config slug has a schema and fallback data', () => {
+    expect([...CONFIG_SLUGS].sort()).toEqual(Object.keys(CONFIG_SCHEMAS).sort());
+    expect([...CONFIG_SLUGS].sort()).toEqual(Object.keys(FALLBACK_CONFIG).sort());
+  });
+
+  describe('validateCategory', () => {
+    test('uses a valid category description', () => {
+      const section = validateCategory({ slug: 'footer', description: '{ text: "© 2025 Me" }' });
+
+      expect(section).toMatchObject({ slug: 'footer', source: 'wordpress', via: 'description', reason: null });
+      expect(section.data).toEqual({ text: '© 2025 Me' });
+    });
+
+    test('uses valid ACF fields', () => {
+      const acf = { title: 'About' };
+      const section = validateCategory({ slug: 'about', acf });
+
+      expect(section).toMatchObject({ source: 'wordpress', via: 'acf', data: acf });
+    });
+
+    test('falls back when the description is empty', () => {
+      const section = validateCategory({ slug: 'hero', description: '' });
+
+      expect(section).toMatchObject({ source: 'fallback', reason: REASONS.emptyDescription });
+      expect(section.data).toBe(FALLBACK_CONFIG.hero);
+    });
+
+    test('falls back with syntax errors', () => {
+      const section = validateCategory({ slug: 'skills', description: '[{ name: }]' });
+
+      expect(section.reason).toBe(REASONS.invalidSyntax);
+      expect(section.errors[0]).toMatchObject({ line: 1, column: 10 });
+    });
+
+    test('falls back with structure errors', () => {
+      const section = validateCategory({ slug: 'socials', description: '{ "links": [] }' });
+
+      expect(section.reason).toBe(REASONS.invalidStructure);
+      expect(section.errors[0].message).toBe('socials is required');
+      expect(section.data).toBe(FALLBACK_CONFIG.socials);
+    });
+
+    test('falls back when ACF fields are invalid', () => {
+      const section = validateCategory({ slug: 'comments', acf: { rules: 'be nice' } });
+
+      expect(section.reason).toBe(REASONS.invalidAcf);
+    });
+  });
+
+  describe('completeSections', () => {
+    test('falls back for missing categories and records fetch errors', () => {
+      const sections = [validateCategory({ slug: 'hero', description: '{ basic: { title: "Hi" } }' })];
+      const added = completeSections(sections, {
+        fetchErrors: slug => (slug === 'footer' ? [{ path: 'footer', message: '/categories: timeout' }] : []),
+      });
+
+      expect(added.map(section => section.slug)).toEqual(CONFIG_SLUGS.filter(slug => slug !== 'hero'));
+      expect(added.find(section => section.slug === 'footer')).toMatchObject({ source: 'fallback', reason: REASONS.fetchFailed });
+      expect(added.find(section => section.slug === 'posts')).toMatchObject({ source: 'fallback', reason: REASONS.notFound });
+    });
+
+    test('passes strict mode in ACF mode when every route is present', () => {
+      const sections = ACF_CONFIG_SLUGS.map(slug => validateCategory({ slug, acf: FALLBACK_CONFIG[slug] }));
+      const added = completeSections(sections, { availableSlugs: ACF_CONFIG_SLUGS });
+      const report = buildContentReport([...sections, ...added], { strict: true });
+
+      expect(added).toEqual([expect.objectContaining({ slug: 'posts', source: 'skipped', reason: REASONS.notAvailable })]);
+      expect(added[0].data).toBe(FALLBACK_CONFIG.posts);
+      expect(report.summary.fallback).toBe(0);
+      expect(report.summary.wordpress).toBe(ACF_CONFIG_SLUGS.length);
+    });
+  });
+
+  describe('buildContentReport', () => {
+    test('summarises sections in a stable order without their data', () => {
+      const report = buildContentReport([
+        fallbackSection('footer', REASONS.notFound),
+        validateCategory({ slug: 'hero', description: '{ basic: { title: "Hi" } }' }),
+      ], { strict: true });
+
+      expect(report.strict).toBe(true);
+      expect(report.summary).toEqual({ total: 2, wordpress: 1, fallback: 1 });
+      expect(report.sections.map(section => section.slug)).toEqual(['hero', 'footer']);
+      expect(report.sections[1]).toEqual({
+        slug: 'footer',
+        source: 'fallback',
+        via: null,
+        reason: REASONS.notFound,
+        errors: [],
+      });
+    });
+  });
+
+  describe('writeContentReport', () => {
+    test('writes the report as JSON', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-report-'));
+      const file = path.join(dir, 'nested', 'report.json');
+      const report = buildContentReport([fallbackSection('about', REASONS.notConfigured)]);
+
+      expect(writeContentReport(report, file)).toBe(file);
+      expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual(report);
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+});
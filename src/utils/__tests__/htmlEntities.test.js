@@ -0,0 +1,37 @@
+const { decodeEntities, htmlToText, decodeStrings } = require('../htmlEntities');
+
+describe('htmlEntities', () => {
+  describe('decodeEntities', () => {
+    test('decodes named, decimal and hex entities', () => {
+      expect(decodeEntities('Tech Giants&#8217; AI &amp; ML &hellip; caf&eacute; &#x1F600;')).toBe('Tech Giants’ AI & ML … café 😀');
+      expect(decodeEntities('&lt;b&gt; &quot;x&quot; &#039;y&#039;')).toBe('<b> "x" \'y\'');
+    });
+
+    test('decodes only once', () => {
+      expect(decodeEntities('&amp;lt;')).toBe('&lt;');
+    });
+
+    test('returns an empty string for empty values', () => {
+      expect(decodeEntities(null)).toBe('');
+      expect(decodeEntities(undefined)).toBe('');
+      expect(decodeEntities('')).toBe('');
+    });
+  });
+
+  test('htmlToText strips tags, decodes entities and collapses whitespace', () => {
+    expect(htmlToText('<p>Hello&nbsp;<strong>world</strong> &amp; more&#8230;</p>\n<p>Next</p>')).toBe('Hello world & more… Next');
+    expect(htmlToText(undefined)).toBe('');
+  });
+
+  test('decodeStrings decodes every string in nested config data', () => {
+    expect(decodeStrings({
+      basic: { title: 'Tom &amp; Jerry' },
+      buttons: [{ text: 'Read &raquo;', order: 1 }],
+      enabled: true,
+    })).toEqual({
+      basic: { title: 'Tom & Jerry' },
+      buttons: [{ text: 'Read »', order: 1 }],
+      enabled: true,
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const {
+  SYNC_CACHE_KEY,
+  readSyncState,
+  writeSyncState,
+  readLastKnownGood,
+  writeLastKnownGood,
+  mergeContent,
+  latestModified,
+  diffNodes,
+  findUnsourcedIds,
+  fetchIncrementalContent,
+} = require('../incrementalSync');
+
+describe('incrementalSync', () => {
+  const createCache = () => {
+    const store = new Map();
+    return {
+      get: async key => store.get(key),
+      set: async (key, value) => store.set(key, value),
+    };
+  };
+
+  afterEach(() => {
+    delete process.env.GATSBY_WORDPRESS_INCREMENTAL;
+  });
+
+  describe('readSyncState', () => {
+    test('returns the state saved for the same site', async () => {
+      const cache = createCache();
+      await writeSyncState(cache, { source: 'https://a.dev/wp-json/wp/v2', lastModified: '2025-01-01T00:00:00' });
+
+      expect(await readSyncState(cache, 'https://a.dev/wp-json/wp/v2')).toMatchObject({ lastModified: '2025-01-01T00:00:00' });
+      expect(await readSyncState(cache, 'https://b.dev/wp-json/wp/v2')).toBeNull();
+    });
+
+    test('ignores the state when incremental sync is disabled', async () => {
+      const cache = createCache();
+      await cache.set(SYNC_CACHE_KEY, { source: 'x', lastModified: '2025-01-01T00:00:00' });
+      process.env.GATSBY_WORDPRESS_INCREMENTAL = 'false';
+
+      expect(await readSyncState(cache, 'x')).toBeNull();
+    });
+  });
+
+  describe('readLastKnownGood', () => {
+    test('returns the saved data for the same site only', async () => {
+      const cache = createCache();
+      await writeLastKnownGood(cache, { source: 'a', syncedAt: 'now', data: { posts: [] } });
+
+      expect(await readLastKnownGood(cache, 'a')).toMatchObject({ data: { posts: [] } });
+      expect(await readLastKnownGood(cache, 'b')).toBeNull();
+    });
+  });
+
+  describe('mergeContent', () => {
+    test('replaces changed items and drops deleted ones', () => {
+      const previous = [{ id: 1, v: 1 }, { id: 2, v: 1 }, { id: 3, v: 1 }];
+      const merged = mergeContent(previous, [{ id: 3, v: 2 }, { id: 4, v: 1 }], [1, 3, 4]);
+
+      expect(merged).toEqual([{ id: 1, v: 1 }, { id: 3, v: 2 }, { id: 4, v: 1 }]);
+    });
+
+    test('keeps everything on a full sync', () => {
+      expect(mergeContent(undefined, [{ id: 1 }], null)).toEqual([{ id: 1 }]);
+    });
+  });
+
+  describe('latestModified', () => {
+    test('picks the latest modified time and keeps the previous one otherwise', () => {
+      const items = [{ modified: '2025-01-02T10:00:00' }, { modified: '2025-03-01T08:00:00' }, {}];
+
+      expect(latestModified(items)).toBe('2025-03-01T08:00:00');
+      expect(latestModified([], '2025-01-01T00:00:00')).toBe('2025-01-01T00:00:00');
+    });
+  });
+
+  describe('diffNodes', () => {
+    test('splits cached nodes into unchanged and deleted', () => {
+      const nodes = [1, 2, 3].map(wordpressId => ({ id: `post-${wordpressId}`, wordpressId }));
+      const { unchanged, deleted } = diffNodes(nodes, [1, 3, 4], [3, 4]);
+
+      expect(unchanged.map(node => node.wordpressId)).toEqual([1]);
+      expect(deleted.map(node => node.wordpressId)).toEqual([2]);
+    });
+  });
+
+  describe('findUnsourcedIds', () => {
+    test('returns ids that have neither a node nor a change', () => {
+      expect(findUnsourcedIds([1, 2, 3, 4], [1, 2], [3])).toEqual([4]);
+    });
+  });
+
+  describe('fetchIncrementalContent', () => {
+    const url = 'https://a.dev/wp-json/wp/v2/posts?_embed';
+    const idsUrl = 'https://a.dev/wp-json/wp/v2/posts?_fields=id';
+    const createFetchPages = (responses) => jest.fn(async requestUrl => {
+      const match = Object.keys(responses).find(key => requestUrl.includes(key));
+      return match ? responses[match] : [];
+    });
+
+    test('sources a post that joined the id list without a modified change', async () => {
+      // 2 为到点发布的定时文章：出现在 id 列表中，但 modified_after 查不到，缓存中也没有它的节点
+      const fetchPages = createFetchPages({
+        modified_after: [{ id: 3, modified: '2025-01-02T00:00:00' }],
+        _fields: [{ id: 1 }, { id: 2 }, { id: 3 }],
+        'include=2': [{ id: 2, modified: '2024-12-01T00:00:00' }],
+      });
+
+      const result = await fetchIncrementalContent(fetchPages, {
+        url,
+        idsUrl,
+        since: '2025-01-01T00:00:00',
+        existingIds: [1],
+      });
+
+      expect(result.items.map(item => item.id)).toEqual([3, 2]);
+      expect(result.ids).toEqual([1, 2, 3]);
+      expect(result.recovered).toBe(1);
+      expect(diffNodes([{ wordpressId: 1 }], result.ids, result.items.map(item => item.id)).unchanged).toHaveLength(1);
+      expect(fetchPages).toHaveBeenCalledWith(`${url}&include=2`);
+    });
+
+    test('makes no extra request when every id is known', async () => {
+      const fetchPages = createFetchPages({ _fields: [{ id: 1 }, { id: 2 }] });
+
+      const result = await fetchIncrementalContent(fetchPages, { url, idsUrl, since: '2025-01-01T00:00:00', existingIds: [1, 2] });
+
+      expect(result).toEqual({ items: [], ids: [1, 2], recovered: 0 });
+      expect(fetchPages).toHaveBeenCalledTimes(2);
+    });
+  });
+});
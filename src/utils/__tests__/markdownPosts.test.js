@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  localId,
+  parseTermNames,
+  markdownToPost,
+  loadMarkdownPosts,
+  resolveMarkdownTerms,
+} = require('../markdownPosts');
+const { getPostTerms } = require('../wordpressTerms');
+const { normalizeAuthor } = require('../wordpressAuthors');
+
+describe('markdownPosts', () => {
+  const raw = [
+    '---',
+    'date: 2025-06-24',
+    'read: 5',
+    'cover: "/image/cover.png"',
+    'title: Hello Markdown',
+    'author: Jane Doe',
+    'tags: React, Web Dev',
+    '---',
+    '',
+    '# Hello Markdown',
+    '',
+    'Some **bold** text.',
+    '',
+  ].join('\n');
+
+  describe('parseTermNames', () => {
+    test('accepts comma separated strings and arrays', () => {
+      expect(parseTermNames('React, Web Dev,')).toEqual(['React', 'Web Dev']);
+      expect(parseTermNames(['CSS', ' UI '])).toEqual(['CSS', 'UI']);
+      expect(parseTermNames(undefined)).toEqual([]);
+    });
+  });
+
+  describe('markdownToPost', () => {
+    test('builds a WordPress-shaped post from frontmatter', () => {
+      const post = markdownToPost(raw, 'hello-markdown.md');
+
+      expect(post).toMatchObject({
+        source: 'markdown',
+        slug: 'hello-markdown',
+        date: '2025-06-24T00:00:00',
+        modified: '2025-06-24T00:00:00',
+        title: { rendered: 'Hello Markdown' },
+        excerpt: { rendered: 'Some bold text.' },
+        jetpack_featured_media_url: '/image/cover.png',
+        meta: { reading_time: 5 },
+      });
+      expect(post.id).toBeLessThan(0);
+      // 与标题重复的一级标题被去掉
+      expect(post.content.rendered).toBe('<p>Some <strong>bold</strong> text.</p>\n');
+    });
+
+    test('exposes tags and author like the WordPress _embed response', () => {
+      const post = markdownToPost(raw, 'hello-markdown.md');
+
+      expect(getPostTerms(post).map(term => [term.taxonomy, term.name, term.slug])).toEqual([
+        ['post_tag', 'React', 'react'],
+        ['post_tag', 'Web Dev', 'web-dev'],
+      ]);
+      expect(normalizeAuthor(post)).toMatchObject({ name: 'Jane Doe', slug: 'jane-doe' });
+    });
+
+    test('falls back to the file name for the title', () => {
+      expect(markdownToPost('Just text', 'notes.md').title.rendered).toBe('notes');
+    });
+
+    test('falls back to the file modification time for the date', () => {
+      const post = markdownToPost('Just text', 'notes.md', { mtime: new Date('2024-03-05T08:30:00Z') });
+
+      expect(post.date).toBe('2024-03-05T08:30:00');
+      expect(post.modified).toBe('2024-03-05T08:30:00');
+      expect(post.status).toBe('publish');
+    });
+
+    test('does not publish posts without frontmatter date or file time', () => {
+      const post = markdownToPost('Just text', 'notes.md');
+
+      expect(post.date).toBeNull();
+      expect(post.status).toBe('draft');
+    });
+  });
+
+  describe('loadMarkdownPosts', () => {
+    test('loads every .md file, newest first', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'markdown-posts-'));
+      fs.writeFileSync(path.join(dir, 'old.md'), '---\ndate: 2024-01-01\n---\nOld');
+      fs.writeFileSync(path.join(dir, 'new.md'), '---\ndate: 2025-01-01\n---\nNew');
+      fs.writeFileSync(path.join(dir, 'readme.txt'), 'ignored');
+
+      expect(loadMarkdownPosts(dir).map(post => post.slug)).toEqual(['new', 'old']);
+      expect(loadMarkdownPosts(path.join(dir, 'missing'))).toEqual([]);
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('dates posts without a frontmatter date by the file modification time', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'markdown-posts-'));
+      fs.writeFileSync(path.join(dir, 'dated.md'), '---\ndate: 2024-01-01\n---\nDated');
+      fs.writeFileSync(path.join(dir, 'undated.md'), '# Undated\n\nNo frontmatter');
+      const mtime = new Date('2024-06-01T12:00:00Z');
+      fs.utimesSync(path.join(dir, 'undated.md'), mtime, mtime);
+
+      expect(loadMarkdownPosts(dir).map(post => [post.slug, post.date])).toEqual([
+        ['undated', '2024-06-01T12:00:00'],
+        ['dated', '2024-01-01T00:00:00'],
+      ]);
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+
+  describe('resolveMarkdownTerms', () => {
+    test('reuses WordPress terms with the same slug', () => {
+      const [post] = resolveMarkdownTerms(
+        [markdownToPost(raw, 'hello-markdown.md')],
+        [{ id: 12, name: 'React.js', slug: 'react', taxonomy: 'post_tag' }]
+      );
+      const tags = getPostTerms(post);
+
+      expect(tags[0]).toMatchObject({ wordpressId: 12, name: 'React.js' });
+      expect(tags[1].wordpressId).toBe(localId('post_tag:web-dev'));
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const {
+  matchesFilters,
+  collectFilterTerms,
+  getTagCounts,
+  getCategoryCounts,
+  getCloudLevels,
+} = require('../postFilters');
+
+const tag = (slug) => ({ name: slug.toUpperCase(), slug });
+const posts = [
+  { slug: 'a', tags: [tag('react'), tag('css')], categories: [{ name: 'Web', slug: 'web' }] },
+  { slug: 'b', tags: [tag('react')], categories: [{ name: 'Notes', slug: 'notes' }] },
+  { slug: 'c', tags: [tag('css'), tag('ui')], categories: [{ name: 'Web', slug: 'web' }, { name: 'Posts', slug: 'posts' }] },
+];
+const slugs = (filters) => posts.filter(post => matchesFilters(post, filters)).map(post => post.slug);
+
+describe('postFilters', () => {
+  test('matches any or all selected tags', () => {
+    expect(slugs({ tags: ['react', 'css'] })).toEqual(['a', 'b', 'c']);
+    expect(slugs({ tags: ['react', 'css'], match: 'all' })).toEqual(['a']);
+    expect(slugs({})).toEqual(['a', 'b', 'c']);
+  });
+
+  test('combines categories with tags', () => {
+    expect(slugs({ categories: ['notes', 'web'] })).toEqual(['a', 'b', 'c']);
+    expect(slugs({ tags: ['react'], categories: ['web'] })).toEqual(['a']);
+  });
+
+  test('collects terms with counts and skips excluded slugs', () => {
+    expect(collectFilterTerms(posts, 'categories', { exclude: ['posts'] })).toEqual([
+      { name: 'Notes', slug: 'notes', count: 1 },
+      { name: 'Web', slug: 'web', count: 2 },
+    ]);
+  });
+
+  test('counts tags for the current filter', () => {
+    // any：其他选中的标签不影响计数
+    expect(Object.fromEntries(getTagCounts(posts, { tags: ['ui'] }))).toEqual({ react: 2, css: 2, ui: 1 });
+    // all：只统计同时带有已选标签的文章
+    expect(Object.fromEntries(getTagCounts(posts, { tags: ['css'], match: 'all' }))).toEqual({ react: 1, css: 2, ui: 1 });
+    expect(Object.fromEntries(getTagCounts(posts, { categories: ['notes'] }))).toEqual({ react: 1 });
+  });
+
+  test('counts categories for the current tag filter', () => {
+    expect(Object.fromEntries(getCategoryCounts(posts, { tags: ['react'], categories: ['web'] }))).toEqual({ web: 1, notes: 1 });
+  });
+
+  test('spreads cloud levels on a log scale', () => {
+    const levels = getCloudLevels([{ slug: 'a', count: 1 }, { slug: 'b', count: 10 }, { slug: 'c', count: 100 }]);
+    expect(Object.fromEntries(levels)).toEqual({ a: 1, b: 3, c: 5 });
+    expect(Object.fromEntries(getCloudLevels([{ slug: 'a', count: 4 }]))).toEqual({ a: 1 });
+  });
+});
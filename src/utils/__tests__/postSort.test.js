@@ -0,0 +1,58 @@
+const {
+  resolvePostSort,
+  getPostSortOptions,
+  sortPosts,
+  groupSortedPosts,
+  isDateSort,
+} = require('../postSort');
+
+const posts = [
+  { slug: 'b', title: 'beta', date: '2024-03-02T08:00:00', modified: '2024-06-01T09:00:00', readingMinutes: 12 },
+  { slug: 'a', title: 'Alpha', date: '2024-03-20T10:00:00', modified: '2024-03-20T10:00:00', readingMinutes: 3 },
+  { slug: 'c', title: '2024 recap', date: '2024-01-15T10:00:00', modified: '2024-06-01T18:00:00', readingMinutes: 25 },
+  { slug: 'd', title: 'Another', date: '2023-12-31T23:00:00', modified: '2023-12-31T23:00:00', readingMinutes: 4 },
+];
+const slugs = (sort) => sortPosts(posts, sort).map(post => post.slug);
+
+describe('postSort', () => {
+  test('resolves only known sort values', () => {
+    expect(resolvePostSort('oldest')).toBe('oldest');
+    expect(resolvePostSort('constructor')).toBeNull();
+    expect(resolvePostSort(null)).toBeNull();
+  });
+
+  test('sorts by date, modification time, title and reading time', () => {
+    expect(slugs(null)).toEqual(['a', 'b', 'c', 'd']);
+    expect(slugs('oldest')).toEqual(['d', 'c', 'b', 'a']);
+    expect(slugs('modified')).toEqual(['c', 'b', 'a', 'd']);
+    expect(slugs('title')).toEqual(['c', 'a', 'd', 'b']);
+    expect(slugs('reading')).toEqual(['a', 'd', 'b', 'c']);
+  });
+
+  test('does not change the original list', () => {
+    sortPosts(posts, 'title');
+    expect(posts.map(post => post.slug)).toEqual(['b', 'a', 'c', 'd']);
+  });
+
+  test('offers comment sorting only when comment counts are available', () => {
+    expect(getPostSortOptions(posts).map(option => option.value)).not.toContain('comments');
+    const withComments = posts.map((post, index) => ({ ...post, commentCount: index }));
+    expect(getPostSortOptions(withComments).map(option => option.value)).toContain('comments');
+    expect(sortPosts(withComments, 'comments').map(post => post.slug)).toEqual(['d', 'c', 'a', 'b']);
+  });
+
+  test('groups sorted posts by what they are sorted by', () => {
+    const groups = (sort) => groupSortedPosts(sortPosts(posts, sort), sort).map(group => [group.value, group.posts.length]);
+    expect(groups('oldest')).toEqual([['2023-12-31', 1], ['2024-01-15', 1], ['2024-03-02', 1], ['2024-03-20', 1]]);
+    expect(groups('modified')).toEqual([['2024-06-01', 2], ['2024-03-20', 1], ['2023-12-31', 1]]);
+    expect(groups('title')).toEqual([['#', 1], ['A', 2], ['B', 1]]);
+    expect(groups('reading')).toEqual([['Under 5 min', 2], ['10–20 min', 1], ['20+ min', 1]]);
+    expect(groupSortedPosts(posts.slice(0, 1), 'modified')[0]).toMatchObject({ type: 'modified', key: 'modified:2024-06-01' });
+  });
+
+  test('only date sorts can use the year grouping', () => {
+    expect(isDateSort(null)).toBe(true);
+    expect(isDateSort('oldest')).toBe(true);
+    expect(isDateSort('title')).toBe(false);
+  });
+});
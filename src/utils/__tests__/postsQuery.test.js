@@ -0,0 +1,33 @@
+const { DEFAULT_POSTS_QUERY, parsePostsQuery, buildPostsQuery } = require('../postsQuery');
+
+describe('postsQuery', () => {
+  test('parses search, tags, categories, sort and page', () => {
+    expect(parsePostsQuery('?tag=react&tag=css&q=hooks&match=all&category=web&sort=oldest&page=3')).toEqual({
+      q: 'hooks',
+      tags: ['react', 'css'],
+      match: 'all',
+      categories: ['web'],
+      sort: 'oldest',
+      page: 3,
+    });
+  });
+
+  test('uses defaults for missing or invalid values', () => {
+    expect(parsePostsQuery('')).toEqual(DEFAULT_POSTS_QUERY);
+    expect(parsePostsQuery('page=0&tag=&tag=react&tag=react').page).toBe(1);
+    expect(parsePostsQuery('page=abc&tag=&tag=react&tag=react').tags).toEqual(['react']);
+    expect(parsePostsQuery('match=some').match).toBe('any');
+  });
+
+  test('omits default values', () => {
+    expect(buildPostsQuery(DEFAULT_POSTS_QUERY)).toBe('');
+    expect(buildPostsQuery({ q: '   ', tags: [], page: 1 })).toBe('');
+  });
+
+  test('round-trips through the query string', () => {
+    const query = { q: 'react hooks ', tags: ['react', 'c++'], match: 'all', categories: ['web'], sort: 'title', page: 2 };
+    const search = buildPostsQuery(query);
+    expect(search).toBe('?q=react+hooks+&tag=react&tag=c%2B%2B&match=all&category=web&sort=title&page=2');
+    expect(parsePostsQuery(search)).toEqual(query);
+  });
+});
@@ -0,0 +1,41 @@
+const {
+  countWords,
+  getReadingTimeOverride,
+  getReadingMinutes,
+  formatReadingTime,
+} = require('../readingTime');
+
+describe('readingTime', () => {
+  test('counts Latin words and CJK characters separately', () => {
+    expect(countWords('<p>Hello <strong>world</strong>, it&#8217;s 2025!</p>')).toEqual({ words: 4, cjk: 0 });
+    expect(countWords('<p>你好，世界 React 入门</p>')).toEqual({ words: 1, cjk: 6 });
+  });
+
+  test('ignores code blocks and figures', () => {
+    const html = '<p>one two</p><pre><code>const a = 1;</code></pre><figure><img src="a.png"><figcaption>three four</figcaption></figure>';
+    expect(countWords(html)).toEqual({ words: 2, cjk: 0 });
+  });
+
+  test('estimates at least one minute', () => {
+    expect(getReadingMinutes('word '.repeat(400))).toBe(2);
+    expect(getReadingMinutes('word '.repeat(401))).toBe(3);
+    expect(getReadingMinutes('中'.repeat(600))).toBe(2);
+    expect(getReadingMinutes('')).toBe(1);
+  });
+
+  test('uses a valid override', () => {
+    expect(getReadingMinutes('word '.repeat(1000), { override: 3 })).toBe(3);
+    expect(getReadingMinutes('word', { override: '7 min' })).toBe(7);
+    expect(getReadingMinutes('word', { override: 0 })).toBe(1);
+  });
+
+  test('reads the override from meta or ACF fields', () => {
+    expect(getReadingTimeOverride({ meta: { reading_time: '4' } })).toBe(4);
+    expect(getReadingTimeOverride({ meta: [], acf: { reading_time: 6 } })).toBe(6);
+    expect(getReadingTimeOverride({})).toBeNull();
+  });
+
+  test('formats minutes for display', () => {
+    expect(formatReadingTime(5)).toBe('5 min read');
+  });
+});
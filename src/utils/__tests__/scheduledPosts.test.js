@@ -0,0 +1,39 @@
+const {
+  getPublishTime,
+  isScheduled,
+  resolvePostStatus,
+  hasDueScheduledPosts,
+  getNextScheduledPost,
+} = require('../scheduledPosts');
+
+describe('scheduledPosts', () => {
+  const now = Date.parse('2025-06-01T12:00:00Z');
+  const past = { id: 1, status: 'future', date: '2025-06-01T13:00:00', date_gmt: '2025-06-01T11:00:00' };
+  const soon = { id: 2, status: 'future', date_gmt: '2025-06-02T08:00:00' };
+  const later = { id: 3, status: 'future', date_gmt: '2025-07-01T08:00:00' };
+
+  test('reads date_gmt as UTC', () => {
+    expect(getPublishTime(soon)).toBe(Date.parse('2025-06-02T08:00:00Z'));
+    expect(getPublishTime({ date: 'not a date' })).toBeNull();
+  });
+
+  test('scheduled posts become published once their date has passed', () => {
+    expect(isScheduled(past, now)).toBe(false);
+    expect(isScheduled(soon, now)).toBe(true);
+    expect(resolvePostStatus(past, now)).toBe('publish');
+    expect(resolvePostStatus(soon, now)).toBe('future');
+    expect(resolvePostStatus({ status: 'draft' }, now)).toBe('draft');
+    expect(resolvePostStatus({}, now)).toBe('publish');
+  });
+
+  test('detects cached scheduled posts that are due', () => {
+    expect(hasDueScheduledPosts([soon, later], now)).toBe(false);
+    expect(hasDueScheduledPosts([soon, past], now)).toBe(true);
+    expect(hasDueScheduledPosts(undefined, now)).toBe(false);
+  });
+
+  test('finds the next scheduled post', () => {
+    expect(getNextScheduledPost([later, past, soon], now)).toBe(soon);
+    expect(getNextScheduledPost([past], now)).toBeNull();
+  });
+});
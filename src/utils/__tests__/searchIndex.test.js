@@ -0,0 +1,147 @@
+const {
+  tokenize,
+  extractHeadings,
+  buildSearchIndex,
+  createSearcher,
+  editDistance,
+  searchPosts,
+  highlight,
+  makeSnippet,
+} = require('../searchIndex');
+
+const posts = [
+  {
+    slug: 'react-hooks',
+    title: 'Getting started with React Hooks',
+    date: '2025-01-10T00:00:00',
+    excerpt: '<p>A gentle introduction.</p>',
+    content: '<h2>Why hooks</h2><p>Hooks let you use state in function components.</p>',
+    tags: [{ name: 'React', slug: 'react', count: 3 }],
+  },
+  {
+    slug: 'gatsby-search',
+    title: 'Building search for Gatsby',
+    date: '2025-02-01T00:00:00',
+    excerpt: '<p>Offline search with a static index.</p>',
+    content: '<p>We mention React once here.</p><p>The index is generated at build time.</p>',
+    tags: [{ name: 'Gatsby', slug: 'gatsby' }],
+  },
+  {
+    slug: 'zhongwen',
+    title: '全文搜索引擎入门',
+    date: '2024-12-01T00:00:00',
+    excerpt: '',
+    content: '<p>倒排索引是搜索引擎的核心。Café culture.</p>',
+    tags: [],
+  },
+];
+
+const searcher = createSearcher(buildSearchIndex(posts));
+const slugs = (query) => searchPosts(searcher, query).map(result => result.post.slug);
+
+describe('searchIndex', () => {
+  test('tokenizes Latin words and CJK bigrams', () => {
+    expect(tokenize('Héllo, World! React18')).toEqual(['hello', 'world', 'react18']);
+    expect(tokenize('搜索引擎 and 字')).toEqual(['搜索', '索引', '引擎', 'and', '字']);
+  });
+
+  test('extracts headings as plain text', () => {
+    expect(extractHeadings('<h2 id="a">Why <em>hooks</em></h2><p>x</p><h3>Next&amp;last</h3>')).toEqual(['Why hooks', 'Next&last']);
+  });
+
+  test('builds a compact index with plain text fields', () => {
+    const { version, posts: [doc] } = buildSearchIndex(posts.slice(0, 1), { maxBodyLength: 20 });
+    expect(version).toBe(1);
+    expect(doc).toEqual({
+      slug: 'react-hooks',
+      title: 'Getting started with React Hooks',
+      date: '2025-01-10T00:00:00',
+      excerpt: 'A gentle introduction.',
+      featuredImage: '',
+      tags: [{ name: 'React', slug: 'react' }],
+      headings: ['Why hooks'],
+      body: 'Why hooks Hooks let ',
+    });
+  });
+
+  test('ranks title matches above body matches', () => {
+    expect(slugs('react')).toEqual(['react-hooks', 'gatsby-search']);
+  });
+
+  test('requires every query term to match', () => {
+    expect(slugs('react index')).toEqual(['gatsby-search']);
+  });
+
+  test('matches prefixes and tolerates typos', () => {
+    expect(slugs('gats')).toEqual(['gatsby-search']);
+    expect(slugs('serach')).toContain('gatsby-search');
+    expect(slugs('hooks compnents')).toEqual(['react-hooks']);
+  });
+
+  test('searches CJK text and ignores accents', () => {
+    expect(slugs('搜索引擎')).toEqual(['zhongwen']);
+    expect(slugs('索')).toEqual(['zhongwen']);
+    expect(slugs('cafe')).toEqual(['zhongwen']);
+  });
+
+  test('returns highlighted titles and snippets', () => {
+    const [result] = searchPosts(searcher, 'generated');
+    expect(result.title).toEqual([{ text: 'Building search for Gatsby', match: false }]);
+    expect(result.snippet).toContainEqual({ text: 'generated', match: true });
+  });
+
+  test('returns nothing for an empty query', () => {
+    expect(searchPosts(searcher, '  ')).toEqual([]);
+  });
+
+  test('highlights word starts only', () => {
+    expect(highlight('React reacts; preact', ['react'])).toEqual([
+      { text: 'React', match: true },
+      { text: ' ', match: false },
+      { text: 'react', match: true },
+      { text: 's; preact', match: false },
+    ]);
+  });
+
+  test('highlights accented text with unaccented terms and the other way round', () => {
+    expect(highlight('Un café à Paris', ['cafe'])).toEqual([
+      { text: 'Un ', match: false },
+      { text: 'café', match: true },
+      { text: ' à Paris', match: false },
+    ]);
+    expect(highlight('Best Cafe in town', ['café'])).toEqual([
+      { text: 'Best ', match: false },
+      { text: 'Cafe', match: true },
+      { text: ' in town', match: false },
+    ]);
+    // 已分解的重音（e + 组合符号）整个高亮
+    expect(highlight('Cafe\u0301s', ['cafe'])).toEqual([
+      { text: 'Cafe\u0301', match: true },
+      { text: 's', match: false },
+    ]);
+  });
+
+  test('finds accented matches in search results', () => {
+    const index = buildSearchIndex([
+      { slug: 'coffee', title: 'Café culture', excerpt: '<p>Where to find a good café</p>', content: '', tags: [] },
+    ]);
+    const [result] = searchPosts(createSearcher(index), 'cafe');
+    expect(result.title).toContainEqual({ text: 'Café', match: true });
+    expect(result.snippet).toContainEqual({ text: 'café', match: true });
+  });
+
+  test('cuts snippets around the first match', () => {
+    const text = `${'lorem '.repeat(50)}needle ${'ipsum '.repeat(50)}`.trim();
+    const snippet = makeSnippet(text, ['needle'], { length: 60 });
+    expect(snippet[0]).toEqual({ text: '…', match: false });
+    expect(snippet).toContainEqual({ text: 'needle', match: true });
+    expect(snippet[snippet.length - 1]).toEqual({ text: '…', match: false });
+    expect(snippet.map(segment => segment.text).join('').length).toBeLessThanOrEqual(62);
+  });
+
+  test('computes edit distance with transpositions', () => {
+    expect(editDistance('search', 'serach', 2)).toBe(1);
+    expect(editDistance('kitten', 'sitting', 3)).toBe(3);
+    expect(editDistance('abc', 'abcdef', 1)).toBe(2);
+  });
+});
@@ -0,0 +1,14 @@
+const { slugify } = require('../slugify');
+
+describe('slugify', () => {
+  test('creates url friendly slugs', () => {
+    expect(slugify('Jane Doe')).toBe('jane-doe');
+    expect(slugify('  Café & Code ')).toBe('café-code');
+    expect(slugify('前端 开发')).toBe('前端-开发');
+  });
+
+  test('uses the fallback for empty input', () => {
+    expect(slugify('')).toBe('item');
+    expect(slugify('!!!', 'author')).toBe('author');
+  });
+});
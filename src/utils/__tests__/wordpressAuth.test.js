@@ -0,0 +1,39 @@
+const {
+  isPreviewMode,
+  getAuthHeaders,
+  getPostStatuses,
+} = require('../wordpressAuth');
+
+describe('wordpressAuth', () => {
+  afterEach(() => {
+    delete process.env.GATSBY_WORDPRESS_PREVIEW;
+  });
+
+  describe('getAuthHeaders', () => {
+    test('prefers a JWT token', () => {
+      expect(getAuthHeaders({ WORDPRESS_JWT: 'abc', WORDPRESS_USERNAME: 'ann', WORDPRESS_APP_PASSWORD: 'x' }))
+        .toEqual({ Authorization: 'Bearer abc' });
+    });
+
+    test('encodes application passwords without their spaces', () => {
+      const headers = getAuthHeaders({ WORDPRESS_USERNAME: 'ann', WORDPRESS_APP_PASSWORD: 'abcd efgh ijkl' });
+
+      expect(headers).toEqual({ Authorization: `Basic ${Buffer.from('ann:abcdefghijkl').toString('base64')}` });
+    });
+
+    test('returns null without credentials', () => {
+      expect(getAuthHeaders({ WORDPRESS_USERNAME: 'ann' })).toBeNull();
+    });
+  });
+
+  test('authenticated builds request scheduled posts, preview builds also drafts', () => {
+    expect(getPostStatuses({ preview: false, authenticated: false })).toEqual(['publish']);
+    expect(getPostStatuses({ preview: false, authenticated: true })).toEqual(['publish', 'future']);
+    expect(getPostStatuses({ preview: true, authenticated: true }))
+      .toEqual(['publish', 'future', 'draft', 'pending', 'private']);
+
+    process.env.GATSBY_WORDPRESS_PREVIEW = 'true';
+    expect(isPreviewMode()).toBe(true);
+    expect(getPostStatuses({ authenticated: true })).toContain('draft');
+  });
+});
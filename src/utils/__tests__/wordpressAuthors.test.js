@@ -0,0 +1,59 @@
+const { toAvatarList, normalizeAuthor } = require('../wordpressAuthors');
+const { defaultAuthor, defaultAuthorAvatar } = require('../../data/fallbackData');
+
+describe('wordpressAuthors', () => {
+  describe('toAvatarList', () => {
+    test('turns avatar_urls into a sorted list', () => {
+      expect(toAvatarList({ 96: 'c', 24: 'a', 48: 'b' })).toEqual([
+        { size: 24, url: 'a' },
+        { size: 48, url: 'b' },
+        { size: 96, url: 'c' },
+      ]);
+    });
+  });
+
+  describe('normalizeAuthor', () => {
+    test('reads the embedded author', () => {
+      const post = {
+        author: 7,
+        _embedded: {
+          author: [{
+            id: 7,
+            name: 'Jane Doe',
+            slug: 'jane',
+            description: 'Writes about CSS',
+            url: 'https://jane.dev',
+            link: 'https://example.com/author/jane',
+            avatar_urls: { 24: 'small', 96: 'large' },
+          }],
+        },
+      };
+
+      expect(normalizeAuthor(post)).toEqual({
+        wordpressId: 7,
+        name: 'Jane Doe',
+        slug: 'jane',
+        description: 'Writes about CSS',
+        url: 'https://jane.dev',
+        link: 'https://example.com/author/jane',
+        avatar: 'large',
+        avatars: [{ size: 24, url: 'small' }, { size: 96, url: 'large' }],
+      });
+    });
+
+    test('falls back to the default author when WordPress.com hides users', () => {
+      const post = {
+        author: 266229739,
+        _embedded: { author: [{ code: 'unauthorized', data: { status: 401 } }] },
+      };
+
+      expect(normalizeAuthor(post)).toMatchObject({
+        wordpressId: 266229739,
+        name: defaultAuthor,
+        slug: 'someone',
+        avatar: defaultAuthorAvatar,
+        avatars: [],
+      });
+    });
+  });
+});
@@ -0,0 +1,212 @@
+// Mock fetch
+global.fetch = jest.fn();
+
+const {
+  withQuery,
+  mapWithConcurrency,
+  getTotalPages,
+  parseRetryAfter,
+  getRetryDelay,
+  fetchWithRetry,
+  fetchJson,
+  fetchAllPages,
+} = require('../wordpressFetch');
+
+// 构造带分页响应头的 fetch 响应
+const mockResponse = (body, headers = {}, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: {
+    get: (name) => headers[name.toLowerCase()] ?? null,
+  },
+  json: jest.fn().mockResolvedValue(body),
+});
+
+const range = (from, to) => Array.from({ length: to - from }, (_, i) => ({ id: from + i }));
+
+describe('wordpressFetch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('withQuery', () => {
+    test('keeps existing params and adds new ones', () => {
+      expect(withQuery('https://example.com/wp-json/wp/v2/posts?_embed', { per_page: 100, page: 2 }))
+        .toBe('https://example.com/wp-json/wp/v2/posts?_embed=&per_page=100&page=2');
+    });
+
+    test('works on urls without a query string', () => {
+      expect(withQuery('https://example.com/categories', { page: 1 }))
+        .toBe('https://example.com/categories?page=1');
+    });
+  });
+
+  describe('getTotalPages', () => {
+    test('reads X-WP-TotalPages', () => {
+      expect(getTotalPages(mockResponse([], { 'x-wp-totalpages': '3' }), 100)).toBe(3);
+    });
+
+    test('derives the page count from X-WP-Total', () => {
+      expect(getTotalPages(mockResponse([], { 'x-wp-total': '250' }), 100)).toBe(3);
+    });
+
+    test('falls back to the found count of WordPress.com v1.1 responses', () => {
+      expect(getTotalPages(mockResponse({}), 100, 120)).toBe(2);
+    });
+
+    test('returns null without any paging information', () => {
+      expect(getTotalPages(mockResponse([]), 100)).toBeNull();
+    });
+  });
+
+  describe('mapWithConcurrency', () => {
+    test('never runs more tasks than the limit at once', async () => {
+      let running = 0;
+      let peak = 0;
+      const results = await mapWithConcurrency([1, 2, 3, 4, 5], 2, async (n) => {
+        running += 1;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, 1));
+        running -= 1;
+        return n * 2;
+      });
+
+      expect(results).toEqual([2, 4, 6, 8, 10]);
+      expect(peak).toBe(2);
+    });
+  });
+
+  describe('fetchAllPages', () => {
+    test('fetches every page announced by X-WP-TotalPages', async () => {
+      fetch
+        .mockResolvedValueOnce(mockResponse(range(0, 100), { 'x-wp-totalpages': '3' }))
+        .mockResolvedValueOnce(mockResponse(range(100, 200), { 'x-wp-totalpages': '3' }))
+        .mockResolvedValueOnce(mockResponse(range(200, 230), { 'x-wp-totalpages': '3' }));
+
+      const items = await fetchAllPages('https://example.com/wp-json/wp/v2/posts?_embed');
+
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(fetch).toHaveBeenCalledWith('https://example.com/wp-json/wp/v2/posts?_embed=&per_page=100&page=3', expect.objectContaining({ signal: expect.anything() }));
+      expect(items).toHaveLength(230);
+      expect(items[229]).toEqual({ id: 229 });
+    });
+
+    test('makes a single request when there is only one page', async () => {
+      fetch.mockResolvedValueOnce(mockResponse(range(0, 5), { 'x-wp-totalpages': '1' }));
+
+      const items = await fetchAllPages('https://example.com/wp-json/wp/v2/categories');
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(items).toHaveLength(5);
+    });
+
+    test('pages sequentially when the headers are missing', async () => {
+      fetch
+        .mockResolvedValueOnce(mockResponse(range(0, 100)))
+        .mockResolvedValueOnce(mockResponse(range(100, 120)));
+
+      const items = await fetchAllPages('https://example.com/wp-json/wp/v2/pages?_embed');
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(items).toHaveLength(120);
+    });
+
+    test('stops when WordPress rejects a page past the end', async () => {
+      fetch
+        .mockResolvedValueOnce(mockResponse(range(0, 100)))
+        .mockResolvedValueOnce(mockResponse({ code: 'rest_post_invalid_page_number' }, {}, 400));
+
+      const items = await fetchAllPages('https://example.com/wp-json/wp/v2/posts');
+
+      expect(items).toHaveLength(100);
+    });
+
+    test('throws on HTTP errors once retries are exhausted', async () => {
+      fetch.mockResolvedValue(mockResponse({}, {}, 500));
+
+      await expect(fetchAllPages('https://example.com/wp-json/wp/v2/posts', { retries: 2, retryDelay: 0 }))
+        .rejects.toThrow('HTTP 500');
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('parseRetryAfter / getRetryDelay', () => {
+    test('reads seconds and HTTP dates', () => {
+      const now = Date.parse('2025-01-01T00:00:00Z');
+
+      expect(parseRetryAfter('3')).toBe(3000);
+      expect(parseRetryAfter('Wed, 01 Jan 2025 00:00:10 GMT', now)).toBe(10000);
+      expect(parseRetryAfter(null)).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
+    });
+
+    test('backs off exponentially unless Retry-After is given', () => {
+      expect([0, 1, 2].map(attempt => getRetryDelay(attempt, null, 100))).toEqual([100, 200, 400]);
+      expect(getRetryDelay(0, 2500, 100)).toBe(2500);
+      expect(getRetryDelay(20, null, 100)).toBe(60000);
+    });
+  });
+
+  describe('fetchWithRetry', () => {
+    test('retries rate-limited and failing requests', async () => {
+      fetch
+        .mockResolvedValueOnce(mockResponse({}, { 'retry-after': '0' }, 429))
+        .mockRejectedValueOnce(new Error('socket hang up'))
+        .mockResolvedValueOnce(mockResponse({ ok: true }));
+
+      const response = await fetchWithRetry('https://example.com/hero', { retryDelay: 0 });
+
+      expect(response.status).toBe(200);
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('does not retry client errors', async () => {
+      fetch.mockResolvedValue(mockResponse({}, {}, 404));
+
+      const response = await fetchWithRetry('https://example.com/hero', { retryDelay: 0 });
+
+      expect(response.status).toBe(404);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('aborts requests that take too long', async () => {
+      fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }));
+
+      await expect(fetchWithRetry('https://example.com/hero', { timeout: 10, retries: 0 }))
+        .rejects.toThrow('Timed out after 10ms');
+    });
+  });
+
+  describe('fetchJson', () => {
+    // 响应头已返回但响应体一直没有读完
+    const stalledBody = () => ({ ...mockResponse(null), json: jest.fn(() => new Promise(() => {})) });
+
+    test('retries when the response body stalls', async () => {
+      fetch
+        .mockResolvedValueOnce(stalledBody())
+        .mockResolvedValueOnce(mockResponse({ ok: true }));
+
+      const { body } = await fetchJson('https://example.com/hero', { timeout: 10, retryDelay: 0 });
+
+      expect(body).toEqual({ ok: true });
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('times out when the response body never arrives', async () => {
+      fetch.mockResolvedValue(stalledBody());
+
+      await expect(fetchJson('https://example.com/hero', { timeout: 10, retries: 1, retryDelay: 0 }))
+        .rejects.toThrow('Timed out after 10ms');
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not retry invalid JSON', async () => {
+      fetch.mockResolvedValue({ ...mockResponse(null), json: jest.fn().mockRejectedValue(new SyntaxError('Unexpected token <')) });
+
+      await expect(fetchJson('https://example.com/hero', { retryDelay: 0 })).rejects.toThrow(SyntaxError);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const {
+  termNodeType,
+  termNodeKey,
+  normalizeTerm,
+  getPostTerms,
+  collectTerms,
+} = require('../wordpressTerms');
+
+describe('wordpressTerms', () => {
+  const post = (id, groups) => ({ id, _embedded: { 'wp:term': groups } });
+  const news = { id: 3, name: 'News', slug: 'news', taxonomy: 'category' };
+  const react = { id: 9, name: 'React', slug: 'reactjs', taxonomy: 'post_tag' };
+  const season = { id: 12, name: 'Spring', slug: 'spring', taxonomy: 'season' };
+
+  describe('getPostTerms', () => {
+    test('classifies terms by taxonomy regardless of group order', () => {
+      const terms = getPostTerms(post(1, [[react], [season], [news]]));
+
+      expect(terms.map(term => [term.taxonomy, term.slug])).toEqual([
+        ['post_tag', 'reactjs'],
+        ['season', 'spring'],
+        ['category', 'news'],
+      ]);
+    });
+
+    test('skips error objects and missing groups', () => {
+      expect(getPostTerms(post(1, [{ code: 'unauthorized' }, [react]]))).toHaveLength(1);
+      expect(getPostTerms({ id: 2 })).toEqual([]);
+    });
+  });
+
+  describe('termNodeType / termNodeKey', () => {
+    test('maps taxonomies to node types and ids', () => {
+      expect(termNodeType('category')).toBe('WordPressCategory');
+      expect(termNodeType('post_tag')).toBe('WordPressTag');
+      expect(termNodeType('season')).toBe('WordPressTerm');
+      expect(termNodeKey(normalizeTerm(news))).toBe('wordpress-category-3');
+      expect(termNodeKey(normalizeTerm(season))).toBe('wordpress-term-season-12');
+    });
+  });
+
+  describe('collectTerms', () => {
+    test('prefers full terms and counts embedded ones', () => {
+      const fullReact = normalizeTerm({ ...react, description: 'UI library', count: 42 }, 'post_tag');
+      const terms = collectTerms(
+        [post(1, [[news], [react]]), post(2, [[news], [react, season]])],
+        [fullReact]
+      );
+
+      expect(terms.get('wordpress-tag-9')).toMatchObject({ description: 'UI library', count: 42 });
+      expect(terms.get('wordpress-category-3')).toMatchObject({ name: 'News', count: 2 });
+      expect(terms.get('wordpress-term-season-12')).toMatchObject({ taxonomy: 'season', count: 1 });
+    });
+  });
+});
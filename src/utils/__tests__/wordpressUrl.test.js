@@ -0,0 +1,47 @@
+const { isWordPressCom, getSiteName, getApiBase } = require('../wordpressUrl');
+
+describe('wordpressUrl', () => {
+  afterEach(() => {
+    delete process.env.GATSBY_WORDPRESS_HOSTING;
+  });
+
+  describe('getApiBase', () => {
+    test('resolves self-hosted sites, also in subdirectories', () => {
+      expect(getApiBase('https://example.com/')).toBe('https://example.com/wp-json/wp/v2');
+      expect(getApiBase('https://example.com/blog/')).toBe('https://example.com/blog/wp-json/wp/v2');
+      expect(getApiBase('http://localhost:8080/wp')).toBe('http://localhost:8080/wp/wp-json/wp/v2');
+    });
+
+    test('does not repeat a REST path that is already there', () => {
+      expect(getApiBase('https://example.com/blog/wp-json')).toBe('https://example.com/blog/wp-json/wp/v2');
+      expect(getApiBase('https://example.com/wp-json/wp/v2/')).toBe('https://example.com/wp-json/wp/v2');
+    });
+
+    test('uses the public API for WordPress.com sites', () => {
+      expect(getApiBase('https://my-site.wordpress.com/')).toBe('https://public-api.wordpress.com/wp/v2/sites/my-site.wordpress.com');
+      expect(getApiBase('my-site.wordpress.com')).toBe('https://public-api.wordpress.com/wp/v2/sites/my-site.wordpress.com');
+    });
+
+    test('only matches the wordpress.com domain itself', () => {
+      expect(getApiBase('https://wordpress.company.com')).toBe('https://wordpress.company.com/wp-json/wp/v2');
+    });
+
+    test('honours the hosting setting for custom domains', () => {
+      process.env.GATSBY_WORDPRESS_HOSTING = 'wpcom';
+      expect(getApiBase('https://blog.example.com')).toBe('https://public-api.wordpress.com/wp/v2/sites/blog.example.com');
+      expect(getApiBase('https://my-site.wordpress.com', { hosting: 'self-hosted' })).toBe('https://my-site.wordpress.com/wp-json/wp/v2');
+    });
+
+    test('returns null without a usable URL', () => {
+      expect(getApiBase('')).toBeNull();
+      expect(getApiBase(undefined)).toBeNull();
+      expect(getApiBase('https://')).toBeNull();
+    });
+  });
+
+  test('isWordPressCom and getSiteName', () => {
+    expect(isWordPressCom('https://a.wordpress.com')).toBe(true);
+    expect(isWordPressCom('https://a.dev')).toBe(false);
+    expect(getSiteName('https://example.com/blog/')).toBe('example.com/blog');
+  });
+});
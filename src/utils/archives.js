@@ -0,0 +1,141 @@
+// 文章归档页与 /posts 列表的分页、分组工具（构建时在 gatsby-node.js 中使用，分页路径和日期分组在页面组件中也会用到）
+
+const { slugify } = require('./slugify');
+
+// 归档页每页文章数
+const ARCHIVE_PAGE_SIZE = Number(process.env.GATSBY_ARCHIVE_PAGE_SIZE) || 10;
+// /posts 列表每页文章数
+const POSTS_PAGE_SIZE = Number(process.env.GATSBY_POSTS_PAGE_SIZE) || 20;
+
+// 第 n 页的路径：第一页就是 basePath，之后为 basePath/n
+const pagePath = (basePath, page) => (page <= 1 ? basePath : `${basePath}/${page}`);
+
+// 把列表按每页条数切分成多页
+const paginate = (items, pageSize = ARCHIVE_PAGE_SIZE) => {
+  const size = Math.max(1, pageSize);
+  const pages = [];
+  for (let i = 0; i < items.length; i += size) {
+    pages.push(items.slice(i, i + size));
+  }
+  return pages.length > 0 ? pages : [[]];
+};
+
+// 总页数，至少 1 页
+const pageCount = (total, pageSize) => Math.max(1, Math.ceil(total / Math.max(1, pageSize)));
+
+// /posts 列表第 n 页的页面上下文，页面查询用 skip / limit 取出这一页的文章
+const postsPageContext = (page, pageSize = POSTS_PAGE_SIZE) => ({
+  basePath: '/posts',
+  currentPage: page,
+  skip: (page - 1) * pageSize,
+  limit: pageSize,
+});
+
+// 从文章的 tags / categories 字段（{ name, slug } 形式的 term）中收集归档分组
+// 返回 [{ name, slug, posts }]，posts 保持传入顺序；exclude 为需要跳过的 slug 列表
+const collectTermArchives = (posts, field, { exclude = [] } = {}) => {
+  const archives = new Map();
+  posts.forEach(post => {
+    (post[field] || []).forEach(({ name, slug: termSlug }) => {
+      const slug = termSlug || slugify(name);
+      if (exclude.includes(slug)) return;
+      if (!archives.has(slug)) archives.set(slug, { name, slug, posts: [] });
+      const archive = archives.get(slug);
+      if (!archive.posts.includes(post)) archive.posts.push(post);
+    });
+  });
+  return Array.from(archives.values());
+};
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+// 文章日期的年、月、日（'2024', '03', '15'）；直接截取 ISO 字符串，避免时区换算把日期移到前一天或后一天
+const dateParts = (date) => {
+  const [year, month, day] = String(date || '').split('T')[0].split('-');
+  return { year, month, day };
+};
+
+// 年 / 月归档页路径：/archive/2024、/archive/2024/03
+const dateArchivePath = (year, month) => (month ? `/archive/${year}/${month}` : `/archive/${year}`);
+
+// 年为四位数字，月（可选）为 01–12，与 dateParts 的结果格式一致
+const isValidDateArchive = (year, month) => (
+  /^\d{4}$/.test(String(year)) && (!month || /^(0[1-9]|1[0-2])$/.test(String(month)))
+);
+
+// 年 / 月归档的显示名称：2024、March 2024；年、月不合法时返回 null
+const dateArchiveName = (year, month) => {
+  if (!isValidDateArchive(year, month)) return null;
+  return month ? `${MONTH_NAMES[Number(month) - 1]} ${year}` : String(year);
+};
+
+// 按年、月分组，返回 [{ year, posts, months: [{ year, month, posts }] }]
+// 年、月按时间倒序，posts 保持传入顺序；没有日期或日期格式不对的文章跳过
+const collectDateArchives = (posts) => {
+  const years = new Map();
+  (posts || []).forEach(post => {
+    const { year, month } = dateParts(post.date);
+    if (!month || !isValidDateArchive(year, month)) return;
+    if (!years.has(year)) years.set(year, { year, posts: [], months: new Map() });
+    const archive = years.get(year);
+    archive.posts.push(post);
+    if (!archive.months.has(month)) archive.months.set(month, { year, month, posts: [] });
+    archive.months.get(month).posts.push(post);
+  });
+  const descending = (a, b) => (a < b ? 1 : a > b ? -1 : 0);
+  return Array.from(years.values())
+    .sort((a, b) => descending(a.year, b.year))
+    .map(archive => ({
+      ...archive,
+      months: Array.from(archive.months.values()).sort((a, b) => descending(a.month, b.month)),
+    }));
+};
+
+// 按天分组，返回 [[YYYY-MM-DD, posts]]，日期倒序（ascending 为 true 时正序）
+const groupPostsByDay = (posts, { ascending = false } = {}) => {
+  const groups = {};
+  (posts || []).forEach(post => {
+    const dateOnly = String(post.date || '').split('T')[0];
+    if (!groups[dateOnly]) groups[dateOnly] = [];
+    groups[dateOnly].push(post);
+  });
+  const direction = ascending ? -1 : 1;
+  return Object.entries(groups).sort((a, b) => direction * (a[0] < b[0] ? 1 : a[0] > b[0] ? -1 : 0));
+};
+
+// 年 → 月 → 日三级分组，返回 [{ year, count, months: [{ year, month, count, days: [[YYYY-MM-DD, posts]] }] }]
+// 默认时间倒序，ascending 为 true 时年、月、日都按正序排列
+const groupPostsByYear = (posts, { ascending = false } = {}) => {
+  const ordered = list => (ascending ? [...list].reverse() : list);
+  return ordered(collectDateArchives(posts)).map(archive => ({
+    year: archive.year,
+    count: archive.posts.length,
+    months: ordered(archive.months).map(({ year, month, posts: monthPosts }) => ({
+      year,
+      month,
+      count: monthPosts.length,
+      days: groupPostsByDay(monthPosts, { ascending }),
+    })),
+  }));
+};
+
+module.exports = {
+  ARCHIVE_PAGE_SIZE,
+  POSTS_PAGE_SIZE,
+  pagePath,
+  paginate,
+  pageCount,
+  postsPageContext,
+  collectTermArchives,
+  MONTH_NAMES,
+  dateParts,
+  isValidDateArchive,
+  dateArchivePath,
+  dateArchiveName,
+  collectDateArchives,
+  groupPostsByDay,
+  groupPostsByYear,
+};
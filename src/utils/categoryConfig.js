@@ -0,0 +1,360 @@
+// 分类描述配置解析器
+// WordPress 分类描述里保存的是站点配置（hero、footer、socials…），这里负责安全地解析并校验，
+// 取代原先的 eval。支持严格 JSON，以及以下 JSON5 风格的宽松写法：
+//   - 对象键可以不加引号：{ title: "Hi" }
+//   - 对象和数组允许尾随逗号：[1, 2,]
+//   - 字符串可以用单引号：'text'
+//   - 支持 // 行注释 和 /* 块注释 */
+//   - 数字可以带前导 + 号或使用十六进制 0x1F
+// 解析和校验错误都带有描述文本中的行号和列号。
+// 嵌套层数超过 MAX_DEPTH 时报解析错误（而不是递归过深的 RangeError）。
+
+const { decodeStrings } = require('./htmlEntities');
+
+// 解析错误，line/column 从 1 开始
+class ConfigParseError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'ConfigParseError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const IDENTIFIER_START = /[A-Za-z_$]/;
+const IDENTIFIER_PART = /[A-Za-z0-9_$]/;
+// 带 y 标志，从 lastIndex 处匹配，不需要截取剩余文本
+const NUMBER_PATTERN = /[+-]?(?:0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/y;
+// 对象和数组的最大嵌套层数
+const MAX_DEPTH = 100;
+const ESCAPES = { '"': '"', "'": "'", '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+// 在对象上安全地写入键，避免 "__proto__" 污染原型
+const setKey = (target, key, value) => {
+  Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+};
+
+// 把路径数组格式化为 basic.title / buttons[0].text
+const formatPath = (path) => path.reduce((out, part) => (
+  typeof part === 'number' ? `${out}[${part}]` : out ? `${out}.${part}` : part
+), '');
+
+// 解析配置文本，返回 { value, locations }
+// locations 记录每个值在原文中的位置，键为 formatPath 后的路径（根为 ''）
+const parseConfig = (text) => {
+  let pos = 0;
+  const locations = {};
+
+  // 行号和列号随解析位置推进：从上次定位的位置继续数，只有定位到更早的位置（报错时）才从头开始
+  let located = { index: 0, line: 1, column: 1 };
+  const locate = (index) => {
+    const end = Math.min(index, text.length);
+    let { index: i, line, column } = end >= located.index ? located : { index: 0, line: 1, column: 1 };
+    for (; i < end; i++) {
+      if (text[i] === '\n') {
+        line += 1;
+        column = 1;
+      } else {
+        column += 1;
+      }
+    }
+    located = { index: end, line, column };
+    return { line, column };
+  };
+
+  const fail = (message, index = pos) => {
+    const { line, column } = locate(index);
+    throw new ConfigParseError(message, line, column);
+  };
+
+  const describe = (ch) => (ch === undefined ? 'end of input' : `"${ch}"`);
+
+  const skipWhitespace = () => {
+    while (pos < text.length) {
+      const ch = text[pos];
+      if (/\s/.test(ch) || ch === '\uFEFF') {
+        pos += 1;
+      } else if (ch === '/' && text[pos + 1] === '/') {
+        while (pos < text.length && text[pos] !== '\n') pos += 1;
+      } else if (ch === '/' && text[pos + 1] === '*') {
+        const end = text.indexOf('*/', pos + 2);
+        if (end === -1) fail('Unterminated comment');
+        pos = end + 2;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const parseString = () => {
+    const quote = text[pos];
+    const start = pos;
+    pos += 1;
+    let out = '';
+    while (pos < text.length) {
+      const ch = text[pos];
+      if (ch === quote) {
+        pos += 1;
+        return out;
+      }
+      if (ch === '\n' || ch === '\r') fail('Unescaped line break in string');
+      if (ch === '\\') {
+        const next = text[pos + 1];
+        if (next === 'u') {
+          const hex = text.slice(pos + 2, pos + 6);
+          if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail('Invalid unicode escape');
+          out += String.fromCharCode(parseInt(hex, 16));
+          pos += 6;
+        } else if (next === '\n') {
+          // 行尾反斜杠：续行
+          pos += 2;
+        } else if (Object.prototype.hasOwnProperty.call(ESCAPES, next)) {
+          out += ESCAPES[next];
+          pos += 2;
+        } else {
+          fail(`Invalid escape "\\${next === undefined ? '' : next}"`);
+        }
+        continue;
+      }
+      out += ch;
+      pos += 1;
+    }
+    return fail('Unterminated string', start);
+  };
+
+  const parseIdentifier = () => {
+    const start = pos;
+    pos += 1;
+    while (pos < text.length && IDENTIFIER_PART.test(text[pos])) pos += 1;
+    return text.slice(start, pos);
+  };
+
+  const parseValue = (path) => {
+    skipWhitespace();
+    locations[formatPath(path)] = locate(pos);
+    const ch = text[pos];
+    if ((ch === '{' || ch === '[') && path.length >= MAX_DEPTH) fail(`Nesting is deeper than ${MAX_DEPTH} levels`);
+    if (ch === '{') return parseObject(path);
+    if (ch === '[') return parseArray(path);
+    if (ch === '"' || ch === "'") return parseString();
+    NUMBER_PATTERN.lastIndex = pos;
+    const number = NUMBER_PATTERN.exec(text);
+    if (number && /[-+.\d]/.test(ch)) {
+      pos += number[0].length;
+      return Number(number[0]);
+    }
+    if (ch !== undefined && IDENTIFIER_START.test(ch)) {
+      const start = pos;
+      const word = parseIdentifier();
+      if (word === 'true') return true;
+      if (word === 'false') return false;
+      if (word === 'null') return null;
+      return fail(`Unexpected identifier "${word}"`, start);
+    }
+    return fail(`Unexpected ${describe(ch)}`);
+  };
+
+  const parseObject = (path) => {
+    const result = {};
+    pos += 1;
+    skipWhitespace();
+    while (text[pos] !== '}') {
+      let key;
+      const ch = text[pos];
+      if (ch === '"' || ch === "'") {
+        key = parseString();
+      } else if (ch !== undefined && IDENTIFIER_START.test(ch)) {
+        key = parseIdentifier();
+      } else {
+        fail(`Expected property name but found ${describe(ch)}`);
+      }
+      skipWhitespace();
+      if (text[pos] !== ':') fail(`Expected ":" after property "${key}" but found ${describe(text[pos])}`);
+      pos += 1;
+      setKey(result, key, parseValue([...path, key]));
+      skipWhitespace();
+      if (text[pos] === ',') {
+        pos += 1;
+        skipWhitespace();
+      } else if (text[pos] !== '}') {
+        fail(`Expected "," or "}" but found ${describe(text[pos])}`);
+      }
+    }
+    pos += 1;
+    return result;
+  };
+
+  const parseArray = (path) => {
+    const result = [];
+    pos += 1;
+    skipWhitespace();
+    while (text[pos] !== ']') {
+      result.push(parseValue([...path, result.length]));
+      skipWhitespace();
+      if (text[pos] === ',') {
+        pos += 1;
+        skipWhitespace();
+      } else if (text[pos] !== ']') {
+        fail(`Expected "," or "]" but found ${describe(text[pos])}`);
+      }
+    }
+    pos += 1;
+    return result;
+  };
+
+  const value = parseValue([]);
+  skipWhitespace();
+  if (pos < text.length) fail(`Unexpected ${describe(text[pos])} after end of value`);
+  return { value, locations };
+};
+
+// 各分类 slug 的配置结构
+// type: object | array | string | number | boolean；required 列出必填字段
+const socialItem = {
+  type: 'object',
+  required: ['name'],
+  properties: { name: { type: 'string' }, val: { type: 'string' }, svg: { type: 'string' }, type: { type: 'string' } },
+};
+const linkItem = { type: 'object', required: ['url'], properties: { url: { type: 'string' }, title: { type: 'string' } } };
+
+const CONFIG_SCHEMAS = {
+  hero: {
+    type: 'object',
+    required: ['basic'],
+    properties: {
+      basic: {
+        type: 'object',
+        required: ['title'],
+        properties: {
+          title: { type: 'string' },
+          name: { type: 'string' },
+          description: { type: 'string' },
+          avatar: { type: 'string' },
+        },
+      },
+      buttons: {
+        type: 'array',
+        items: { type: 'object', required: ['text', 'link'], properties: { text: { type: 'string' }, link: { type: 'string' } } },
+      },
+    },
+  },
+  about: {
+    type: 'object',
+    required: ['title'],
+    properties: { title: { type: 'string' }, content: { type: 'string' }, description: { type: 'string' } },
+  },
+  footer: {
+    type: 'object',
+    required: ['text'],
+    properties: {
+      text: { type: 'string' },
+      links: { type: 'array', items: linkItem },
+      github: { type: 'object', properties: { url: { type: 'string' }, text: { type: 'string' } } },
+    },
+  },
+  socials: {
+    type: 'object',
+    required: ['socials'],
+    properties: { socials: { type: 'array', items: socialItem } },
+  },
+  skills: {
+    type: 'array',
+    items: { type: 'object', required: ['name'], properties: { name: { type: 'string' }, percentage: { type: 'number' } } },
+  },
+  projects: {
+    type: 'array',
+    items: { type: 'object', properties: { title: { type: 'string' }, description: { type: 'string' } } },
+  },
+  contact: {
+    type: 'object',
+    required: ['title'],
+    properties: { title: { type: 'string' } },
+  },
+  comments: {
+    type: 'object',
+    required: ['rules'],
+    properties: { title: { type: 'string' }, description: { type: 'string' }, rules: { type: 'array', items: { type: 'string' } } },
+  },
+  posts: {
+    type: 'object',
+    required: ['title'],
+    properties: { title: { type: 'string' }, subtitle: { type: 'string' }, description: { type: 'string' } },
+  },
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+// 按 schema 校验数据，返回错误数组 [{ path, message, line, column }]
+// locations 来自 parseConfig，用于把错误映射回原文位置（ACF 数据没有位置信息）
+const validateConfig = (data, schema, locations = {}) => {
+  const errors = [];
+  const report = (path, message) => {
+    const key = formatPath(path);
+    // 缺失字段没有自身位置，退回到最近的父级位置
+    let at = locations[key];
+    for (let i = path.length - 1; !at && i >= 0; i--) at = locations[formatPath(path.slice(0, i))];
+    errors.push({ path: key, message, line: at?.line, column: at?.column });
+  };
+
+  const visit = (value, rule, path) => {
+    const actual = typeOf(value);
+    if (actual !== rule.type) {
+      report(path, `${formatPath(path) || 'value'} should be ${rule.type === 'array' ? 'an array' : `a ${rule.type}`}, got ${actual}`);
+      return;
+    }
+    if (rule.type === 'object') {
+      (rule.required || []).forEach((key) => {
+        const field = value[key];
+        if (field === undefined || field === null || field === '') {
+          report([...path, key], `${formatPath([...path, key])} is required`);
+        }
+      });
+      Object.entries(rule.properties || {}).forEach(([key, child]) => {
+        if (value[key] !== undefined && value[key] !== null) visit(value[key], child, [...path, key]);
+      });
+    }
+    if (rule.type === 'array' && rule.items) {
+      value.forEach((item, index) => visit(item, rule.items, [...path, index]));
+    }
+  };
+
+  visit(data, schema, []);
+  return errors;
+};
+
+// 解析并校验某个分类的描述文本，schema 默认使用 CONFIG_SCHEMAS 中该 slug 的结构（传 null 不校验）
+// 返回 { data, errors }：errors 为空时 data 才可用；描述为空时 data 为 null 且没有错误
+const parseCategoryConfig = (slug, description, { schema = CONFIG_SCHEMAS[slug] } = {}) => {
+  if (!description || !description.trim()) return { data: null, errors: [] };
+  let parsed;
+  try {
+    parsed = parseConfig(description);
+  } catch (error) {
+    if (!(error instanceof ConfigParseError)) throw error;
+    return { data: null, errors: [{ path: '', message: error.reason, line: error.line, column: error.column }] };
+  }
+  // WordPress 保存分类描述时会把 & 等字符编码成实体，字符串值解码后再校验
+  const data = decodeStrings(parsed.value);
+  const errors = schema ? validateConfig(data, schema, parsed.locations) : [];
+  return { data, errors };
+};
+
+// 把错误格式化成可读的一行文字
+const formatConfigError = (error) => (
+  error.line ? `${error.message} (line ${error.line}, column ${error.column})` : error.message
+);
+
+module.exports = {
+  ConfigParseError,
+  MAX_DEPTH,
+  CONFIG_SCHEMAS,
+  parseConfig,
+  validateConfig,
+  parseCategoryConfig,
+  formatConfigError,
+};
@@ -0,0 +1,12 @@
+// 站点配置分类的 slug（构建时与浏览器端共用）
+// 单独放在这里，浏览器端（/posts 页面的分类筛选）不需要为了这份列表引入配置解析器和结构定义
+
+// 全部站点配置分类，顺序即内容报告中的顺序
+const CONFIG_SLUGS = ['hero', 'about', 'contact', 'socials', 'comments', 'footer', 'skills', 'projects', 'posts'];
+// ACF 模式下有自定义 REST 路由的配置分类；posts 的路径与 WordPress 文章接口相同，不能作为配置路由请求
+const ACF_CONFIG_SLUGS = ['hero', 'footer', 'about', 'contact', 'socials', 'comments', 'skills', 'projects'];
+
+module.exports = {
+  CONFIG_SLUGS,
+  ACF_CONFIG_SLUGS,
+};
@@ -0,0 +1,128 @@
+// WordPress 内容快照（构建时在 gatsby-node.js 中使用）
+// 每次成功同步后把文章、分类、标签和页面写入带版本号的快照文件；
+// 设置 GATSBY_WORDPRESS_SNAPSHOT 后完全从指定快照构建，不访问网络（可复现的构建 / CI 离线构建）。
+
+const fs = require('fs');
+const path = require('path');
+
+// 快照文件格式版本，数据结构不兼容地变化时递增
+const SNAPSHOT_VERSION = 1;
+// 快照文件名：wordpress-<同步时间>.json，按文件名排序即按时间排序
+const SNAPSHOT_FILE_PATTERN = /^wordpress-.+\.json$/;
+
+// 快照目录，默认在项目根目录的 content-snapshots/
+const getSnapshotDir = () => path.resolve(process.env.GATSBY_WORDPRESS_SNAPSHOT_DIR || 'content-snapshots');
+
+// 最多保留的快照数量，更早的会被删除
+const getSnapshotKeep = () => Number(process.env.GATSBY_WORDPRESS_SNAPSHOT_KEEP) || 10;
+
+// 快照构建模式：值为 latest、快照文件名或文件路径，未设置时返回 null
+const getSnapshotMode = () => process.env.GATSBY_WORDPRESS_SNAPSHOT || null;
+
+// 去掉 REST API 返回中的 _links（构建用不到，且占快照体积的大部分）
+const stripLinks = (value) => {
+  if (Array.isArray(value)) return value.map(stripLinks);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => key !== '_links')
+    .map(([key, item]) => [key, stripLinks(item)]));
+};
+
+// 整理成快照中保存的数据
+const normalizeSnapshotData = ({ posts = [], categories = [], tags = [], pages = [], siteName = '', wordpressUrl = '' }) => ({
+  posts: stripLinks(posts),
+  categories: stripLinks(categories),
+  tags: stripLinks(tags),
+  pages: stripLinks(pages),
+  siteName,
+  wordpressUrl,
+});
+
+const snapshotFileName = (createdAt) => `wordpress-${createdAt.replace(/[:.]/g, '-')}.json`;
+
+// 目录中的全部快照文件，从旧到新
+const listSnapshots = (dir = getSnapshotDir()) => {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => SNAPSHOT_FILE_PATTERN.test(name))
+    .sort()
+    .map(name => path.join(dir, name));
+};
+
+// 只保留最新的 keep 个快照
+const pruneSnapshots = (dir = getSnapshotDir(), keep = getSnapshotKeep()) => {
+  const snapshots = listSnapshots(dir);
+  snapshots.slice(0, Math.max(0, snapshots.length - keep)).forEach(file => fs.unlinkSync(file));
+};
+
+// 写入快照，返回文件路径
+const writeSnapshot = (data, {
+  source,
+  createdAt = new Date().toISOString(),
+  dir = getSnapshotDir(),
+  keep = getSnapshotKeep(),
+} = {}) => {
+  const filePath = path.join(dir, snapshotFileName(createdAt));
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({
+    version: SNAPSHOT_VERSION,
+    createdAt,
+    source,
+    data: normalizeSnapshotData(data),
+  }));
+  pruneSnapshots(dir, keep);
+  return filePath;
+};
+
+// 把 GATSBY_WORDPRESS_SNAPSHOT 的值解析成文件路径：latest 为最新的快照，
+// 其他值先按路径查找，找不到再当作快照目录中的文件名
+const resolveSnapshotPath = (choice, dir = getSnapshotDir()) => {
+  if (choice === 'latest') {
+    const snapshots = listSnapshots(dir);
+    if (snapshots.length === 0) throw new Error(`No snapshots found in ${dir}`);
+    return snapshots[snapshots.length - 1];
+  }
+  const filePath = path.resolve(choice);
+  return fs.existsSync(filePath) ? filePath : path.join(dir, choice);
+};
+
+// 读取并检查快照，格式不对或版本不兼容时抛出错误
+const readSnapshot = (filePath) => {
+  if (!fs.existsSync(filePath)) throw new Error(`Snapshot not found: ${filePath}`);
+  const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot version ${snapshot.version} is not supported (expected ${SNAPSHOT_VERSION}): ${filePath}`);
+  }
+  if (!snapshot.data || !Array.isArray(snapshot.data.posts)) {
+    throw new Error(`Snapshot has no posts: ${filePath}`);
+  }
+  return snapshot;
+};
+
+// 同一站点最新的可用快照（WordPress 不可用时的兜底），没有时返回 null
+const readLatestSnapshot = (source, dir = getSnapshotDir()) => {
+  const snapshots = listSnapshots(dir).reverse();
+  for (const file of snapshots) {
+    try {
+      const snapshot = readSnapshot(file);
+      if (snapshot.source === source) return { ...snapshot, filePath: file };
+    } catch (error) {
+      // 损坏或旧版本的快照直接跳过
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  getSnapshotDir,
+  getSnapshotMode,
+  stripLinks,
+  normalizeSnapshotData,
+  listSnapshots,
+  pruneSnapshots,
+  writeSnapshot,
+  resolveSnapshotPath,
+  readSnapshot,
+  readLatestSnapshot,
+};
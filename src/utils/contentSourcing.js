@@ -0,0 +1,207 @@
+// WordPress 内容的获取流程（构建时在 gatsby-node.js 的 sourceNodes 中使用）
+// 决定本次构建的数据来源：快照模式只读快照；未配置 WordPress 时用 fallbackData；
+// 否则全量或增量同步，WordPress 不可用时依次使用上次成功同步的数据（Gatsby cache）、最新的快照文件和 fallbackData。
+// 节点由调用方创建（createNodes / createFallbackNodes），这里负责选择数据、保留增量同步中未变化的节点和记录同步状态。
+
+const { formatConfigError } = require('./categoryConfig');
+const { REASONS, buildContentReport, writeContentReport } = require('./contentValidation');
+const {
+  readSyncState,
+  writeSyncState,
+  readLastKnownGood,
+  writeLastKnownGood,
+  latestModified,
+  mergeContent,
+  diffNodes,
+} = require('./incrementalSync');
+const {
+  getSnapshotMode,
+  writeSnapshot,
+  resolveSnapshotPath,
+  readSnapshot,
+  readLatestSnapshot,
+} = require('./contentSnapshot');
+const { isPreviewMode, getAuthHeaders } = require('./wordpressAuth');
+const { hasDueScheduledPosts } = require('./scheduledPosts');
+
+// 未配置或仍是示例地址时视为没有 WordPress
+const isWordPressConfigured = (wordpressUrl) => !!wordpressUrl && wordpressUrl !== 'https://your-wordpress-site.com';
+
+// 同步结束时汇总失败的接口
+const reportFetchFailures = (failures) => {
+  if (failures.length === 0) return;
+  console.log(`⚠️  ${failures.length} WordPress endpoint(s) failed:`);
+  failures.forEach(failure => console.log(`  - ${failure.endpoint}: ${failure.message}`));
+};
+
+// 输出并写入内容校验报告，严格模式下有区块回退时让构建失败
+const reportContentValidation = (sections, reporter) => {
+  const report = buildContentReport(sections);
+  const reportPath = writeContentReport(report);
+  console.log(`📝 Content report: ${report.summary.wordpress} from WordPress, ${report.summary.fallback} fallback (${reportPath})`);
+  report.sections
+    .filter(section => section.source === 'fallback')
+    .forEach(section => {
+      console.log(`  ⚠️  ${section.slug}: ${section.reason}`);
+      section.errors.forEach(error => console.log(`      - ${formatConfigError(error)}`));
+    });
+  report.sections
+    .filter(section => section.source === 'skipped')
+    .forEach(section => console.log(`  ℹ️  ${section.slug}: ${section.reason}, using fallback data`));
+  if (report.strict && report.summary.fallback > 0) {
+    const slugs = report.sections.filter(section => section.source === 'fallback').map(section => section.slug);
+    reporter.panicOnBuild(`Strict content mode: these sections fell back to placeholder content: ${slugs.join(', ')}. See ${reportPath}`);
+  }
+};
+
+// 增量同步时保留未变化的节点（连同文章关联的作者、分类法节点），删除 WordPress 中已不存在的节点
+// currentIds 为 null 表示该接口获取失败，此时保留全部缓存节点；Markdown 文章每次都会重新创建，不参与比对
+const keepUnchangedNodes = ({ touchNode, deleteNode, getNode, getNodesByType }, type, currentIds, changedItems) => {
+  const nodes = getNodesByType(type).filter(node => node.source !== 'markdown');
+  const ids = currentIds ?? nodes.map(node => node.wordpressId);
+  const { unchanged, deleted } = diffNodes(nodes, ids, changedItems.map(item => item.id));
+  unchanged.forEach(node => {
+    touchNode(node);
+    [node.authorProfile, ...(node.categories || []), ...(node.tags || []), ...(node.terms || [])]
+      .map(id => id && getNode(id))
+      .filter(Boolean)
+      .forEach(linked => touchNode(linked));
+  });
+  deleted.forEach(node => deleteNode(node));
+  return { unchanged: unchanged.length, deleted: deleted.length };
+};
+
+// 获取内容并创建节点
+// gatsby 为 sourceNodes 的参数（actions、reporter、cache、getNode、getNodesByType）；
+// source 为 REST API 基地址，同步状态、缓存数据和快照都按它区分；wordpressUrl 为站点地址；
+// fetchData({ since, existingIds }) 获取 WordPress 数据，失败时返回 null；
+// createNodes(data) / createFallbackNodes(reason) 创建节点，返回站点配置区块的校验结果，用于内容报告
+const sourceWordPressContent = async ({ actions, reporter, cache, getNode, getNodesByType }, {
+  source,
+  wordpressUrl,
+  fetchData,
+  createNodes,
+  createFallbackNodes,
+}) => {
+  const { touchNode, deleteNode } = actions;
+  const useData = data => reportContentValidation(createNodes(data), reporter);
+  const useFallback = reason => reportContentValidation(createFallbackNodes(reason), reporter);
+
+  // 快照模式：完全从指定的内容快照构建，不访问网络
+  const snapshotChoice = getSnapshotMode();
+  if (snapshotChoice) {
+    let snapshot;
+    try {
+      snapshot = readSnapshot(resolveSnapshotPath(snapshotChoice));
+    } catch (error) {
+      reporter.panicOnBuild(`Could not load content snapshot "${snapshotChoice}": ${error.message}`);
+      return;
+    }
+    console.log(`📦 Building from content snapshot "${snapshotChoice}" (synced ${snapshot.createdAt} from ${snapshot.source})`);
+    useData(snapshot.data);
+    return;
+  }
+
+  if (!isWordPressConfigured(wordpressUrl)) {
+    // 只要没配 WordPress，全部用 fallbackData
+    useFallback(REASONS.notConfigured);
+    return;
+  }
+
+  console.log('🔄 Fetching WordPress data...');
+
+  // 上次同步过且缓存中还有文章节点和完整数据时，只获取变化的内容
+  const previousSync = await readSyncState(cache, source);
+  const lastKnownGood = await readLastKnownGood(cache, source);
+  // 预览构建总是全量获取，也不记录同步状态和快照，避免草稿混进生产构建
+  const preview = isPreviewMode();
+  if (preview) {
+    if (!getAuthHeaders()) {
+      reporter.panicOnBuild('Preview mode needs WORDPRESS_USERNAME and WORDPRESS_APP_PASSWORD, or WORDPRESS_JWT');
+      return;
+    }
+    console.log('👁  Preview build: sourcing draft, pending and private posts');
+  }
+  // 缓存的定时文章到了发布时间时，它们的节点需要重新创建，这次也全量获取
+  const since = !preview && previousSync && lastKnownGood && getNodesByType('WordPressPost').length > 0
+    && !hasDueScheduledPosts(lastKnownGood.data.posts)
+    ? previousSync.lastModified
+    : null;
+  if (since) {
+    console.log(`🔁 Incremental sync: fetching posts and pages modified after ${since}`);
+  }
+
+  const sourcedIds = type => getNodesByType(type).filter(node => node.source !== 'markdown').map(node => node.wordpressId);
+  const wpData = await fetchData({
+    since,
+    existingIds: since ? { posts: sourcedIds('WordPressPost'), pages: sourcedIds('WordPressPage') } : {},
+  });
+
+  if (!wpData) {
+    // WordPress 不可用：优先使用上次成功同步的数据（Gatsby cache，其次是快照文件），
+    // 都没有时才用 fallbackData，保证不会构建出空站点
+    const latestSnapshot = lastKnownGood ? null : readLatestSnapshot(source);
+    if (lastKnownGood) {
+      console.log(`⚠️  WordPress data fetch failed, using the last successful sync from ${lastKnownGood.syncedAt}`);
+      useData(lastKnownGood.data);
+    } else if (latestSnapshot) {
+      console.log(`⚠️  WordPress data fetch failed, using content snapshot ${latestSnapshot.filePath}`);
+      useData(latestSnapshot.data);
+    } else {
+      console.log('⚠️  WordPress data fetch failed, using fallback data');
+      // 缓存中的节点已被兜底数据替换，下次需要全量同步
+      await writeSyncState(cache, null);
+      useFallback(REASONS.fetchFailed);
+    }
+    return;
+  }
+
+  const { posts, postIds, categories, tags, pages, pageIds, failures, siteName } = wpData;
+
+  console.log(`✅ Fetched ${posts.length} posts, ${categories.length} categories, ${tags.length} tags, ${pages.length} pages`);
+
+  // 增量同步：未变化的文章和页面沿用缓存中的节点
+  if (since) {
+    const syncHelpers = { touchNode, deleteNode, getNode, getNodesByType };
+    const postSync = keepUnchangedNodes(syncHelpers, 'WordPressPost', postIds, posts);
+    const pageSync = keepUnchangedNodes(syncHelpers, 'WordPressPage', pageIds, pages);
+    console.log(`  - posts: ${posts.length} changed, ${postSync.unchanged} unchanged, ${postSync.deleted} deleted`);
+    console.log(`  - pages: ${pages.length} changed, ${pageSync.unchanged} unchanged, ${pageSync.deleted} deleted`);
+  }
+
+  useData(wpData);
+
+  // 全部接口成功时，记录本次同步的位置与完整数据，供下次增量同步和 WordPress 不可用时使用；
+  // 有接口失败时保留上次的记录，下次重新获取
+  if (failures.length === 0 && !preview) {
+    const previous = since ? lastKnownGood.data : {};
+    const syncedAt = new Date().toISOString();
+    const data = {
+      posts: mergeContent(previous.posts, posts, postIds),
+      categories,
+      tags,
+      pages: mergeContent(previous.pages, pages, pageIds),
+      siteName,
+      wordpressUrl,
+    };
+    await writeLastKnownGood(cache, { source, syncedAt, data });
+    const snapshotPath = writeSnapshot(data, { source, createdAt: syncedAt });
+    console.log(`📦 Content snapshot written to ${snapshotPath}`);
+    await writeSyncState(cache, {
+      source,
+      lastModified: latestModified([...posts, ...pages], since),
+      syncedAt,
+    });
+  }
+
+  console.log('✅ WordPress data nodes created successfully');
+  reportFetchFailures(failures);
+};
+
+module.exports = {
+  isWordPressConfigured,
+  reportFetchFailures,
+  reportContentValidation,
+  keepUnchangedNodes,
+  sourceWordPressContent,
+};
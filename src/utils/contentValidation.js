@@ -0,0 +1,136 @@
+// 构建时内容校验（在 gatsby-node.js 中使用）
+// 首页、页脚等区块的配置保存在 WordPress 分类里（描述或 ACF 字段）。
+// 这里逐个区块判断数据来自 WordPress 还是回退到了 fallbackData.js，并记录原因，
+// 最终生成一份 JSON 报告，让编辑知道页面是否在显示占位内容。
+
+const fs = require('fs');
+const path = require('path');
+const { parseCategoryConfig, validateConfig, CONFIG_SCHEMAS } = require('./categoryConfig');
+const { decodeStrings } = require('./htmlEntities');
+const { CONFIG_SLUGS, ACF_CONFIG_SLUGS } = require('./configSlugs');
+const {
+  fallbackHero,
+  fallbackAbout,
+  fallbackContact,
+  fallbackSocials,
+  fallbackComments,
+  fallbackFooter,
+  fallbackSkills,
+  fallbackProjects,
+  fallbackPostsMeta,
+} = require('../data/fallbackData');
+
+// 各配置分类对应的兜底数据
+const FALLBACK_CONFIG = {
+  hero: fallbackHero,
+  about: fallbackAbout,
+  contact: fallbackContact,
+  socials: fallbackSocials,
+  comments: fallbackComments,
+  footer: fallbackFooter,
+  skills: fallbackSkills,
+  projects: fallbackProjects,
+  posts: fallbackPostsMeta,
+};
+
+
+// 回退原因
+const REASONS = {
+  notConfigured: 'WordPress is not configured',
+  notFound: 'Category not found in WordPress',
+  fetchFailed: 'Request to WordPress failed',
+  emptyDescription: 'Category description is empty',
+  invalidSyntax: 'Category description could not be parsed',
+  invalidStructure: 'Category description does not match the expected structure',
+  invalidAcf: 'ACF fields do not match the expected structure',
+  notAvailable: 'Not available in the current API mode',
+};
+
+const isConfigSlug = (slug) => CONFIG_SLUGS.includes(slug);
+
+// 生成一个回退到兜底数据的区块结果
+const fallbackSection = (slug, reason, errors = []) => ({
+  slug,
+  source: 'fallback',
+  via: null,
+  reason,
+  errors,
+  data: FALLBACK_CONFIG[slug],
+});
+
+// 校验单个配置分类，返回 { slug, source, via, reason, errors, data }
+// source 为 'wordpress' 或 'fallback'（completeSections 补齐的区块还可能是 'skipped'）；via 说明 WordPress 数据来自分类描述还是 ACF 字段
+const validateCategory = (category) => {
+  const { slug } = category;
+
+  if (category.acf && Object.keys(category.acf).length > 0) {
+    const errors = CONFIG_SCHEMAS[slug] ? validateConfig(category.acf, CONFIG_SCHEMAS[slug]) : [];
+    if (errors.length > 0) return fallbackSection(slug, REASONS.invalidAcf, errors);
+    return { slug, source: 'wordpress', via: 'acf', reason: null, errors: [], data: decodeStrings(category.acf) };
+  }
+
+  if (!category.description || !category.description.trim()) {
+    return fallbackSection(slug, REASONS.emptyDescription);
+  }
+
+  const { data, errors } = parseCategoryConfig(slug, category.description);
+  if (errors.length > 0) {
+    return fallbackSection(slug, data === null ? REASONS.invalidSyntax : REASONS.invalidStructure, errors);
+  }
+  return { slug, source: 'wordpress', via: 'description', reason: null, errors: [], data };
+};
+
+// 补齐 WordPress 中缺失的配置分类，返回新增的区块结果
+// availableSlugs 之外的区块（例如 ACF 模式下的 posts）标记为 skipped：使用兜底数据，但不算回退，也不触发严格模式
+// fetchErrors(slug) 返回导致该区块缺失的接口错误，有错误时原因为请求失败，否则为分类不存在
+const completeSections = (sections, { availableSlugs = CONFIG_SLUGS, fetchErrors = () => [] } = {}) => CONFIG_SLUGS
+  .filter(slug => !sections.some(section => section.slug === slug))
+  .map(slug => {
+    if (!availableSlugs.includes(slug)) return { ...fallbackSection(slug, REASONS.notAvailable), source: 'skipped' };
+    const errors = fetchErrors(slug);
+    return errors.length > 0
+      ? fallbackSection(slug, REASONS.fetchFailed, errors)
+      : fallbackSection(slug, REASONS.notFound);
+  });
+
+// 是否启用严格模式：任何区块回退到兜底数据都会让构建失败
+const isStrictContentMode = () => process.env.GATSBY_CONTENT_STRICT === 'true';
+
+// 报告文件路径，默认写在项目根目录
+const getContentReportPath = () => path.resolve(process.env.GATSBY_CONTENT_REPORT_PATH || 'content-report.json');
+
+// 汇总各区块结果，生成可写入磁盘的报告（不包含区块数据本身）
+const buildContentReport = (sections, { strict = isStrictContentMode() } = {}) => {
+  const ordered = [...sections].sort((a, b) => CONFIG_SLUGS.indexOf(a.slug) - CONFIG_SLUGS.indexOf(b.slug));
+  return {
+    generatedAt: new Date().toISOString(),
+    strict,
+    summary: {
+      total: ordered.length,
+      wordpress: ordered.filter(section => section.source === 'wordpress').length,
+      fallback: ordered.filter(section => section.source === 'fallback').length,
+    },
+    sections: ordered.map(({ slug, source, via, reason, errors }) => ({ slug, source, via, reason, errors })),
+  };
+};
+
+const writeContentReport = (report, filePath = getContentReportPath()) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(report, null, 2));
+  return filePath;
+};
+
+module.exports = {
+  FALLBACK_CONFIG,
+  CONFIG_SLUGS,
+  ACF_CONFIG_SLUGS,
+  REASONS,
+  isConfigSlug,
+  fallbackSection,
+  validateCategory,
+  completeSections,
+  isStrictContentMode,
+  getContentReportPath,
+  buildContentReport,
+  writeContentReport,
+};
@@ -0,0 +1,29 @@
+// HTML 实体解码（构建时与浏览器端共用）
+// WordPress 返回的标题、摘要、分类名称和配置文字都经过实体编码（&#8217;、&amp;、&nbsp;、&eacute; …）。
+// 使用 html-entities 按 HTML5 规范解码全部命名实体和数字实体，不依赖 DOM，SSR 中也能使用。
+
+const { decode } = require('html-entities');
+
+// 解码一段文字中的 HTML 实体；空值返回空字符串
+const decodeEntities = (text) => (text ? decode(String(text), { level: 'html5' }) : '');
+
+// HTML 片段转纯文本：去掉标签、解码实体并合并空白（用于摘要、SEO 描述）
+const htmlToText = (html) => decodeEntities(String(html || '').replace(/<[^>]+>/g, ''))
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// 递归解码对象和数组中的所有字符串（用于分类描述 / ACF 中的站点配置）
+const decodeStrings = (value) => {
+  if (typeof value === 'string') return decodeEntities(value);
+  if (Array.isArray(value)) return value.map(decodeStrings);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decodeStrings(item)]));
+  }
+  return value;
+};
+
+module.exports = {
+  decodeEntities,
+  htmlToText,
+  decodeStrings,
+};
@@ -0,0 +1,107 @@
+// 增量同步工具（构建时在 gatsby-node.js 中使用）
+// 上次成功同步的状态保存在 Gatsby cache 中，下次构建只请求 modified_after 之后变化的文章和页面，
+// 再用完整的 id 列表比对出未变化（touch 保留）和已删除（deleteNode）的节点；
+// id 列表中新出现、但 modified 没有变化的内容（例如到点发布的定时文章）按 id 补充获取。
+// 分类和标签没有修改时间，仍然每次全量获取。
+// 同时保存上次成功同步的完整数据（last-known-good），WordPress 不可用时用它重建节点。
+
+const SYNC_CACHE_KEY = 'wordpress-sync-state';
+const LAST_KNOWN_GOOD_CACHE_KEY = 'wordpress-last-known-good';
+// 按 id 补充获取时每个请求的 include 数量（与 REST API 的 per_page 上限一致）
+const INCLUDE_BATCH_SIZE = 100;
+
+// GATSBY_WORDPRESS_INCREMENTAL=false 时每次全量同步
+const isIncrementalEnabled = () => process.env.GATSBY_WORDPRESS_INCREMENTAL !== 'false';
+
+// 读取上次的同步状态；站点地址变化时视为没有同步过
+const readSyncState = async (cache, source) => {
+  if (!isIncrementalEnabled()) return null;
+  const state = await cache.get(SYNC_CACHE_KEY);
+  if (!state || state.source !== source || !state.lastModified) return null;
+  return state;
+};
+
+const writeSyncState = (cache, state) => cache.set(SYNC_CACHE_KEY, state);
+
+// 读取上次成功同步的完整数据 { source, syncedAt, data }；站点地址变化时视为没有
+const readLastKnownGood = async (cache, source) => {
+  const snapshot = await cache.get(LAST_KNOWN_GOOD_CACHE_KEY);
+  return snapshot && snapshot.source === source && snapshot.data ? snapshot : null;
+};
+
+const writeLastKnownGood = (cache, snapshot) => cache.set(LAST_KNOWN_GOOD_CACHE_KEY, snapshot);
+
+// 把增量同步拿到的变化合并进上次的完整列表：替换或追加变化的项，去掉 currentIds 中已不存在的项
+// currentIds 为 null 时（全量同步）不做删除
+const mergeContent = (previous = [], changed, currentIds) => {
+  const items = new Map(previous.map(item => [item.id, item]));
+  changed.forEach(item => items.set(item.id, item));
+  if (currentIds) {
+    const current = new Set(currentIds);
+    Array.from(items.keys()).forEach(id => {
+      if (!current.has(id)) items.delete(id);
+    });
+  }
+  return Array.from(items.values());
+};
+
+// 同步后的位置：取本次拿到的最晚 modified 时间（WordPress 站点时区），
+// 与 modified_after 的比较口径一致，避免服务器与构建机时区不同导致漏数据
+const latestModified = (items, previous = null) => items.reduce((latest, item) => {
+  const modified = item?.modified;
+  return modified && (!latest || modified > latest) ? modified : latest;
+}, previous);
+
+// 比对已有节点：不在 currentIds 中的已被删除，不在 changedIds 中的未变化
+const diffNodes = (nodes, currentIds, changedIds) => {
+  const current = new Set(currentIds);
+  const changed = new Set(changedIds);
+  const unchanged = [];
+  const deleted = [];
+  nodes.forEach(node => {
+    if (!current.has(node.wordpressId)) deleted.push(node);
+    else if (!changed.has(node.wordpressId)) unchanged.push(node);
+  });
+  return { unchanged, deleted };
+};
+
+// 在 currentIds 中、但既没有已有节点也不在本次变化列表中的 id
+// WordPress 定时发布（wp_publish_post）不更新 post_modified，这类文章 modified_after 查不到，需要单独获取
+const findUnsourcedIds = (currentIds, existingIds, changedIds) => {
+  const known = new Set([...existingIds, ...changedIds]);
+  return currentIds.filter(id => !known.has(id));
+};
+
+// 增量获取一种内容（posts / pages），返回 { items, ids, recovered }
+// fetchPages(url) 获取全部分页；url 为已带查询参数的接口地址（如 .../posts?_embed），idsUrl 获取完整 id 列表
+// existingIds 为缓存中已有节点的 id；items 包含修改过的项和按 id 补充获取的项，recovered 为补充获取的数量
+const fetchIncrementalContent = async (fetchPages, { url, idsUrl, since, existingIds = [] }) => {
+  const [changed, idItems] = await Promise.all([
+    fetchPages(`${url}&modified_after=${encodeURIComponent(since)}`),
+    fetchPages(idsUrl),
+  ]);
+  const ids = idItems.map(item => item.id);
+  const missing = findUnsourcedIds(ids, existingIds, changed.map(item => item.id));
+  const batches = [];
+  for (let i = 0; i < missing.length; i += INCLUDE_BATCH_SIZE) {
+    batches.push(missing.slice(i, i + INCLUDE_BATCH_SIZE));
+  }
+  const recovered = (await Promise.all(batches.map(batch => fetchPages(`${url}&include=${batch.join(',')}`)))).flat();
+  return { items: [...changed, ...recovered], ids, recovered: recovered.length };
+};
+
+module.exports = {
+  SYNC_CACHE_KEY,
+  LAST_KNOWN_GOOD_CACHE_KEY,
+  INCLUDE_BATCH_SIZE,
+  isIncrementalEnabled,
+  readSyncState,
+  writeSyncState,
+  readLastKnownGood,
+  writeLastKnownGood,
+  mergeContent,
+  latestModified,
+  diffNodes,
+  findUnsourcedIds,
+  fetchIncrementalContent,
+};
@@ -0,0 +1,125 @@
+// Markdown 本地文章（构建时在 gatsby-node.js 中使用）
+// 把 docs/*.md（gray-matter frontmatter + marked 正文）转换成与 WordPress REST API 相同结构的文章，
+// 这样可以和 WordPress 文章走同一套节点创建流程。
+// frontmatter：title、date、modified、tags、categories、cover、excerpt、author、draft、read（阅读分钟数）；slug 取文件名。
+// 没有 date 时使用文件的修改时间。
+
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { marked } = require('marked');
+const { slugify } = require('./slugify');
+const { htmlToText } = require('./htmlEntities');
+
+// Markdown 文章目录，默认是项目根目录的 docs/
+const getMarkdownDir = () => path.resolve(process.env.GATSBY_MARKDOWN_DIR || 'docs');
+
+// Markdown 文章的使用方式：off（默认，不使用）、replace（代替 WordPress 文章）、merge（与 WordPress 文章合并）
+const MARKDOWN_MODES = ['off', 'replace', 'merge'];
+const getMarkdownMode = () => {
+  const mode = process.env.GATSBY_MARKDOWN_POSTS || 'off';
+  return MARKDOWN_MODES.includes(mode) ? mode : 'off';
+};
+
+// 由字符串生成稳定的负数 id，避免与 WordPress 的文章和 term id 冲突
+const localId = (key) => {
+  let hash = 0;
+  for (const char of key) {
+    hash = (hash * 31 + char.codePointAt(0)) % 2147483647;
+  }
+  return -(hash || 1);
+};
+
+// tags / categories 支持 YAML 数组或逗号分隔的字符串，统一为名称数组
+const parseTermNames = (value) => {
+  const names = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return names.map(name => String(name).trim()).filter(Boolean);
+};
+
+const toTerm = (name, taxonomy) => {
+  const slug = slugify(name, 'term');
+  return { id: localId(`${taxonomy}:${slug}`), name, slug, taxonomy };
+};
+
+// gray-matter 会把 YAML 日期解析成 Date，统一成 WordPress 的本地时间格式（YYYY-MM-DDTHH:mm:ss）
+const toWordPressDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().slice(0, 19);
+};
+
+// 把一篇 Markdown 转换成 WordPress 结构的文章；mtime 为文件的修改时间，frontmatter 没有 date 时作为发布日期（两者都没有时为 null）
+const markdownToPost = (raw, fileName, { mtime = null } = {}) => {
+  const { data, content } = matter(raw);
+  const slug = path.basename(fileName, path.extname(fileName));
+  const title = data.title ? String(data.title) : slug;
+  // 正文开头与标题相同的一级标题会和页面标题重复，去掉
+  const body = content.replace(/^\s*#\s+(.+)\s*\n/, (heading, text) => (text.trim() === title ? '' : heading));
+  const html = marked(body);
+  const text = htmlToText(html);
+  const date = toWordPressDate(data.date) || toWordPressDate(mtime);
+  const author = data.author ? String(data.author) : null;
+
+  return {
+    id: localId(`post:${slug}`),
+    source: 'markdown',
+    date,
+    modified: toWordPressDate(data.modified) || date,
+    slug,
+    // draft: true 的文章只出现在预览构建中；没有日期的文章无法排序和归档，同样不发布
+    status: data.draft || !date ? 'draft' : 'publish',
+    type: 'post',
+    title: { rendered: title },
+    content: { rendered: html },
+    excerpt: { rendered: data.excerpt ? String(data.excerpt) : `${text.slice(0, 180)}${text.length > 180 ? '...' : ''}` },
+    jetpack_featured_media_url: data.cover || '',
+    // 与 WordPress 的 meta 字段相同的位置，阅读时长计算时优先使用
+    meta: data.read ? { reading_time: data.read } : {},
+    _embedded: {
+      author: author ? [{ id: localId(`author:${author}`), name: author, slug: slugify(author, 'author') }] : [],
+      'wp:term': [
+        parseTermNames(data.categories).map(name => toTerm(name, 'category')),
+        parseTermNames(data.tags).map(name => toTerm(name, 'post_tag')),
+      ],
+    },
+  };
+};
+
+// 读取目录下的全部 Markdown 文章，按日期降序
+const loadMarkdownPosts = (dir = getMarkdownDir()) => {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.md'))
+    .map(file => {
+      const filePath = path.join(dir, file);
+      return markdownToPost(fs.readFileSync(filePath, 'utf-8'), file, { mtime: fs.statSync(filePath).mtime });
+    })
+    .sort((a, b) => b.date.localeCompare(a.date));
+};
+
+// 与 WordPress 合并时，名称相同（slug 相同）的标签和分类使用 WordPress 中的 term，
+// 这样同一个标签只有一个节点和一个归档页
+const resolveMarkdownTerms = (posts, knownTerms = []) => {
+  const known = new Map(knownTerms.map(term => [`${term.taxonomy}:${term.slug}`, term]));
+  return posts.map(post => ({
+    ...post,
+    _embedded: {
+      ...post._embedded,
+      'wp:term': post._embedded['wp:term'].map(group => group.map(term => {
+        const match = known.get(`${term.taxonomy}:${term.slug}`);
+        return match ? { ...term, id: match.id, name: match.name } : term;
+      })),
+    },
+  }));
+};
+
+module.exports = {
+  MARKDOWN_MODES,
+  getMarkdownDir,
+  getMarkdownMode,
+  localId,
+  parseTermNames,
+  markdownToPost,
+  loadMarkdownPosts,
+  resolveMarkdownTerms,
+};
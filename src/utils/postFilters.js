@@ -0,0 +1,88 @@
+// 文章列表的标签与分类筛选（/posts 页面使用）
+// 标签可以按“任一”（any，默认）或“全部”（all）匹配；分类之间始终按任一匹配；两者同时使用时取交集。
+// 计数随当前筛选条件变化，表示再选择这个标签 / 分类后能看到多少篇文章。
+
+const { CONFIG_SLUGS } = require('./configSlugs');
+
+const TAG_MATCH_MODES = ['any', 'all'];
+// 站点配置分类（hero、about、posts …）不作为文章分类显示
+const CONFIG_CATEGORY_SLUGS = CONFIG_SLUGS;
+
+const hasTerm = (terms, slug) => (terms || []).some(term => term.slug === slug);
+
+// 是否符合选中的标签；没有选择标签时全部符合
+const matchesTags = (post, tags = [], match = 'any') => {
+  if (tags.length === 0) return true;
+  return match === 'all'
+    ? tags.every(slug => hasTerm(post.tags, slug))
+    : tags.some(slug => hasTerm(post.tags, slug));
+};
+
+// 是否属于任一选中的分类；没有选择分类时全部符合
+const matchesCategories = (post, categories = []) => (
+  categories.length === 0 || categories.some(slug => hasTerm(post.categories, slug))
+);
+
+// filters: { tags, match, categories }
+const matchesFilters = (post, { tags = [], match = 'any', categories = [] } = {}) => (
+  matchesCategories(post, categories) && matchesTags(post, tags, match)
+);
+
+// 收集文章中出现的标签或分类，返回 [{ name, slug, count }]，按名称排序；exclude 为需要跳过的 slug
+const collectFilterTerms = (posts, field, { exclude = [] } = {}) => {
+  const terms = new Map();
+  (posts || []).forEach(post => {
+    (post[field] || []).forEach(({ name, slug }) => {
+      if (exclude.includes(slug)) return;
+      if (!terms.has(slug)) terms.set(slug, { name, slug, count: 0 });
+      terms.get(slug).count += 1;
+    });
+  });
+  return Array.from(terms.values()).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// 统计文章中每个 term 出现的次数，返回 Map(slug → count)
+const countTerms = (posts, field) => {
+  const counts = new Map();
+  posts.forEach(post => (post[field] || []).forEach(({ slug }) => counts.set(slug, (counts.get(slug) || 0) + 1)));
+  return counts;
+};
+
+// 当前筛选条件下每个标签的文章数
+// any：其他选中的标签不影响计数；all：只统计同时带有全部选中标签的文章
+const getTagCounts = (posts, { tags = [], match = 'any', categories = [] } = {}) => countTerms(
+  posts.filter(post => matchesCategories(post, categories) && (match !== 'all' || matchesTags(post, tags, 'all'))),
+  'tags'
+);
+
+// 当前标签筛选下每个分类的文章数
+const getCategoryCounts = (posts, { tags = [], match = 'any' } = {}) => countTerms(
+  posts.filter(post => matchesTags(post, tags, match)),
+  'categories'
+);
+
+// 标签云的字号等级 1 - levels：按文章数的对数分布，避免少数热门标签把其他标签压得太小
+const getCloudLevels = (terms, levels = 5) => {
+  const result = new Map();
+  if (terms.length === 0) return result;
+  const logs = terms.map(term => Math.log(Math.max(1, term.count)));
+  const min = Math.min(...logs);
+  const range = Math.max(...logs) - min;
+  terms.forEach((term, index) => {
+    const ratio = range > 0 ? (logs[index] - min) / range : 0;
+    result.set(term.slug, 1 + Math.round(ratio * (levels - 1)));
+  });
+  return result;
+};
+
+module.exports = {
+  TAG_MATCH_MODES,
+  CONFIG_CATEGORY_SLUGS,
+  matchesTags,
+  matchesCategories,
+  matchesFilters,
+  collectFilterTerms,
+  getTagCounts,
+  getCategoryCounts,
+  getCloudLevels,
+};
@@ -0,0 +1,119 @@
+// 文章列表的排序方式（/posts 页面使用，保存在地址的 sort 参数中）
+// 构建时生成的分页按发布时间倒序；选择其他排序时在浏览器端对全部文章排序。
+// 列表的分组标题随排序方式变化：按日期排序时按天分组，按标题排序时按首字母分组，依此类推。
+
+const DEFAULT_POST_SORT = 'newest';
+
+const compareStrings = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+const byDateDesc = (a, b) => compareStrings(String(b.date || ''), String(a.date || ''));
+const dayOf = (date) => String(date || '').split('T')[0];
+
+// 阅读时长分组：readingMinutes 小于 max 的归入该组
+const READING_TIME_GROUPS = [
+  { max: 5, label: 'Under 5 min' },
+  { max: 10, label: '5–10 min' },
+  { max: 20, label: '10–20 min' },
+  { max: Infinity, label: '20+ min' },
+];
+
+const readingTimeGroup = (post) => READING_TIME_GROUPS.find(group => (post.readingMinutes || 0) < group.max).label;
+
+// 标题首字母，非字母开头的归入 #
+const titleInitial = (post) => {
+  const initial = String(post.title || '').trim().charAt(0).toLocaleUpperCase();
+  return /\p{L}/u.test(initial) ? initial : '#';
+};
+
+// compare 为排序比较函数（相同时按发布时间倒序）；group 返回分组依据，
+// type 为 date / modified 时分组值为 YYYY-MM-DD，由页面格式化日期，其他类型的分组值直接作为标题
+// available(posts) 返回 false 时不显示该选项（例如数据中还没有评论数）
+const POST_SORTS = {
+  newest: {
+    label: 'Newest',
+    type: 'date',
+    compare: byDateDesc,
+    group: post => dayOf(post.date),
+  },
+  oldest: {
+    label: 'Oldest',
+    type: 'date',
+    compare: (a, b) => byDateDesc(b, a),
+    group: post => dayOf(post.date),
+  },
+  modified: {
+    label: 'Last modified',
+    type: 'modified',
+    compare: (a, b) => compareStrings(String(b.modified || b.date || ''), String(a.modified || a.date || '')),
+    group: post => dayOf(post.modified || post.date),
+  },
+  title: {
+    label: 'Title A–Z',
+    type: 'letter',
+    compare: (a, b) => String(a.title || '').localeCompare(String(b.title || ''), undefined, { sensitivity: 'base' }),
+    group: titleInitial,
+  },
+  reading: {
+    label: 'Reading time',
+    type: 'reading',
+    compare: (a, b) => (a.readingMinutes || 0) - (b.readingMinutes || 0),
+    group: readingTimeGroup,
+  },
+  // 需要文章数据中有 commentCount 字段（WordPressPost 类型与 PostsIndex 查询中添加后自动出现）
+  comments: {
+    label: 'Most comments',
+    type: 'comments',
+    compare: (a, b) => (b.commentCount || 0) - (a.commentCount || 0),
+    group: post => `${post.commentCount || 0} ${post.commentCount === 1 ? 'comment' : 'comments'}`,
+    available: posts => posts.some(post => typeof post.commentCount === 'number'),
+  },
+};
+
+// 地址中的排序参数转换为有效的排序方式，没有选择或未知的值返回 null
+const resolvePostSort = (sort) => (Object.prototype.hasOwnProperty.call(POST_SORTS, sort) ? sort : null);
+// 排序方式的配置，null 时使用默认排序
+const sortConfig = (sort) => POST_SORTS[resolvePostSort(sort) || DEFAULT_POST_SORT];
+
+// 可选的排序方式 [{ value, label }]
+const getPostSortOptions = (posts = []) => Object.entries(POST_SORTS)
+  .filter(([, { available }]) => !available || available(posts))
+  .map(([value, { label }]) => ({ value, label }));
+
+// 比较两篇文章，相同时按发布时间倒序
+const comparePosts = (sort) => {
+  const { compare } = sortConfig(sort);
+  return (a, b) => compare(a, b) || byDateDesc(a, b);
+};
+
+// 返回排序后的新数组
+const sortPosts = (posts, sort) => [...(posts || [])].sort(comparePosts(sort));
+
+// 按排序方式对已排序的文章分组，返回 [{ key, type, value, posts }]，分组顺序与文章顺序一致
+const groupSortedPosts = (posts, sort) => {
+  const { type, group } = sortConfig(sort);
+  const groups = [];
+  (posts || []).forEach(post => {
+    const value = group(post);
+    const last = groups[groups.length - 1];
+    if (last && last.value === value) {
+      last.posts.push(post);
+    } else {
+      groups.push({ key: `${type}:${value}`, type, value, posts: [post] });
+    }
+  });
+  return groups;
+};
+
+// 是否按发布时间排序（可以使用按年、月分组的列表）
+const isDateSort = (sort) => sortConfig(sort).type === 'date';
+
+module.exports = {
+  DEFAULT_POST_SORT,
+  POST_SORTS,
+  READING_TIME_GROUPS,
+  resolvePostSort,
+  getPostSortOptions,
+  comparePosts,
+  sortPosts,
+  groupSortedPosts,
+  isDateSort,
+};
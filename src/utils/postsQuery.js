@@ -0,0 +1,44 @@
+// 文章列表的筛选状态与地址栏查询参数互相转换
+// 例如 /posts?q=hooks&tag=react&tag=css&match=all&category=frontend&sort=oldest&page=2
+//   q         搜索词
+//   tag       选中的标签 slug，可以有多个
+//   match     标签匹配方式：all 为同时带有全部标签，默认 any（任一标签）
+//   category  选中的分类 slug，可以有多个
+//   sort      排序方式（见 postSort.js，空为默认排序）
+//   page      页码，第一页不写入地址
+
+const DEFAULT_POSTS_QUERY = Object.freeze({ q: '', tags: [], match: 'any', categories: [], sort: null, page: 1 });
+
+// 解析查询字符串（带不带 ? 均可），无效的值使用默认值
+const parsePostsQuery = (search) => {
+  const params = new URLSearchParams(search || '');
+  const page = parseInt(params.get('page'), 10);
+  return {
+    q: params.get('q') || '',
+    tags: Array.from(new Set(params.getAll('tag').filter(Boolean))),
+    match: params.get('match') === 'all' ? 'all' : 'any',
+    categories: Array.from(new Set(params.getAll('category').filter(Boolean))),
+    sort: params.get('sort') || null,
+    page: Number.isInteger(page) && page > 1 ? page : 1,
+  };
+};
+
+// 生成查询字符串（以 ? 开头，没有参数时为空字符串）；默认值不写入地址
+// 搜索词保持原样（不去掉首尾空格），输入过程中写入地址后再读回不会改变输入框的内容
+const buildPostsQuery = ({ q = '', tags = [], match = 'any', categories = [], sort = null, page = 1 } = {}) => {
+  const params = new URLSearchParams();
+  if (q.trim()) params.set('q', q);
+  tags.forEach(tag => params.append('tag', tag));
+  if (match === 'all') params.set('match', 'all');
+  categories.forEach(category => params.append('category', category));
+  if (sort) params.set('sort', sort);
+  if (page > 1) params.set('page', String(page));
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};
+
+module.exports = {
+  DEFAULT_POSTS_QUERY,
+  parsePostsQuery,
+  buildPostsQuery,
+};
@@ -0,0 +1,54 @@
+// 阅读时长估算（构建时与浏览器端共用）
+// 去掉代码块和图片（<pre>、<figure>）后转成纯文本：拉丁文字按单词计数，中日韩文字按字符计数。
+// 文章可以通过 Markdown frontmatter 的 read 或 WordPress 的 reading_time 字段（meta / ACF）直接指定分钟数。
+
+const { htmlToText } = require('./htmlEntities');
+
+// 每分钟阅读的英文单词数与中日韩字符数
+const WORDS_PER_MINUTE = 200;
+const CJK_CHARS_PER_MINUTE = 300;
+
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+// 不计入阅读时长的内容：代码块、图片及其说明
+const EXCLUDED_BLOCKS = /<(pre|figure)\b[^>]*>[\s\S]*?<\/\1>/gi;
+
+// 统计正文的单词数与中日韩字符数
+const countWords = (html) => {
+  const text = htmlToText(String(html || '').replace(EXCLUDED_BLOCKS, ' '));
+  const cjk = (text.match(CJK_PATTERN) || []).length;
+  const words = (text.replace(CJK_PATTERN, ' ').match(WORD_PATTERN) || []).length;
+  return { words, cjk };
+};
+
+// 解析手动指定的分钟数（5、"5"、"5 min"），无效时返回 null
+const parseMinutes = (value) => {
+  const minutes = parseFloat(value);
+  return Number.isFinite(minutes) && minutes > 0 ? Math.ceil(minutes) : null;
+};
+
+// 文章中手动指定的阅读时长：WordPress 注册的 meta 字段或 ACF 字段 reading_time
+// （Markdown 文章的 frontmatter read 也转换成 meta.reading_time）
+const getReadingTimeOverride = (post) => (
+  parseMinutes(post?.meta?.reading_time) ?? parseMinutes(post?.acf?.reading_time)
+);
+
+// 计算阅读分钟数，至少 1 分钟；override 有效时直接使用
+const getReadingMinutes = (html, { override = null } = {}) => {
+  const manual = parseMinutes(override);
+  if (manual) return manual;
+  const { words, cjk } = countWords(html);
+  return Math.max(1, Math.ceil(words / WORDS_PER_MINUTE + cjk / CJK_CHARS_PER_MINUTE));
+};
+
+// 页面上显示的文字，例如 "5 min read"
+const formatReadingTime = (minutes) => `${minutes} min read`;
+
+module.exports = {
+  WORDS_PER_MINUTE,
+  CJK_CHARS_PER_MINUTE,
+  countWords,
+  getReadingTimeOverride,
+  getReadingMinutes,
+  formatReadingTime,
+};
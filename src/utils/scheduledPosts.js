@@ -0,0 +1,45 @@
+// 定时发布的文章（构建时在 gatsby-node.js 与 scripts/next-scheduled-post.js 中使用）
+// WordPress 中设置了未来发布时间的文章状态为 future。构建时发布时间已过的视为已发布，
+// 还没到时间的只创建节点、不生成页面，等下一次构建。
+
+const SCHEDULED_STATUS = 'future';
+
+// 文章的发布时间（毫秒时间戳）。优先使用 date_gmt（WordPress 返回的 UTC 时间不带时区后缀），
+// 没有时按本地时间解析 date；无法解析时返回 null
+const getPublishTime = (post) => {
+  const value = post.date_gmt ? `${post.date_gmt.replace(/Z$/, '')}Z` : post.date;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+// 是否为还没到发布时间的定时文章；没有有效发布时间的定时文章按已到时间处理
+const isScheduled = (post, now = Date.now()) => (
+  post.status === SCHEDULED_STATUS && (getPublishTime(post) ?? now) > now
+);
+
+// 构建时的实际状态：发布时间已过的定时文章视为 publish（WordPress 的定时任务可能还没执行）
+const resolvePostStatus = (post, now = Date.now()) => {
+  const status = post.status || 'publish';
+  return status === SCHEDULED_STATUS && !isScheduled(post, now) ? 'publish' : status;
+};
+
+// 是否有定时文章在上次同步后已到发布时间，需要重新创建节点
+const hasDueScheduledPosts = (posts = [], now = Date.now()) => (
+  posts.some(post => post.status === SCHEDULED_STATUS && !isScheduled(post, now))
+);
+
+// 下一篇要发布的定时文章（发布时间最早且晚于 now），没有时返回 null
+const getNextScheduledPost = (posts = [], now = Date.now()) => (
+  posts
+    .filter(post => isScheduled(post, now))
+    .sort((a, b) => getPublishTime(a) - getPublishTime(b))[0] || null
+);
+
+module.exports = {
+  SCHEDULED_STATUS,
+  getPublishTime,
+  isScheduled,
+  resolvePostStatus,
+  hasDueScheduledPosts,
+  getNextScheduledPost,
+};
@@ -0,0 +1,291 @@
+// 站内全文搜索（构建时生成索引，浏览器端离线查询）
+// - 构建时 buildSearchIndex 把已发布的文章整理成精简的 JSON（标题、摘要、小标题、正文纯文本、标签），
+//   onPostBuild 写入 public/search-index.json；/posts 页面筛选时也从这里取文章的摘要和封面图
+// - 浏览器端 createSearcher 建立倒排索引，searchPosts 支持前缀匹配、拼写容错、相关度排序和高亮摘要
+// - 拉丁文字按单词切分（忽略大小写和重音符号）；中日韩文字按相邻两个字切分（bigram），单字查询按前缀匹配
+
+const { htmlToText } = require('./htmlEntities');
+
+// 索引格式版本，格式变化时递增
+const SEARCH_INDEX_VERSION = 1;
+// 写入 public/ 的文件名，浏览器端从站点根路径加载
+const SEARCH_INDEX_FILE = 'search-index.json';
+// 每篇文章正文最多保留的字符数，控制索引大小
+const MAX_BODY_LENGTH = 20000;
+
+// 各字段的权重：标题命中最重要，正文最低
+const FIELD_WEIGHTS = { title: 10, tags: 6, headings: 4, excerpt: 2, body: 1 };
+// 不同匹配方式的得分系数：完全匹配 > 前缀匹配 > 拼写容错（按编辑距离）
+const PREFIX_QUALITY = 0.7;
+const FUZZY_QUALITY = [1, 0.5, 0.3];
+// 拉丁文字前缀匹配的最短长度，太短的前缀会匹配大量无关单词
+const MIN_PREFIX_LENGTH = 2;
+
+const CJK = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}';
+const CJK_CHAR = new RegExp(`[${CJK}]`, 'u');
+const TOKEN_PATTERN = new RegExp(`[${CJK}]+|(?:(?![${CJK}])[\\p{L}\\p{N}])+`, 'gu');
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+const isCjk = (token) => CJK_CHAR.test(token);
+
+// 拉丁文字统一为小写并去掉重音符号（café → cafe）
+const normalizeWord = (word) => word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+// 切分为搜索词：拉丁单词，以及中日韩文字的 bigram（只有一个字时保留单字）
+const tokenize = (text) => {
+  const tokens = [];
+  for (const [match] of String(text || '').matchAll(TOKEN_PATTERN)) {
+    if (!isCjk(match)) {
+      tokens.push(normalizeWord(match));
+      continue;
+    }
+    const chars = Array.from(match);
+    if (chars.length === 1) tokens.push(chars[0]);
+    for (let i = 0; i < chars.length - 1; i++) tokens.push(chars[i] + chars[i + 1]);
+  }
+  return tokens;
+};
+
+// HTML 转纯文本；标签替换为空格，避免相邻段落的文字粘在一起
+const toText = (html) => htmlToText(String(html || '').replace(/<[^>]+>/g, ' '));
+
+// 正文中的小标题（h1 - h6）
+const extractHeadings = (html) => Array.from(String(html || '').matchAll(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi))
+  .map(match => toText(match[2]))
+  .filter(Boolean);
+
+// 生成搜索索引；posts 为已发布的文章节点（title、slug、date、excerpt、content、tags、featuredImage）
+const buildSearchIndex = (posts, { maxBodyLength = MAX_BODY_LENGTH } = {}) => ({
+  version: SEARCH_INDEX_VERSION,
+  posts: (posts || []).map(post => {
+    const body = toText(post.content);
+    return {
+      slug: post.slug,
+      title: post.title || '',
+      date: post.date || null,
+      excerpt: toText(post.excerpt),
+      featuredImage: post.featuredImage || '',
+      tags: (post.tags || []).map(({ name, slug }) => ({ name, slug })),
+      headings: extractHeadings(post.content),
+      body: body.length > maxBodyLength ? body.slice(0, maxBodyLength) : body,
+    };
+  }),
+});
+
+// 统计一段文字中每个词出现的次数
+const countTerms = (text) => {
+  const counts = new Map();
+  tokenize(text).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+  return counts;
+};
+
+// 由索引建立倒排表：每个词对应包含它的文章
+const createSearcher = (index) => {
+  const docs = (index?.posts || []).map(post => ({
+    post,
+    fields: {
+      title: countTerms(post.title),
+      tags: countTerms((post.tags || []).map(tag => tag.name).join(' ')),
+      headings: countTerms((post.headings || []).join(' ')),
+      excerpt: countTerms(post.excerpt),
+      body: countTerms(post.body),
+    },
+  }));
+  const vocabulary = new Map();
+  docs.forEach((doc, docIndex) => {
+    Object.values(doc.fields).forEach(counts => counts.forEach((_, term) => {
+      if (!vocabulary.has(term)) vocabulary.set(term, new Set());
+      vocabulary.get(term).add(docIndex);
+    }));
+  });
+  return { docs, vocabulary };
+};
+
+// 编辑距离（含相邻字母交换），超过 max 时提前返回 max + 1
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, before[j - 2] + 1);
+      }
+      row[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    before = previous;
+    previous = row;
+  }
+  return previous[b.length];
+};
+
+// 允许的拼写错误数：短词不容错，越长的词容错越多
+const maxEditsFor = (term) => {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+};
+
+// 查询词可以匹配的索引词及匹配系数
+const expandTerm = (vocabulary, queryTerm) => {
+  const matches = new Map();
+  const cjk = isCjk(queryTerm);
+  const maxEdits = cjk ? 0 : maxEditsFor(queryTerm);
+  vocabulary.forEach((_, term) => {
+    if (term === queryTerm) {
+      matches.set(term, 1);
+    } else if (term.startsWith(queryTerm) && (cjk || queryTerm.length >= MIN_PREFIX_LENGTH)) {
+      matches.set(term, PREFIX_QUALITY);
+    } else if (maxEdits > 0 && !isCjk(term)) {
+      const distance = editDistance(queryTerm, term, maxEdits);
+      if (distance <= maxEdits) matches.set(term, FUZZY_QUALITY[distance]);
+    }
+  });
+  return matches;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 按 normalizeWord 的规则规范化整段文字（去掉重音、小写），同时记录位置对应关系：
+// offsets[i] 为规范化后第 i 个字符在原文中的位置，最后一项为原文长度
+const normalizeWithOffsets = (text) => {
+  let normalized = '';
+  const offsets = [];
+  let index = 0;
+  for (const char of text) {
+    const folded = normalizeWord(char);
+    for (let i = 0; i < folded.length; i++) offsets.push(index);
+    normalized += folded;
+    index += char.length;
+  }
+  offsets.push(text.length);
+  return { normalized, offsets };
+};
+
+// 找出文字中命中的位置 [{ start, end }]（原文中的位置）；拉丁词只匹配单词开头
+// 搜索词已去掉重音并转为小写，在规范化后的文字中查找，"cafe" 也能高亮 "Café"
+const findMatches = (text, terms) => {
+  const source = String(text || '');
+  const words = [...new Set(terms.map(normalizeWord).filter(Boolean))];
+  if (!source || words.length === 0) return [];
+  const { normalized, offsets } = normalizeWithOffsets(source);
+  const pattern = new RegExp(
+    words.sort((a, b) => b.length - a.length).map(escapeRegExp).join('|'),
+    'gu'
+  );
+  const ranges = [];
+  for (const match of normalized.matchAll(pattern)) {
+    const previous = normalized[match.index - 1];
+    if (!isCjk(match[0]) && previous && WORD_CHAR.test(previous)) continue;
+    ranges.push({ start: offsets[match.index], end: offsets[match.index + match[0].length] });
+  }
+  return ranges;
+};
+
+// 按命中位置切成片段 [{ text, match }]，供界面高亮显示
+const toSegments = (text, ranges) => {
+  const segments = [];
+  let position = 0;
+  ranges.forEach(({ start, end }) => {
+    if (start < position) return;
+    if (start > position) segments.push({ text: text.slice(position, start), match: false });
+    segments.push({ text: text.slice(start, end), match: true });
+    position = end;
+  });
+  if (position < text.length) segments.push({ text: text.slice(position), match: false });
+  return segments;
+};
+
+// 高亮整段文字（用于标题）
+const highlight = (text, terms) => toSegments(String(text || ''), findMatches(text, terms));
+
+// 截取第一个命中位置附近的文字作为摘要并高亮；没有命中时返回开头部分
+const makeSnippet = (text, terms, { length = 160 } = {}) => {
+  const source = String(text || '');
+  const ranges = findMatches(source, terms);
+  const first = ranges[0];
+  let start = first ? Math.max(0, first.start - Math.floor(length / 3)) : 0;
+  if (start > 0) {
+    // 从单词边界开始（中日韩文字没有空格时保持原位置）
+    const space = source.indexOf(' ', start);
+    if (space !== -1 && space < first.start) start = space + 1;
+  }
+  let end = Math.min(source.length, start + length);
+  if (end < source.length) {
+    const space = source.lastIndexOf(' ', end);
+    if (space > (first ? first.end : start)) end = space;
+  }
+  const visible = ranges
+    .filter(range => range.start >= start && range.end <= end)
+    .map(range => ({ start: range.start - start, end: range.end - start }));
+  const segments = toSegments(source.slice(start, end), visible);
+  if (start > 0) segments.unshift({ text: '…', match: false });
+  if (end < source.length) segments.push({ text: '…', match: false });
+  return segments;
+};
+
+// 搜索文章：每个查询词都必须命中（可以是前缀或拼写相近的词），按相关度排序，相同得分时新文章在前
+// 返回 [{ post, score, terms, title, snippet }]，title 与 snippet 为高亮片段
+const searchPosts = (searcher, query, { limit = Infinity } = {}) => {
+  const queryTerms = Array.from(new Set(tokenize(query)));
+  if (!searcher || queryTerms.length === 0) return [];
+  const { docs, vocabulary } = searcher;
+
+  const scores = new Map();
+  const matchedQueries = new Map();
+  const matchedTerms = new Map();
+  queryTerms.forEach(queryTerm => {
+    const best = new Map();
+    expandTerm(vocabulary, queryTerm).forEach((quality, term) => {
+      const docIndexes = vocabulary.get(term);
+      const idf = Math.log(1 + docs.length / docIndexes.size);
+      docIndexes.forEach(docIndex => {
+        const { fields } = docs[docIndex];
+        let fieldScore = 0;
+        Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+          const count = fields[field].get(term);
+          if (count) fieldScore += weight * (1 + Math.log(count));
+        });
+        best.set(docIndex, Math.max(best.get(docIndex) || 0, quality * idf * fieldScore));
+        if (!matchedTerms.has(docIndex)) matchedTerms.set(docIndex, new Set());
+        matchedTerms.get(docIndex).add(term);
+      });
+    });
+    best.forEach((score, docIndex) => {
+      scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+      matchedQueries.set(docIndex, (matchedQueries.get(docIndex) || 0) + 1);
+    });
+  });
+
+  return Array.from(scores.entries())
+    .filter(([docIndex]) => matchedQueries.get(docIndex) === queryTerms.length)
+    .map(([docIndex, score]) => {
+      const { post } = docs[docIndex];
+      const terms = Array.from(matchedTerms.get(docIndex));
+      // 摘要优先取正文中的命中位置，正文没有命中时使用文章摘要
+      const source = findMatches(post.body, terms).length > 0 ? post.body : (post.excerpt || post.body);
+      return { post, score, terms, title: highlight(post.title, terms), snippet: makeSnippet(source, terms) };
+    })
+    .sort((a, b) => b.score - a.score || String(b.post.date).localeCompare(String(a.post.date)))
+    .slice(0, limit);
+};
+
+module.exports = {
+  SEARCH_INDEX_VERSION,
+  SEARCH_INDEX_FILE,
+  MAX_BODY_LENGTH,
+  FIELD_WEIGHTS,
+  tokenize,
+  extractHeadings,
+  buildSearchIndex,
+  createSearcher,
+  editDistance,
+  searchPosts,
+  highlight,
+  makeSnippet,
+};
@@ -0,0 +1,9 @@
+// 生成 URL 友好的 slug（构建时与浏览器端共用）
+// 保留中文等非拉丁字母，其余字符折叠为 "-"
+const slugify = (text, fallback = 'item') => String(text || '')
+  .toLowerCase()
+  .trim()
+  .replace(/[^\p{L}\p{N}]+/gu, '-')
+  .replace(/^-+|-+$/g, '') || fallback;
+
+module.exports = { slugify };
@@ -0,0 +1,39 @@
+// WordPress 身份验证与预览模式（构建时在 gatsby-node.js 中使用）
+// 预览构建（GATSBY_WORDPRESS_PREVIEW=true）用应用程序密码或 JWT 访问 WordPress，
+// 额外获取草稿、待审和私密文章；生产构建只保留已发布的文章。
+// 凭据环境变量不带 GATSBY_ 前缀，避免被打包进浏览器端代码。
+
+const { SCHEDULED_STATUS } = require('./scheduledPosts');
+
+// 预览构建额外获取的文章状态
+const PREVIEW_STATUSES = ['draft', 'pending', 'private'];
+
+const isPreviewMode = () => process.env.GATSBY_WORDPRESS_PREVIEW === 'true';
+
+// 请求头中的认证信息：优先 JWT（WORDPRESS_JWT），其次应用程序密码（WORDPRESS_USERNAME + WORDPRESS_APP_PASSWORD）
+// 没有配置凭据时返回 null
+const getAuthHeaders = (env = process.env) => {
+  if (env.WORDPRESS_JWT) {
+    return { Authorization: `Bearer ${env.WORDPRESS_JWT}` };
+  }
+  if (env.WORDPRESS_USERNAME && env.WORDPRESS_APP_PASSWORD) {
+    // WordPress 后台显示的应用程序密码带空格，去掉后再编码
+    const credentials = `${env.WORDPRESS_USERNAME}:${env.WORDPRESS_APP_PASSWORD.replace(/\s+/g, '')}`;
+    return { Authorization: `Basic ${Buffer.from(credentials).toString('base64')}` };
+  }
+  return null;
+};
+
+// 文章列表请求的 status 参数：配置了凭据时包含定时文章，预览构建再加上草稿等状态
+// （未认证的请求只能获取已发布的文章）
+const getPostStatuses = ({ preview = isPreviewMode(), authenticated = Boolean(getAuthHeaders()) } = {}) => {
+  if (!authenticated) return ['publish'];
+  return preview ? ['publish', SCHEDULED_STATUS, ...PREVIEW_STATUSES] : ['publish', SCHEDULED_STATUS];
+};
+
+module.exports = {
+  PREVIEW_STATUSES,
+  isPreviewMode,
+  getAuthHeaders,
+  getPostStatuses,
+};
@@ -0,0 +1,45 @@
+// WordPress 作者数据整理（构建时在 gatsby-node.js 中使用）
+// _embed 返回的 _embedded.author 可能是完整的用户对象，
+// 也可能是 WordPress.com 隐藏用户时的 401 错误对象，此时退回默认作者。
+
+const { defaultAuthor, defaultAuthorAvatar } = require('../data/fallbackData');
+const { slugify } = require('./slugify');
+
+// 把 avatar_urls（{ "24": url, "48": url, "96": url }）转成按尺寸排序的数组
+const toAvatarList = (avatarUrls) => Object.entries(avatarUrls || {})
+  .map(([size, url]) => ({ size: Number(size), url }))
+  .filter(avatar => !Number.isNaN(avatar.size) && avatar.url)
+  .sort((a, b) => a.size - b.size);
+
+// 从文章中提取作者信息
+const normalizeAuthor = (post) => {
+  const embedded = post?._embedded?.author?.[0];
+  if (embedded && embedded.name) {
+    const avatars = toAvatarList(embedded.avatar_urls);
+    return {
+      wordpressId: embedded.id ?? (typeof post.author === 'number' ? post.author : 0),
+      name: embedded.name,
+      slug: embedded.slug || slugify(embedded.name, 'author'),
+      description: embedded.description || '',
+      url: embedded.url || '',
+      link: embedded.link || '',
+      avatar: embedded.avatar_urls?.['96'] || avatars[avatars.length - 1]?.url || defaultAuthorAvatar,
+      avatars,
+    };
+  }
+  return {
+    wordpressId: typeof post?.author === 'number' ? post.author : 0,
+    name: defaultAuthor,
+    slug: slugify(defaultAuthor, 'author'),
+    description: '',
+    url: '',
+    link: '',
+    avatar: defaultAuthorAvatar,
+    avatars: [],
+  };
+};
+
+module.exports = {
+  toAvatarList,
+  normalizeAuthor,
+};
@@ -0,0 +1,196 @@
+// WordPress REST API 抓取工具（构建时在 gatsby-node.js 中使用）
+// 负责分页：按 X-WP-TotalPages 响应头拉取所有页，并限制并发数；
+// 每个请求带超时，遇到 429 / 5xx 与网络错误时按指数退避重试（优先使用 Retry-After）
+
+// WordPress REST API 单页最大条数
+const MAX_PER_PAGE = 100;
+// 默认同时请求的分页数
+const DEFAULT_CONCURRENCY = Number(process.env.GATSBY_WORDPRESS_CONCURRENCY) || 4;
+// 单个请求的超时时间（毫秒）
+const DEFAULT_TIMEOUT = Number(process.env.GATSBY_WORDPRESS_TIMEOUT) || 15000;
+// 失败后的最大重试次数（设为 0 不重试）
+const DEFAULT_RETRIES = Number.isNaN(parseInt(process.env.GATSBY_WORDPRESS_RETRIES, 10))
+  ? 3
+  : parseInt(process.env.GATSBY_WORDPRESS_RETRIES, 10);
+// 指数退避的初始等待时间与单次等待上限（毫秒）
+const DEFAULT_RETRY_DELAY = 500;
+const MAX_RETRY_DELAY = 60000;
+
+// 在 URL 上设置查询参数（保留已有参数，例如 _embed）
+const withQuery = (url, params) => {
+  const [base, query = ''] = url.split('?');
+  const search = new URLSearchParams(query);
+  Object.entries(params).forEach(([key, value]) => {
+    search.set(key, String(value));
+  });
+  return `${base}?${search.toString()}`;
+};
+
+// 以有限并发对数组逐项执行异步任务，结果保持原顺序
+const mapWithConcurrency = async (items, limit, task) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+};
+
+// 从响应中读取总页数
+// 自建站点与 WordPress.com (public-api) 的 wp/v2 接口都返回 X-WP-TotalPages，
+// 部分代理只保留 X-WP-Total，此时按 per_page 换算；
+// WordPress.com v1.1 接口没有分页头，改用响应体里的 found 总数；都没有时返回 null
+const getTotalPages = (response, perPage, found) => {
+  const headers = response.headers;
+  if (headers && typeof headers.get === 'function') {
+    const totalPages = parseInt(headers.get('x-wp-totalpages'), 10);
+    if (!Number.isNaN(totalPages)) return totalPages;
+    const total = parseInt(headers.get('x-wp-total'), 10);
+    if (!Number.isNaN(total)) return Math.ceil(total / perPage);
+  }
+  if (typeof found === 'number') return Math.ceil(found / perPage);
+  return null;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 限流（429）、超时（408）和服务端错误（5xx）可以重试，其余 4xx 直接失败
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+// 解析 Retry-After 响应头（秒数或 HTTP 日期），返回需要等待的毫秒数，无法解析时返回 null
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// 第 attempt 次重试前的等待时间：有 Retry-After 时按它等待，否则指数退避
+const getRetryDelay = (attempt, retryAfter = null, baseDelay = DEFAULT_RETRY_DELAY) => (
+  Math.min(MAX_RETRY_DELAY, retryAfter ?? baseDelay * 2 ** attempt)
+);
+
+// 在 signal 中止时拒绝，用于给不支持 signal 的操作（如读取响应体）加上超时
+const abortable = (promise, signal) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new Error('aborted')), { once: true });
+  promise.then(resolve, reject);
+});
+
+// 带超时与重试的请求；read(response) 在成功响应时读取响应体，与请求共用同一个超时，
+// 读取超时或连接中断时同样重试。JSON 解析错误不会因重试而改变，直接抛出
+const requestWithRetry = async (url, {
+  timeout = DEFAULT_TIMEOUT,
+  retries = DEFAULT_RETRIES,
+  retryDelay = DEFAULT_RETRY_DELAY,
+  ...init
+} = {}, read = null) => {
+  for (let attempt = 0; ; attempt += 1) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    let response;
+    let body;
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal });
+      if (read && response.ok) body = await abortable(read(response), controller.signal);
+    } catch (cause) {
+      if (cause instanceof SyntaxError) throw cause;
+      if (attempt >= retries) {
+        const error = new Error(controller.signal.aborted
+          ? `Timed out after ${timeout}ms when fetching ${url}`
+          : `${cause.message} when fetching ${url}`);
+        error.attempts = attempt + 1;
+        throw error;
+      }
+      await sleep(getRetryDelay(attempt, null, retryDelay));
+      continue;
+    } finally {
+      clearTimeout(timer);
+    }
+    if (response.ok || !isRetryableStatus(response.status) || attempt >= retries) {
+      return { response, body };
+    }
+    const retryAfter = parseRetryAfter(response.headers?.get?.('retry-after'));
+    await sleep(getRetryDelay(attempt, retryAfter, retryDelay));
+  }
+};
+
+// 带超时与重试的 fetch；重试用尽后返回最后一次的响应，网络错误或超时则抛出
+// 超时只覆盖到收到响应头，需要读取响应体时使用 fetchJson
+const fetchWithRetry = async (url, options) => (await requestWithRetry(url, options)).response;
+
+// 请求并解析 JSON，非 2xx 视为失败；响应体的读取也在超时范围内
+const fetchJson = async (url, options) => {
+  const { response, body } = await requestWithRetry(url, options, res => res.json());
+  if (!response.ok) {
+    const error = new Error(`HTTP ${response.status} when fetching ${url}`);
+    error.status = response.status;
+    throw error;
+  }
+  return { response, body };
+};
+
+// 请求单页，统一返回列表
+const fetchPage = async (url, options) => {
+  const { response, body } = await fetchJson(url, options);
+  if (Array.isArray(body)) return { response, items: body };
+  // WordPress.com v1.1 风格的响应把列表包在对象里
+  const items = body?.posts || body?.categories || body?.pages || [];
+  return { response, items, found: body?.found };
+};
+
+// 拉取某个集合接口的全部分页数据
+// url: 完整的集合地址，如 `${API_BASE}/posts?_embed`
+// 其余选项（timeout、retries、retryDelay）传给每个分页请求
+const fetchAllPages = async (url, { perPage = MAX_PER_PAGE, concurrency = DEFAULT_CONCURRENCY, ...requestOptions } = {}) => {
+  const pageSize = Math.min(perPage, MAX_PER_PAGE);
+  const first = await fetchPage(withQuery(url, { per_page: pageSize, page: 1 }), requestOptions);
+  const totalPages = getTotalPages(first.response, pageSize, first.found);
+
+  if (totalPages !== null) {
+    if (totalPages <= 1) return first.items;
+    const rest = Array.from({ length: totalPages - 1 }, (_, i) => i + 2);
+    const pages = await mapWithConcurrency(rest, concurrency, async (page) => {
+      const { items } = await fetchPage(withQuery(url, { per_page: pageSize, page }), requestOptions);
+      return items;
+    });
+    return first.items.concat(...pages);
+  }
+
+  // 没有分页响应头：顺序翻页，直到某页不足 per_page 条
+  let all = first.items;
+  let lastCount = first.items.length;
+  let page = 1;
+  while (lastCount === pageSize) {
+    page += 1;
+    let items;
+    try {
+      ({ items } = await fetchPage(withQuery(url, { per_page: pageSize, page }), requestOptions));
+    } catch (error) {
+      // 超出最后一页时 WordPress 返回 400 rest_post_invalid_page_number
+      if (error.status === 400) break;
+      throw error;
+    }
+    all = all.concat(items);
+    lastCount = items.length;
+  }
+  return all;
+};
+
+module.exports = {
+  MAX_PER_PAGE,
+  withQuery,
+  mapWithConcurrency,
+  getTotalPages,
+  isRetryableStatus,
+  parseRetryAfter,
+  getRetryDelay,
+  fetchWithRetry,
+  fetchJson,
+  fetchAllPages,
+};
@@ -0,0 +1,73 @@
+// WordPress 分类法（taxonomy）数据整理（构建时在 gatsby-node.js 中使用）
+// _embedded['wp:term'] 是按分类法分组的二维数组，分组的顺序和数量都不固定
+// （自定义分类法也会出现在其中），因此按每个 term 自带的 taxonomy 字段归类，而不是按下标取值。
+
+const { slugify } = require('./slugify');
+const { decodeEntities } = require('./htmlEntities');
+
+// 分类法对应的节点类型，其余自定义分类法统一创建为 WordPressTerm
+const TAXONOMY_NODE_TYPES = {
+  category: 'WordPressCategory',
+  post_tag: 'WordPressTag',
+};
+const CUSTOM_TERM_TYPE = 'WordPressTerm';
+
+const termNodeType = (taxonomy) => TAXONOMY_NODE_TYPES[taxonomy] || CUSTOM_TERM_TYPE;
+
+// 生成节点 id 用的 key；分类沿用 wordpress-category-<id>，与 /categories 接口创建的节点保持一致
+const termNodeKey = (term) => {
+  if (term.taxonomy === 'category') return `wordpress-category-${term.wordpressId}`;
+  if (term.taxonomy === 'post_tag') return `wordpress-tag-${term.wordpressId}`;
+  return `wordpress-term-${term.taxonomy}-${term.wordpressId}`;
+};
+
+// 统一 term 的字段；/tags、/categories 接口和 _embed 返回的字段不完全相同
+const normalizeTerm = (term, taxonomy = term.taxonomy) => ({
+  wordpressId: term.id,
+  taxonomy,
+  name: decodeEntities(term.name),
+  slug: term.slug || slugify(decodeEntities(term.name), 'term'),
+  description: term.description || '',
+  count: term.count ?? 0,
+  link: term.link || '',
+});
+
+// 取出一篇文章的全部 term，跳过 WordPress.com 返回的错误对象
+const getPostTerms = (post) => (post?._embedded?.['wp:term'] || [])
+  .filter(Array.isArray)
+  .flat()
+  .filter(term => term && term.id != null && term.taxonomy)
+  .map(term => normalizeTerm(term));
+
+// 汇总文章引用到的全部 term，返回 Map<key, term>
+// knownTerms 为接口返回的完整 term（含 count、description），优先于 _embed 中的精简数据
+const collectTerms = (posts, knownTerms = []) => {
+  const terms = new Map();
+  knownTerms.forEach(term => terms.set(termNodeKey(term), { ...term }));
+
+  const counts = new Map();
+  posts.forEach(post => {
+    getPostTerms(post).forEach(term => {
+      const key = termNodeKey(term);
+      if (!terms.has(key)) terms.set(key, term);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+  });
+
+  // _embed 中的 term 不带 count，用本次构建中引用它的文章数代替
+  counts.forEach((count, key) => {
+    const term = terms.get(key);
+    if (!term.count) term.count = count;
+  });
+  return terms;
+};
+
+module.exports = {
+  TAXONOMY_NODE_TYPES,
+  CUSTOM_TERM_TYPE,
+  termNodeType,
+  termNodeKey,
+  normalizeTerm,
+  getPostTerms,
+  collectTerms,
+};
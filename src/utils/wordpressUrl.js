@@ -0,0 +1,64 @@
+// WordPress 站点地址解析（构建时与浏览器端共用）
+// 根据 GATSBY_WORDPRESS_URL 得到 REST API 基地址：
+//   - 自建站点：https://example.com → https://example.com/wp-json/wp/v2
+//   - 安装在子目录：https://example.com/blog → https://example.com/blog/wp-json/wp/v2
+//   - WordPress.com：https://site.wordpress.com → https://public-api.wordpress.com/wp/v2/sites/site.wordpress.com
+//   - 绑定了自定义域名的 WordPress.com 站点无法从地址判断，需要设置 GATSBY_WORDPRESS_HOSTING=wpcom
+
+// 托管方式：auto（默认，按域名判断）、wpcom（WordPress.com）、self-hosted（自建）
+const HOSTING_MODES = ['auto', 'wpcom', 'self-hosted'];
+const getHostingMode = () => {
+  const mode = process.env.GATSBY_WORDPRESS_HOSTING || 'auto';
+  return HOSTING_MODES.includes(mode) ? mode : 'auto';
+};
+
+const WPCOM_API = 'https://public-api.wordpress.com/wp/v2/sites';
+
+// 解析站点地址；缺少协议时按 https 处理，无法解析时返回 null
+const parseSiteUrl = (url) => {
+  if (!url) return null;
+  const value = String(url).trim();
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+  } catch (error) {
+    return null;
+  }
+};
+
+const isWordPressComHost = (hostname) => hostname === 'wordpress.com' || hostname.endsWith('.wordpress.com');
+
+// 是否为 WordPress.com 托管的站点
+const isWordPressCom = (url, { hosting = getHostingMode() } = {}) => {
+  const site = parseSiteUrl(url);
+  if (!site || hosting === 'self-hosted') return false;
+  return hosting === 'wpcom' || isWordPressComHost(site.hostname);
+};
+
+// 站点标识：域名加子目录（不含协议和末尾的 /），例如 example.com/blog
+const getSiteName = (url) => {
+  const site = parseSiteUrl(url);
+  if (!site) return null;
+  const pathname = site.pathname.replace(/\/+$/, '');
+  return `${site.host}${pathname}`;
+};
+
+// REST API（wp/v2）基地址；地址中已带有 /wp-json 或 /wp-json/wp/v2 时不会重复添加
+const getApiBase = (url, { hosting = getHostingMode() } = {}) => {
+  const site = parseSiteUrl(url);
+  if (!site) return null;
+  if (isWordPressCom(url, { hosting })) {
+    // WordPress.com 的公开 API 用域名标识站点（自定义域名同样可用）
+    return `${WPCOM_API}/${site.hostname}`;
+  }
+  const root = site.pathname.replace(/\/+$/, '').replace(/\/wp-json(?:\/wp\/v2)?$/, '');
+  return `${site.origin}${root}/wp-json/wp/v2`;
+};
+
+module.exports = {
+  HOSTING_MODES,
+  getHostingMode,
+  parseSiteUrl,
+  isWordPressCom,
+  getSiteName,
+  getApiBase,
+};
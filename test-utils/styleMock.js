@@ -0,0 +1,2 @@
+// 测试中样式文件的替身（jest.config.js 的 moduleNameMapper 使用）
+module.exports = {};